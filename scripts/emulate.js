@@ -0,0 +1,41 @@
+const fs = require('fs');
+
+const emulator = require('./emulator');
+
+/**
+ * Run recordings through the voicemail pipeline offline, against emulated
+ * AWS services set up from a fixture (see scripts/emulator), and print what
+ * it did: the notifications it sent, the errors it hit and the saved
+ * voicemails. If the fixture has an `expect` section, it's checked too.
+ *
+ * Usage:
+ *   node scripts/emulate.js <fixture.json> [--quiet]
+ *
+ * --quiet hides what the lambdas log.
+ */
+const USAGE = 'Usage: emulate.js <fixture.json> [--quiet]';
+
+(async () => {
+  const args = process.argv.slice(2);
+  const [fixturePath] = args.filter((arg) => !arg.startsWith('--'));
+  if (!fixturePath) {
+    throw new TypeError(USAGE);
+  }
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const outcome = await emulator.run(fixture, {
+    quiet: args.includes('--quiet'),
+  });
+  delete outcome.logs;
+  console.log(JSON.stringify(outcome, null, 2));
+
+  if (fixture.expect) {
+    const mismatches = emulator.check(outcome, fixture.expect);
+    mismatches.forEach((mismatch) => console.error(mismatch));
+    console.log(mismatches.length === 0 ? 'As expected' :
+      `${mismatches.length} differences from what was expected`);
+    process.exitCode = mismatches.length === 0 ? 0 : 1;
+  }
+})().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,14 @@
+/**
+ * Make an error like the ones the AWS SDK throws, with the error `code`
+ * that callers check for.
+ *
+ * @param {string} code - The AWS error code, e.g. 'NoSuchKey'.
+ * @param {string} message - What went wrong.
+ * @return {Error} - The error.
+ */
+exports.awsError = (code, message) => {
+  const err = new Error(message);
+  err.name = code;
+  err.code = code;
+  return err;
+};
@@ -0,0 +1,39 @@
+/**
+ * A fake of axios, for webhook, Slack and Teams notifications, recording
+ * each request in the emulated account's `requests`. Requests get the
+ * response in `responses` for their method and URL, e.g. `GET https://...`,
+ * or just their URL, e.g. `{"status": 500}`, or a 200 by default, and
+ * responses with error statuses are thrown like axios does.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with axios' `get`, `post` and `request`.
+ */
+module.exports = (world) => {
+  const request = async ({method = 'get', url, params, data, headers = {}}) => {
+    world.requests.push({
+      method: method.toUpperCase(),
+      url,
+      params,
+      data,
+      headers,
+    });
+    const {status = 200, data: body = {}} =
+      world.responses[`${method.toUpperCase()} ${url}`] ||
+      world.responses[url] || {};
+    const response = {status, statusText: `${status}`, headers: {}, data: body};
+    if (status >= 400) {
+      const err = new Error(`Request failed with status code ${status}`);
+      err.response = response;
+      throw err;
+    }
+    return response;
+  };
+
+  return {
+    request,
+    get: (url, config = {}) => request({...config, method: 'get', url}),
+    post: (url, data, config = {}) => {
+      return request({...config, method: 'post', url, data});
+    },
+  };
+};
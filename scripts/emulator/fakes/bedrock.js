@@ -0,0 +1,20 @@
+const {awsError} = require('../errors');
+
+/**
+ * A fake of src/aws/bedrock, replying to every prompt with the emulated
+ * account's canned `bedrockReply`, and recording the prompts in `prompts`.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/bedrock.
+ */
+module.exports = (world) => ({
+  converse: async ({modelId, system, prompt}) => {
+    world.prompts.push({modelId, system, prompt});
+    if (world.bedrockReply == null) {
+      throw awsError('AccessDeniedException',
+        `No reply is set for model ${modelId}`);
+    }
+    return typeof world.bedrockReply === 'string' ? world.bedrockReply :
+      JSON.stringify(world.bedrockReply);
+  },
+});
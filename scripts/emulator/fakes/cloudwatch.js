@@ -0,0 +1,13 @@
+/**
+ * A fake of src/aws/cloudwatch, recording each data point in the emulated
+ * account's `metrics` list.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/cloudwatch.
+ */
+module.exports = (world) => ({
+  putMetrics: async ({namespace, metrics}) => {
+    world.metrics.push(...metrics.map((metric) => ({namespace, ...metric})));
+    return {};
+  },
+});
@@ -0,0 +1,51 @@
+const {awsError} = require('../errors');
+
+/**
+ * A fake of the contact functions of src/aws/connect, with the emulated
+ * account's `contacts` keyed by contactId. Each has the `attributes` set by
+ * its contact flows, and any other details DescribeContact returns, e.g.
+ * `{"Channel": "VOICE", "InitiationTimestamp": "2026-10-19T01:28:00Z"}`.
+ * Task contacts that are started are recorded in the account's `tasks`.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the contact functions of
+ *                    src/aws/connect.
+ */
+module.exports = (world) => {
+  const contact = (contactId) => {
+    const found = world.contacts[contactId];
+    if (!found) {
+      throw awsError('ResourceNotFoundException',
+        `Contact not found: ${contactId}`);
+    }
+    return found;
+  };
+
+  return {
+    getContactAttributes: async ({initialContactId}) => {
+      return {...contact(initialContactId).attributes};
+    },
+
+    describeContact: async ({contactId}) => {
+      const described = {Id: contactId, Channel: 'VOICE',
+        ...contact(contactId)};
+      delete described.attributes;
+      Object.keys(described)
+        .filter((key) => /Timestamp$/.test(key))
+        .forEach((key) => described[key] = new Date(described[key]));
+      return described;
+    },
+
+    startTaskContact: async (params) => {
+      const existing = params.clientToken && world.tasks.find((task) => {
+        return task.clientToken === params.clientToken;
+      });
+      if (existing) {
+        return existing.contactId;
+      }
+      const contactId = `task-${world.tasks.length + 1}`;
+      world.tasks.push({...params, contactId});
+      return contactId;
+    },
+  };
+};
@@ -0,0 +1,47 @@
+/**
+ * A fake of src/aws/cwl, searching the emulated account's `logEvents`: the
+ * entries of contact flow logs, e.g.
+ * `{"ContactId": "...", "ContactFlowModuleType": "SetAttributes", ...}`,
+ * each with an optional `timestamp` and `logGroupName`. Only filter
+ * patterns that are all `$.Field = "value"` conditions are understood, and
+ * every condition has to match.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/cwl.
+ */
+module.exports = (world) => ({
+  filterLogEvents: async ({
+    logGroupName,
+    filterPattern,
+    startTime,
+    endTime,
+  }) => {
+    const conditions = [];
+    const pattern = /\$\.(\w+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(filterPattern || ''))) {
+      conditions.push({field: match[1], value: match[2]});
+    }
+
+    const events = world.logEvents
+      .filter((entry) => {
+        return !entry.logGroupName || entry.logGroupName === logGroupName;
+      })
+      .map(({timestamp, logGroupName, ...entry}, index) => ({
+        eventId: `event-${index}`,
+        logStreamName: 'emulated',
+        timestamp: timestamp ? Date.parse(timestamp) : startTime,
+        message: JSON.stringify(entry),
+        entry,
+      }))
+      .filter(({timestamp}) => {
+        return (!startTime || timestamp >= startTime) &&
+          (!endTime || timestamp <= endTime);
+      })
+      .filter(({entry}) => {
+        return conditions.every(({field, value}) => entry[field] === value);
+      })
+      .map(({entry, ...event}) => event);
+    return {events, searchedLogStreams: []};
+  },
+});
@@ -0,0 +1,227 @@
+const {awsError} = require('../errors');
+
+// Words, #names, :values and operators of condition and update expressions
+const TOKEN = /<>|<=|>=|[=<>(),]|[#:]?[\w.]+/g;
+const COMPARATORS = {
+  '=': (a, b) => JSON.stringify(a) === JSON.stringify(b),
+  '<>': (a, b) => JSON.stringify(a) !== JSON.stringify(b),
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+const FUNCTIONS = {
+  attribute_exists: (value) => value !== undefined,
+  attribute_not_exists: (value) => value === undefined,
+  if_not_exists: (value, fallback) => value === undefined ? fallback : value,
+  list_append: (list, other) => (list || []).concat(other || []),
+  begins_with: (value, prefix) => `${value}`.startsWith(prefix),
+  size: (value) => value == null ? 0 :
+    (value.length != null ? value.length : Object.keys(value).length),
+};
+
+/**
+ * A fake of src/aws/dynamodb, keeping the items of the emulated account's
+ * `tables`, whose primary keys are the attributes listed in `keys` by table
+ * name. Expressions support the comparisons, BETWEEN, AND, OR, NOT, SET,
+ * REMOVE and functions the voicemail store uses, but not sets or
+ * arithmetic.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/dynamodb.
+ */
+module.exports = (world) => {
+  const table = (tableName) => {
+    if (!world.tables[tableName]) {
+      world.tables[tableName] = [];
+    }
+    return world.tables[tableName];
+  };
+  const keyOf = (tableName, item) => {
+    return JSON.stringify((world.keys[tableName] || Object.keys(item))
+      .map((name) => item[name]));
+  };
+  const find = (tableName, key) => {
+    return table(tableName).findIndex((item) => {
+      return keyOf(tableName, item) === keyOf(tableName, key);
+    });
+  };
+  const copy = (item) => item && JSON.parse(JSON.stringify(item));
+
+  return {
+    get: async ({tableName, key}) => {
+      return copy(table(tableName)[find(tableName, key)]);
+    },
+
+    put: async ({tableName, item}) => {
+      const index = find(tableName, item);
+      table(tableName).splice(index < 0 ? table(tableName).length : index, 1,
+        copy(item));
+      return {};
+    },
+
+    update: async ({
+      tableName,
+      key,
+      updateExpression,
+      conditionExpression,
+      names,
+      values,
+    }) => {
+      const index = find(tableName, key);
+      const item = index < 0 ? undefined : table(tableName)[index];
+      if (conditionExpression && !evaluate(conditionExpression, item,
+        {names, values}).condition()) {
+        throw awsError('ConditionalCheckFailedException',
+          'The conditional request failed');
+      }
+      const updated = evaluate(updateExpression, item || copy(key),
+        {names, values}).update();
+      table(tableName).splice(index < 0 ? table(tableName).length : index, 1,
+        updated);
+      return copy(updated);
+    },
+
+    query: async ({
+      tableName,
+      keyConditionExpression,
+      names,
+      values,
+      ascending = true,
+      limit,
+    }) => {
+      const items = table(tableName)
+        .filter((item) => {
+          return evaluate(keyConditionExpression, item, {names, values})
+            .condition();
+        })
+        .sort((a, b) => {
+          // The voicemail table's indexes are sorted by creationDate
+          const order = `${a.creationDate}`.localeCompare(b.creationDate);
+          return ascending ? order : -order;
+        })
+        .map(copy);
+      return limit ? items.slice(0, limit) : items;
+    },
+  };
+};
+
+/**
+ * Evaluate a condition or update expression against an item.
+ *
+ * @param {string} expression - The expression.
+ * @param {Object} item - The item, or undefined if it doesn't exist.
+ * @param {Object} substitutions - The expression's `names` and `values`.
+ * @return {Object} - `condition`, which checks whether a condition expression
+ *                    holds, and `update`, which returns a copy of the item
+ *                    with an update expression applied.
+ */
+function evaluate(expression, item = {}, {names = {}, values = {}}) {
+  const tokens = expression.match(TOKEN) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const is = (token, keyword) => `${token}`.toUpperCase() === keyword;
+  const expect = (expected) => {
+    const token = next();
+    if (token !== expected && !is(token, expected)) {
+      throw new TypeError(`Expected ${expected} instead of ${token} in ` +
+        `expression: ${expression}`);
+    }
+  };
+  const path = (token) => token.split('.').map((name) => names[name] || name);
+  const get = (token) => path(token).reduce((value, name) => {
+    return value == null ? undefined : value[name];
+  }, item);
+
+  const operand = () => {
+    const token = next();
+    if (token.startsWith(':')) {
+      return values[token];
+    }
+    if (FUNCTIONS[token]) {
+      expect('(');
+      const args = [operand()];
+      while (peek() === ',') {
+        next();
+        args.push(operand());
+      }
+      expect(')');
+      return FUNCTIONS[token](...args);
+    }
+    return get(token);
+  };
+  const comparison = () => {
+    if (peek() === '(') {
+      next();
+      const result = or();
+      expect(')');
+      return result;
+    }
+    const left = operand();
+    if (COMPARATORS[peek()]) {
+      const comparator = COMPARATORS[next()];
+      const right = operand();
+      return left !== undefined && comparator(left, right);
+    }
+    if (is(peek(), 'BETWEEN')) {
+      next();
+      const low = operand();
+      expect('AND');
+      const high = operand();
+      return left !== undefined && low <= left && left <= high;
+    }
+    return Boolean(left);
+  };
+  const not = () => {
+    if (is(peek(), 'NOT')) {
+      next();
+      return !not();
+    }
+    return comparison();
+  };
+  const and = () => {
+    let result = not();
+    while (is(peek(), 'AND')) {
+      next();
+      const right = not();
+      result = result && right;
+    }
+    return result;
+  };
+  const or = () => {
+    let result = and();
+    while (is(peek(), 'OR')) {
+      next();
+      const right = and();
+      result = result || right;
+    }
+    return result;
+  };
+
+  return {
+    condition: () => or(),
+    update: () => {
+      // Every value is worked out from the item as it was before the update
+      const updated = JSON.parse(JSON.stringify(item));
+      while (position < tokens.length) {
+        const action = next().toUpperCase();
+        do {
+          const segments = path(next());
+          const last = segments.pop();
+          const parent =
+            segments.reduce((value, name) => value[name], updated);
+          if (action === 'SET') {
+            expect('=');
+            parent[last] = operand();
+          } else if (action === 'REMOVE') {
+            delete parent[last];
+          } else {
+            throw new TypeError(`Unsupported update action: ${action}`);
+          }
+        } while (peek() === ',' && next());
+      }
+      return updated;
+    },
+  };
+}
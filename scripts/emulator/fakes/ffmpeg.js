@@ -0,0 +1,16 @@
+/**
+ * A fake of src/ffmpeg, so recordings can be "compressed" without ffmpeg.
+ * The output is a placeholder, as long as the emulated account's
+ * `audioDuration` in seconds.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/ffmpeg.
+ */
+module.exports = (world) => ({
+  run: async (input, args, extension) => {
+    return {
+      output: Buffer.from(`emulated ${extension} audio`),
+      duration: world.audioDuration,
+    };
+  },
+});
@@ -0,0 +1,53 @@
+const {awsError} = require('../errors');
+
+/**
+ * A fake of src/aws/s3, keeping objects in the emulated account's `buckets`.
+ * Pre-signed URLs look like real ones, but don't work.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/s3.
+ */
+module.exports = (world) => {
+  const bucket = (bucketName) => {
+    if (!world.buckets[bucketName]) {
+      world.buckets[bucketName] = {};
+    }
+    return world.buckets[bucketName];
+  };
+
+  return {
+    getSignedUrl: async ({operation, bucketName, objectKey, expirySeconds}) => {
+      return `https://${bucketName}.s3.amazonaws.com/${encodeURI(objectKey)}` +
+        `?X-Amz-Expires=${expirySeconds}&X-Amz-Signature=emulated`;
+    },
+
+    getObject: async ({bucketName, objectKey}) => {
+      const object = bucket(bucketName)[objectKey];
+      if (!object) {
+        throw awsError('NoSuchKey', 'The specified key does not exist.');
+      }
+      return object.body;
+    },
+
+    putObject: async ({bucketName, objectKey, body, contentType}) => {
+      bucket(bucketName)[objectKey] = {
+        body: Buffer.from(body),
+        contentType,
+        lastModified: new Date(),
+      };
+      return {ETag: '"emulated"'};
+    },
+
+    listObjects: async ({bucketName, prefix = ''}) => {
+      const objects = bucket(bucketName);
+      return Object.keys(objects)
+        .filter((key) => key.startsWith(prefix))
+        .sort()
+        .map((key) => ({
+          Key: key,
+          LastModified: objects[key].lastModified,
+          Size: objects[key].body.length,
+        }));
+    },
+  };
+};
@@ -0,0 +1,21 @@
+const {awsError} = require('../errors');
+
+/**
+ * A fake of src/aws/secrets, reading the current values of the emulated
+ * account's `secrets`, keyed by name. Values that aren't strings are
+ * returned as JSON.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the reading functions of
+ *                    src/aws/secrets.
+ */
+module.exports = (world) => ({
+  getSecretValue: async ({secretId}) => {
+    const value = world.secrets[secretId];
+    if (value == null) {
+      throw awsError('ResourceNotFoundException',
+        `Secrets Manager can't find the specified secret: ${secretId}`);
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  },
+});
@@ -0,0 +1,23 @@
+/**
+ * A fake of src/aws/ses, recording each email in the emulated account's
+ * `emails` list. Attachments are recorded with their size, not content.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/ses.
+ */
+module.exports = (world) => ({
+  sendEmail: async ({from, to, cc, subject, text, html, attachments = []}) => {
+    world.emails.push({
+      from,
+      to,
+      cc,
+      subject,
+      text,
+      html,
+      attachments: attachments.map(({filename, contentType, content}) => {
+        return {filename, contentType, size: content.length};
+      }),
+    });
+    return {MessageId: `email-${world.emails.length}`};
+  },
+});
@@ -0,0 +1,16 @@
+/**
+ * A fake of src/aws/sns, recording each message in the emulated account's
+ * `published` list.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as src/aws/sns.
+ */
+module.exports = (world) => ({
+  publish: async ({topicArn, message, subject}) => {
+    if (!message) {
+      throw new TypeError('Need a non-empty message');
+    }
+    world.published.push({topicArn, subject, message});
+    return {MessageId: `message-${world.published.length}`};
+  },
+});
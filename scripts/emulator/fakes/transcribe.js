@@ -0,0 +1,83 @@
+const {awsError} = require('../errors');
+
+/**
+ * A fake of src/aws/transcribe, keeping jobs in the emulated account's
+ * `jobs`, keyed by name. Jobs stay IN_PROGRESS until the emulator finishes
+ * them, with their `results` or `FailureReason`.
+ *
+ * @param {Object} world - The emulated AWS account.
+ * @return {Object} - The fake, with the same functions as
+ *                    src/aws/transcribe.
+ */
+module.exports = (world) => ({
+  startJob: async ({
+    mediaFileUri,
+    mediaFormat,
+    jobName,
+    languageCode = 'en-US',
+    identifyLanguage = false,
+    languageOptions,
+    vocabularyName,
+    vocabularyFilterName,
+    channelIdentification = false,
+    maxSpeakerLabels,
+    redactPii = false,
+    piiEntityTypes,
+  }) => {
+    if (world.jobs[jobName]) {
+      throw awsError('ConflictException',
+        'The requested job name already exists. Use a different job name.');
+    }
+    world.jobs[jobName] = {
+      TranscriptionJobName: jobName,
+      TranscriptionJobStatus: 'IN_PROGRESS',
+      LanguageCode: identifyLanguage ? undefined : languageCode,
+      IdentifyLanguage: identifyLanguage || undefined,
+      LanguageOptions: languageOptions,
+      MediaFormat: mediaFormat || mediaFileUri.split('.').pop(),
+      Media: {MediaFileUri: mediaFileUri},
+      Settings: {
+        VocabularyName: vocabularyName,
+        VocabularyFilterName: vocabularyFilterName,
+        ChannelIdentification: channelIdentification || undefined,
+        MaxSpeakerLabels: maxSpeakerLabels,
+      },
+      ContentRedaction: redactPii ? {
+        RedactionType: 'PII',
+        RedactionOutput: 'redacted',
+        PiiEntityTypes: piiEntityTypes,
+      } : undefined,
+      CreationTime: new Date(),
+    };
+    return world.jobs[jobName];
+  },
+
+  getJob: async ({jobName}) => {
+    const job = world.jobs[jobName];
+    if (!job) {
+      throw awsError('BadRequestException',
+        'The requested job couldn\'t be found.');
+    }
+    const details = {...job};
+    delete details.results;
+    return details;
+  },
+
+  deleteJob: async ({jobName}) => {
+    if (!world.jobs[jobName]) {
+      return false;
+    }
+    delete world.jobs[jobName];
+    return true;
+  },
+
+  getResults: async (job) => {
+    if (job.TranscriptionJobStatus === 'FAILED') {
+      throw new Error('Transcription failure: ' + job.FailureReason);
+    } else if (job.TranscriptionJobStatus !== 'COMPLETED') {
+      throw new Error('Transcription job has not finished: ' +
+        job.TranscriptionJobStatus);
+    }
+    return world.jobs[job.TranscriptionJobName].results;
+  },
+});
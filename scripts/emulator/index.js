@@ -0,0 +1,528 @@
+const Module = require('module');
+const path = require('path');
+const util = require('util');
+
+const {awsError} = require('./errors');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+const ACCOUNT_ID = '123456789012';
+const REGION = 'us-east-1';
+const INSTANCE_ID = '00000000-0000-4000-8000-000000000000';
+// The environment the lambdas are deployed with, which fixtures can override
+const DEFAULT_ENV = {
+  AWS_REGION: REGION,
+  CONNECT_REGION: REGION,
+  CONNECT_INSTANCE_ARN:
+    `arn:aws:connect:${REGION}:${ACCOUNT_ID}:instance/${INSTANCE_ID}`,
+  CONNECT_LOG_GROUP: '/aws/connect/emulated',
+  CONFIG_BUCKET: 'serverless-voicemail-config',
+  VOICEMAIL_BUCKET: 'serverless-voicemail-recordings',
+  VOICEMAIL_TABLE: 'serverless-voicemail',
+  NOTIFICATION_TOPIC:
+    `arn:aws:sns:${REGION}:${ACCOUNT_ID}:serverless-voicemail-notifications`,
+  AGENT_LOGIN_TOPIC:
+    `arn:aws:sns:${REGION}:${ACCOUNT_ID}:serverless-voicemail-agent-login`,
+  AGENT_ALERT_TOPIC:
+    `arn:aws:sns:${REGION}:${ACCOUNT_ID}:serverless-voicemail-agent-alerts`,
+  HOME_REGION: 'AU',
+  NOTIFICATION_TIMEZONE: 'Australia/Perth',
+  LINK_EXPIRY_IN_DAYS: '7',
+  TRANSCRIBE_LANGUAGE: 'en-AU',
+  CONTACT_ATTRIBUTE_SOURCES: 'connect,logs',
+  REDACTION_MODE: 'none',
+};
+// When recordings are made, unless a fixture says otherwise
+const DEFAULT_EVENT_TIME = '2026-10-19T01:30:00.000Z';
+// The modules under src/aws that are replaced by fakes, ffmpeg and axios
+const FAKES = {
+  'aws/bedrock': require('./fakes/bedrock'),
+  'aws/cloudwatch': require('./fakes/cloudwatch'),
+  'aws/connect': require('./fakes/connect'),
+  'aws/cwl': require('./fakes/cwl'),
+  'aws/dynamodb': require('./fakes/dynamodb'),
+  'aws/s3': require('./fakes/s3'),
+  'aws/secrets': require('./fakes/secrets'),
+  'aws/ses': require('./fakes/ses'),
+  'aws/sns': require('./fakes/sns'),
+  'aws/transcribe': require('./fakes/transcribe'),
+  'axios': require('./fakes/axios'),
+  'ffmpeg': require('./fakes/ffmpeg'),
+};
+
+/**
+ * Emulate the AWS account the lambdas run in, so their handlers can be run
+ * offline. The src/aws wrappers, ffmpeg and axios are replaced by in-memory
+ * fakes of the services, set up from a fixture describing the account:
+ *
+ * - `env`: environment variables, on top of DEFAULT_ENV.
+ * - `config`: the configuration document in the config bucket.
+ * - `files`: other files in the config bucket, e.g. templates, by key.
+ * - `contacts`: Amazon Connect contacts by contactId, see fakes/connect.
+ * - `logEvents`: contact flow log entries, see fakes/cwl.
+ * - `transcripts`: by contactId, the text Transcribe hears, with "(?)" after
+ *   words it isn't confident of and "[PII]" for words it redacts, the full
+ *   `results` of a job, or a `failureReason` for the job to fail with.
+ * - `transcript`: the default for calls without their own transcript.
+ * - `voicemails`: items already in the voicemail table.
+ * - `secrets`: Secrets Manager values by name.
+ * - `responses`: responses to HTTP requests, by URL, see fakes/axios.
+ * - `bedrockReply`: what Bedrock replies to any prompt.
+ * - `audioDuration`: how many seconds long recordings are, 30 by default.
+ * - `failures`: calls to fail, each with the `service` and `operation`,
+ *   e.g. 'sns' and 'publish', `params` the call's parameters must include,
+ *   and the `code` and `message` of the error to throw.
+ * - `inboxUpdates`: changes made in the inbox while the voicemails are being
+ *   processed, each with the `contactId` and `changes` for
+ *   store.updateVoicemail, made before the first call matching its
+ *   `service`, `operation` and `params`, as with `failures`.
+ *
+ * Each emulator loads its own copies of the src modules, with the fixture's
+ * environment, so their caches and settings don't leak between fixtures.
+ * Close it to restore the real modules and environment.
+ *
+ * @param {Object} fixture - The fixture.
+ * @return {Object} emulator - The emulator.
+ * @return {Object} emulator.world - The emulated account, with what's been
+ *                                   `published`, `emails` sent, `requests`
+ *                                   made, `metrics`, transcription `jobs`,
+ *                                   Amazon Connect `tasks`, DynamoDB
+ *                                   `tables` and S3 `buckets`.
+ * @return {Function} emulator.load - Loads a src module by name, e.g.
+ *                                    'voicemail'.
+ * @return {Function} emulator.close - Restores the real modules.
+ */
+exports.create = (fixture = {}) => {
+  const env = {...DEFAULT_ENV, ...fixture.env};
+  const world = createWorld(fixture, env);
+  const savedEnv = {...process.env};
+  Object.assign(process.env, env);
+
+  const fakes = {};
+  for (let name of Object.keys(FAKES)) {
+    const filename = name === 'axios' ?
+      require.resolve('axios', {paths: [SRC]}) :
+      path.join(SRC, `${name}.js`);
+    fakes[filename] = withFailures(world, name.replace(/^aws\//, ''),
+      FAKES[name](world));
+  }
+  // Load the src modules afresh, with the fakes in place of the wrappers
+  const originalLoad = Module._load;
+  clearSrcModules();
+  Module._load = (request, parent, ...args) => {
+    if (parent && parent.filename && parent.filename.startsWith(SRC)) {
+      const filename = Module._resolveFilename(request, parent);
+      if (fakes[filename]) {
+        return fakes[filename];
+      }
+    }
+    return originalLoad.call(Module, request, parent, ...args);
+  };
+
+  return {
+    world,
+    env,
+    load: (name) => require(path.join(SRC, name)),
+    close: () => {
+      Module._load = originalLoad;
+      clearSrcModules();
+      Object.keys(process.env)
+        .filter((key) => !(key in savedEnv))
+        .forEach((key) => delete process.env[key]);
+      Object.assign(process.env, savedEnv);
+    },
+  };
+};
+
+/**
+ * Run recordings through the whole voicemail pipeline, as they would be in
+ * AWS: the process handler is invoked with an S3 event for the fixture's
+ * `recordings` (keys in the recordings bucket, or their `key` and
+ * `eventTime`), or the fixture's own `event`. Then each transcription job it
+ * started is finished, and transcriptionCompleted is invoked for it.
+ *
+ * Set `sqs` in the fixture to deliver the recordings in an SQS event, as
+ * with the recordingQueue option, one message each.
+ *
+ * @param {Object} fixture - The fixture, see exports.create.
+ * @param {Object} options - How to run it.
+ * @param {boolean} options.quiet - Collect what the lambdas log in `logs`,
+ *                                  instead of logging it.
+ * @return {Object} outcome - What happened.
+ * @return {Object} outcome.result - What the process handler returned.
+ * @return {Array} outcome.errors - Messages of the errors the handlers
+ *                                  threw.
+ * @return {Array} outcome.published - SNS messages, with their `topicArn`,
+ *                                     `subject` and `message`.
+ * @return {Array} outcome.emails - Emails sent via SES.
+ * @return {Array} outcome.requests - HTTP requests made.
+ * @return {Array} outcome.metrics - CloudWatch metric data points.
+ * @return {Array} outcome.transcriptionJobs - The jobs started.
+ * @return {Array} outcome.tasks - Amazon Connect tasks started.
+ * @return {Array} outcome.voicemails - Items in the voicemail table.
+ * @return {Array} outcome.logs - What was logged, if `quiet`.
+ */
+exports.run = async (fixture, {quiet = false} = {}) => {
+  const logs = [];
+  const {log, error} = console;
+  if (quiet) {
+    console.log = (...args) => logs.push(util.format(...args));
+    console.error = (...args) => logs.push(util.format(...args));
+  }
+
+  const emulator = exports.create(fixture);
+  const {world, env} = emulator;
+  const outcome = {errors: []};
+  try {
+    const voicemail = emulator.load('voicemail');
+    try {
+      outcome.result = await voicemail.process(
+        fixture.event || recordingEvent(fixture, env));
+    } catch (err) {
+      outcome.errors.push(err.message);
+    }
+
+    const started = Object.keys(world.jobs)
+      .filter((jobName) => world.jobs[jobName].TranscriptionJobStatus ===
+        'IN_PROGRESS');
+    for (let jobName of started) {
+      finishJob(fixture, world.jobs[jobName]);
+      try {
+        await voicemail.transcriptionCompleted({
+          'source': 'aws.transcribe',
+          'detail-type': 'Transcribe Job State Change',
+          'detail': {
+            TranscriptionJobName: jobName,
+            TranscriptionJobStatus: world.jobs[jobName].TranscriptionJobStatus,
+          },
+        });
+      } catch (err) {
+        outcome.errors.push(err.message);
+      }
+    }
+  } finally {
+    emulator.close();
+    console.log = log;
+    console.error = error;
+  }
+
+  return {
+    ...outcome,
+    published: world.published,
+    emails: world.emails,
+    requests: world.requests,
+    metrics: world.metrics,
+    transcriptionJobs: Object.keys(world.jobs).map((jobName) => {
+      const job = {...world.jobs[jobName]};
+      delete job.results;
+      return job;
+    }),
+    tasks: world.tasks,
+    voicemails: world.tables[env.VOICEMAIL_TABLE] || [],
+    logs: quiet ? logs : undefined,
+  };
+};
+
+/**
+ * Compare what happened with what was expected. Expected objects only need
+ * to match the keys they have, and expected lists need the same number of
+ * items, each matching in turn. Expected values can also be:
+ *
+ * - `{"$includes": ["text", ...]}`: a string containing each text.
+ * - `{"$excludes": ["text", ...]}`: a string containing none of the texts,
+ *   which can be combined with `$includes`.
+ * - `{"$match": "pattern"}`: a string matching a regular expression.
+ * - `{"$absent": true}`: a value that isn't set.
+ *
+ * @param {*} actual - What happened, e.g. an outcome from exports.run.
+ * @param {*} expected - What was expected, e.g. a fixture's `expect`.
+ * @param {string} at - Where the values are, for the mismatches' messages.
+ * @return {Array} - A message for each mismatch, or none if they match.
+ */
+exports.check = (actual, expected, at = 'outcome') => {
+  if (expected && (expected.$includes || expected.$excludes)) {
+    const text = typeof actual === 'string' ? actual : '';
+    return (expected.$includes || [])
+      .filter((part) => typeof actual !== 'string' || !text.includes(part))
+      .map((part) => `${at} should include ${JSON.stringify(part)}, ` +
+        `but is ${JSON.stringify(actual)}`)
+      .concat((expected.$excludes || [])
+        .filter((part) => text.includes(part))
+        .map((part) => `${at} shouldn't include ${JSON.stringify(part)}, ` +
+          `but is ${JSON.stringify(actual)}`));
+  }
+  if (expected && expected.$match) {
+    return typeof actual === 'string' &&
+      new RegExp(expected.$match).test(actual) ? [] :
+      [`${at} should match /${expected.$match}/, but is ` +
+        JSON.stringify(actual)];
+  }
+  if (expected && expected.$absent) {
+    return actual === undefined ? [] :
+      [`${at} should not be set, but is ${JSON.stringify(actual)}`];
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return [`${at} should have ${expected.length} items, but is ` +
+        JSON.stringify(actual, null, 2)];
+    }
+    return [].concat(...expected.map((item, index) => {
+      return exports.check(actual[index], item, `${at}[${index}]`);
+    }));
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object') {
+      return [`${at} should be an object, but is ${JSON.stringify(actual)}`];
+    }
+    return [].concat(...Object.keys(expected).map((key) => {
+      return exports.check(actual[key], expected[key], `${at}.${key}`);
+    }));
+  }
+  return actual === expected ? [] :
+    [`${at} should be ${JSON.stringify(expected)}, but is ` +
+      JSON.stringify(actual)];
+};
+
+/**
+ * Set up the emulated account from a fixture.
+ *
+ * @param {Object} fixture - The fixture, see exports.create.
+ * @param {Object} env - The lambdas' environment.
+ * @return {Object} - The emulated account.
+ */
+function createWorld(fixture, env) {
+  const world = {
+    buckets: {[env.CONFIG_BUCKET]: {}, [env.VOICEMAIL_BUCKET]: {}},
+    tables: {[env.VOICEMAIL_TABLE]: []},
+    keys: {[env.VOICEMAIL_TABLE]: ['contactId']},
+    jobs: {},
+    contacts: fixture.contacts || {},
+    logEvents: fixture.logEvents || [],
+    secrets: fixture.secrets || {},
+    responses: fixture.responses || {},
+    bedrockReply: fixture.bedrockReply,
+    audioDuration: 'audioDuration' in fixture ? fixture.audioDuration : 30,
+    failures: fixture.failures || [],
+    inboxUpdates: [...fixture.inboxUpdates || []],
+    published: [],
+    emails: [],
+    requests: [],
+    metrics: [],
+    tasks: [],
+    prompts: [],
+  };
+
+  const configBucket = world.buckets[env.CONFIG_BUCKET];
+  const files = {...fixture.files};
+  if (fixture.config) {
+    files[env.CONFIG_KEY || 'config.json'] = JSON.stringify(fixture.config);
+  }
+  Object.keys(files).forEach((key) => {
+    configBucket[key] = {
+      body: Buffer.from(files[key]),
+      lastModified: new Date(),
+    };
+  });
+  recordings(fixture).forEach(({key}) => {
+    world.buckets[env.VOICEMAIL_BUCKET][key] = {
+      body: silentWav(world.audioDuration),
+      contentType: 'audio/wav',
+      lastModified: new Date(),
+    };
+  });
+  world.tables[env.VOICEMAIL_TABLE].push(...(fixture.voicemails || []));
+  return world;
+}
+
+/**
+ * Make a fake's functions fail as the fixture's `failures` say, and make the
+ * fixture's `inboxUpdates` before the calls they're made before.
+ *
+ * @param {Object} world - The emulated account.
+ * @param {string} service - Name of the service, e.g. 'sns'.
+ * @param {Object} fake - The fake's functions.
+ * @return {Object} - The functions, checking for failures first.
+ */
+function withFailures(world, service, fake) {
+  const matches = (args, operation) => ({params = {}, ...call}) => {
+    return call.service === service && call.operation === operation &&
+      exports.check(args[0], params).length === 0;
+  };
+  const wrapped = {};
+  Object.keys(fake).forEach((operation) => {
+    const callFake = (...args) => {
+      const failure = world.failures.find(matches(args, operation));
+      if (failure) {
+        return Promise.reject(awsError(failure.code || 'InternalFailure',
+          failure.message || `${service}.${operation} failed`));
+      }
+      return fake[operation](...args);
+    };
+    wrapped[operation] = (...args) => {
+      const update = world.inboxUpdates.find(matches(args, operation));
+      if (!update) {
+        return callFake(...args);
+      }
+      world.inboxUpdates.splice(world.inboxUpdates.indexOf(update), 1);
+      // The store loaded for the emulator, so with the fakes in place
+      return require(path.join(SRC, 'store'))
+        .updateVoicemail(update.contactId, update.changes)
+        .then(() => wrapped[operation](...args));
+    };
+  });
+  return wrapped;
+}
+
+/**
+ * The recordings of a fixture, each with its `key` and `eventTime`.
+ *
+ * @param {Object} fixture - The fixture.
+ * @return {Array} - The recordings.
+ */
+function recordings(fixture) {
+  return (fixture.recordings || []).map((recording) => {
+    return typeof recording === 'string' ? {key: recording} : recording;
+  }).map(({key, eventTime = DEFAULT_EVENT_TIME}) => ({key, eventTime}));
+}
+
+/**
+ * Make a silent WAV file, like the recordings Amazon Connect makes: 8kHz
+ * mono, in mu-law.
+ *
+ * @param {number} seconds - How long the audio is.
+ * @return {Buffer} - Contents of the WAV file.
+ */
+function silentWav(seconds) {
+  const sampleRate = 8000;
+  const data = Buffer.alloc(Math.round(seconds * sampleRate), 0xFF);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(7, 20); // mu-law
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate, 28);
+  header.writeUInt16LE(1, 32);
+  header.writeUInt16LE(8, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Build the event S3 would send for a fixture's recordings, or the SQS
+ * event of them if the fixture has `sqs` set.
+ *
+ * @param {Object} fixture - The fixture.
+ * @param {Object} env - The lambdas' environment.
+ * @return {Object} - The event.
+ */
+function recordingEvent(fixture, env) {
+  const records = recordings(fixture).map(({key, eventTime}) => ({
+    eventVersion: '2.1',
+    eventSource: 'aws:s3',
+    awsRegion: env.AWS_REGION,
+    eventTime,
+    eventName: 'ObjectCreated:Put',
+    s3: {
+      bucket: {
+        name: env.VOICEMAIL_BUCKET,
+        arn: `arn:aws:s3:::${env.VOICEMAIL_BUCKET}`,
+      },
+      // S3 encodes keys like form values
+      object: {key: encodeURIComponent(key).replace(/%2F/g, '/')
+        .replace(/%20/g, '+'), size: 0},
+    },
+  }));
+  if (!fixture.sqs) {
+    return {Records: records};
+  }
+  return {
+    Records: records.map((record, index) => ({
+      messageId: `message-${index + 1}`,
+      eventSource: 'aws:sqs',
+      body: JSON.stringify({Records: [record]}),
+    })),
+  };
+}
+
+/**
+ * Finish a transcription job, with the fixture's transcript for its call.
+ *
+ * @param {Object} fixture - The fixture.
+ * @param {Object} job - The job.
+ * @return {void}
+ */
+function finishJob(fixture, job) {
+  const contactId = job.TranscriptionJobName.replace(/^voicemail_/, '');
+  const transcript = (fixture.transcripts || {})[contactId] ||
+    fixture.transcript || '';
+  job.CompletionTime = new Date();
+  if (transcript.failureReason) {
+    job.TranscriptionJobStatus = 'FAILED';
+    job.FailureReason = transcript.failureReason;
+    return;
+  }
+  job.TranscriptionJobStatus = 'COMPLETED';
+  // As if the first language option was identified
+  job.LanguageCode = job.LanguageCode || (job.LanguageOptions || ['en-US'])[0];
+  const outputs = `https://s3.${REGION}.amazonaws.com/aws-transcribe-` +
+    `${REGION}-prod/`;
+  // Jobs that only output a redacted transcript just link that
+  job.Transcript = job.ContentRedaction ? {
+    RedactedTranscriptFileUri:
+      `${outputs}redacted-${job.TranscriptionJobName}.json`,
+  } : {
+    TranscriptFileUri: `${outputs}${job.TranscriptionJobName}.json`,
+  };
+  job.results = typeof transcript === 'string' ?
+    toResults(transcript) : transcript;
+}
+
+/**
+ * Make the results Transcribe would give for some text, spoken by the
+ * caller at two words a second. Words followed by "(?)" get a low
+ * confidence, and "[PII]" stands for a word Transcribe redacted.
+ *
+ * @param {string} text - The text.
+ * @return {Object} - The job's results.
+ */
+function toResults(text) {
+  let time = 0;
+  const words = text.match(/\[PII\]|[\w'-]+(?:\(\?\))?|[.,?!]/g) || [];
+  const items = words.map((word) => {
+    const content = word.replace('(?)', '');
+    if (/^[.,?!]$/.test(content)) {
+      return {
+        type: 'punctuation',
+        alternatives: [{confidence: '0.0', content}],
+      };
+    }
+    time += 0.5;
+    return {
+      type: 'pronunciation',
+      start_time: (time - 0.5).toFixed(2),
+      end_time: (time - 0.1).toFixed(2),
+      alternatives: [{
+        confidence: content === word ? '0.98' : '0.40',
+        content,
+      }],
+    };
+  });
+  return {
+    transcripts: [{transcript: text.replace(/\(\?\)/g, '')}],
+    items,
+  };
+}
+
+/**
+ * Forget the loaded src modules, so they're loaded afresh next time.
+ *
+ * @return {void}
+ */
+function clearSrcModules() {
+  Object.keys(require.cache)
+    .filter((filename) => filename.startsWith(SRC))
+    .forEach((filename) => delete require.cache[filename]);
+}
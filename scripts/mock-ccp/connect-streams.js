@@ -0,0 +1,81 @@
+/* eslint-env browser */
+/**
+ * A fake of the parts of amazon-connect-streams the voicemail agent uses,
+ * backed by the mock CCP's /api/state, so the streams availability strategy
+ * can be tried locally.
+ */
+(function() {
+  const AgentStateType = {
+    ROUTABLE: 'routable',
+    NOT_ROUTABLE: 'not_routable',
+    OFFLINE: 'offline',
+  };
+  let stateUrl = null;
+  let agent = null;
+  let agentCallbacks = [];
+
+  /**
+   * The agent, with the state last fetched from the mock CCP.
+   *
+   * @param {Object} state - The agent's state, with its `name` and `type`.
+   */
+  function Agent(state) {
+    this.state = state;
+  }
+
+  Agent.prototype.getState = function() {
+    return this.state;
+  };
+
+  Agent.prototype.getContacts = function() {
+    return this.state.name === 'Connected' ? [{}] : [];
+  };
+
+  Agent.prototype.getAgentStates = function() {
+    return [
+      {name: 'Available', type: AgentStateType.ROUTABLE},
+      {name: 'Offline', type: AgentStateType.OFFLINE},
+    ];
+  };
+
+  Agent.prototype.setState = function(state, callbacks) {
+    const self = this;
+    fetch(stateUrl, {
+      method: 'PUT',
+      credentials: 'include',
+      body: JSON.stringify({name: state.name}),
+    }).then(function(res) {
+      return res.json();
+    }).then(function(newState) {
+      self.state = {name: newState.name, type: state.type};
+      callbacks.success();
+    }, callbacks.failure);
+  };
+
+  window.connect = {
+    AgentStateType: AgentStateType,
+    core: {
+      initCCP: function(container, options) {
+        stateUrl = new URL('/api/state', options.ccpUrl).href;
+        fetch(stateUrl, {credentials: 'include'}).then(function(res) {
+          // Like the real CCP, the agent is never initialised until logged in
+          if (res.ok) {
+            return res.json().then(function(state) {
+              agent = new Agent(state);
+              agentCallbacks.forEach(function(callback) {
+                callback(agent);
+              });
+            });
+          }
+        });
+      },
+    },
+    agent: function(callback) {
+      if (agent) {
+        callback(agent);
+      } else {
+        agentCallbacks.push(callback);
+      }
+    },
+  };
+})();
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * A mock Amazon Connect CCP, to try the voicemail agent's login and each
+ * availability strategy locally without a Connect instance.
+ *
+ * Usage:
+ *   node scripts/mock-ccp/server.js [--port <port>] [--state <agentState>] \
+ *     [--restyled]
+ *
+ * It serves:
+ *   /login               A login form, that accepts any username and password.
+ *   /ccp                 The CCP, redirecting to /login until logged in.
+ *   /connect-streams.js  A fake amazon-connect-streams, for the streams
+ *                        strategy (set STREAMS_SCRIPT_URL to it).
+ *   /api/state           The agent's state, to GET, PUT, or POST to change
+ *                        from a test, e.g. `{"name": "Offline"}`.
+ *
+ * --restyled renames the CCP's CSS classes, like an AWS restyle would, so
+ * the dom strategy fails and the others have to be relied on.
+ *
+ * Tests can start their own with exports.createServer.
+ */
+const USAGE = 'Usage: server.js [--port <port>] [--state <agentState>] ' +
+  '[--restyled]';
+const FLAGS = ['--restyled'];
+const SESSION_COOKIE = 'mock-ccp-session=1';
+const STATE_TYPES = {
+  'Available': 'routable',
+  'Offline': 'offline',
+  'Connected': 'system',
+  'Missed': 'error',
+  'Error': 'error',
+};
+
+/**
+ * Create a mock CCP server, which isn't listening yet.
+ *
+ * @param {Object} options - How the mock behaves.
+ * @param {string} options.state - The agent's initial state, e.g. 'Offline'.
+ * @param {boolean} options.restyled - Rename the CCP's CSS classes.
+ * @return {Object} - The HTTP server, with `agentState()` to get the agent's
+ *                    current state.
+ */
+exports.createServer = (options = {}) => {
+  let agentState = options.state || 'Offline';
+
+  const server = http.createServer((request, response) => {
+    const url = request.url.split('?')[0];
+    const loggedIn = (request.headers.cookie || '').includes(SESSION_COOKIE);
+    console.log(`${request.method} ${url}${loggedIn ? ' (logged in)' : ''}`);
+
+    if (url === '/login' && request.method === 'POST') {
+      response.writeHead(302, {
+        'Location': '/ccp',
+        'Set-Cookie': `${SESSION_COOKIE}; Path=/`,
+      });
+      response.end();
+    } else if (url === '/login') {
+      sendFile(response, 'login.html', 'text/html');
+    } else if (url === '/ccp' && !loggedIn) {
+      response.writeHead(302, {'Location': '/login'});
+      response.end();
+    } else if (url === '/ccp') {
+      sendFile(response, 'ccp.html', 'text/html', (html) => {
+        return options.restyled ? html.replace(/ccpState|setAvailButton/g,
+          (name) => `${name}-v2`) : html;
+      });
+    } else if (url === '/connect-streams.js') {
+      sendFile(response, 'connect-streams.js', 'application/javascript');
+    } else if (url === '/api/state' && request.method === 'GET') {
+      sendJson(response, loggedIn ? 200 : 401, {
+        name: agentState,
+        type: STATE_TYPES[agentState] || 'not_routable',
+      });
+    } else if (url === '/api/state') {
+      let body = '';
+      request.on('data', (chunk) => body += chunk);
+      request.on('end', () => {
+        agentState = JSON.parse(body || '{}').name || agentState;
+        console.log(`agent state is now ${agentState}`);
+        sendJson(response, 200, {name: agentState});
+      });
+    } else {
+      sendJson(response, 404, {message: 'Not found'});
+    }
+  });
+  server.agentState = () => agentState;
+  return server;
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const server = exports.createServer(options);
+  server.listen(options.port || 8080, () => {
+    console.log(`Mock CCP at http://localhost:${server.address().port}/ccp, ` +
+      `agent is ${server.agentState()}`);
+  });
+}
+
+/**
+ * Respond with one of the mock's files.
+ *
+ * @param {Object} response - The HTTP response.
+ * @param {string} fileName - Name of the file in this directory.
+ * @param {string} contentType - MIME type of the file.
+ * @param {Function} transform - Optionally changes the file's content.
+ */
+function sendFile(response, fileName, contentType, transform) {
+  const content = fs.readFileSync(path.join(__dirname, fileName), 'utf8');
+  response.writeHead(200, {'Content-Type': contentType});
+  response.end(transform ? transform(content) : content);
+}
+
+/**
+ * Respond with JSON.
+ *
+ * @param {Object} response - The HTTP response.
+ * @param {integer} statusCode - HTTP status code.
+ * @param {Object} body - The response body.
+ */
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, {'Content-Type': 'application/json'});
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Parse command line arguments into options.
+ *
+ * @param {Array} args - The command line arguments.
+ * @return {Object} - Options, keyed by camel cased flag name.
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      throw new TypeError(USAGE);
+    }
+    const name = args[i].slice(2);
+    if (FLAGS.includes(args[i])) {
+      options[name] = true;
+    } else {
+      options[name] = args[++i];
+    }
+  }
+  return options;
+}
@@ -0,0 +1,81 @@
+const AWS = require('aws-sdk');
+
+/**
+ * Replay past voicemails through processing, by invoking the deployed
+ * replayVoicemail lambda, and print what happened to each of them.
+ *
+ * Usage:
+ *   node scripts/replay.js [--region <region>] [--stage <stage>] \
+ *     (--contact-id <contactId> | --key <objectKey> | \
+ *      --from <isoDate> [--to <isoDate>] [--prefix <prefix>]) \
+ *     [--dry-run] [--force]
+ */
+const USAGE = 'Usage: replay.js [--region <region>] [--stage <stage>] ' +
+  '(--contact-id <contactId> | --key <objectKey> | ' +
+  '--from <isoDate> [--to <isoDate>] [--prefix <prefix>]) ' +
+  '[--dry-run] [--force]';
+const SERVICE = 'serverless-voicemail';
+const FLAGS = ['--dry-run', '--force'];
+
+const options = parseArgs(process.argv.slice(2));
+const Lambda = new AWS.Lambda({
+  apiVersion: '2015-03-31',
+  region: options.region || 'us-east-1',
+});
+
+(async () => {
+  if (!options.contactId && !options.key && !options.from) {
+    throw new TypeError(USAGE);
+  }
+
+  const functionName =
+    `${SERVICE}-${options.stage || 'prod'}-replayVoicemail`;
+  console.log(`Invoking ${functionName}...`);
+  const result = await Lambda.invoke({
+    FunctionName: functionName,
+    Payload: JSON.stringify({
+      contactId: options.contactId,
+      objectKey: options.key,
+      from: options.from,
+      to: options.to,
+      prefix: options.prefix,
+      dryRun: Boolean(options.dryRun),
+      force: Boolean(options.force),
+    }),
+  }).promise();
+
+  const payload = JSON.parse(result.Payload);
+  if (result.FunctionError) {
+    throw new Error(`${payload.errorType}: ${payload.errorMessage}`);
+  }
+  console.log(JSON.stringify(payload, null, 2));
+  if (payload.replayed.some(({error}) => error)) {
+    process.exitCode = 1;
+  }
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
+
+/**
+ * Parse command line arguments of the form `--name value` and `--flag`.
+ *
+ * @param {Array} args - The command line arguments.
+ * @return {Object} - The options, keyed by camel-cased name.
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      throw new TypeError(USAGE);
+    }
+    const name = args[i].slice(2)
+      .replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (FLAGS.includes(args[i])) {
+      options[name] = true;
+    } else {
+      options[name] = args[++i];
+    }
+  }
+  return options;
+}
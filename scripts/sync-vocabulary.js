@@ -0,0 +1,102 @@
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create or update the custom vocabulary and vocabulary filter used when
+ * transcribing voicemails, from the word lists in the transcribe directory.
+ * Run after each deployment, so the lists are managed alongside the stack.
+ *
+ * Usage:
+ *   node scripts/sync-vocabulary.js <region> <languageCode> \
+ *     <vocabularyName> [vocabularyFilterName]
+ */
+const [region, languageCode, vocabularyName, vocabularyFilterName] =
+  process.argv.slice(2);
+const VOCABULARY_FILE = path.join(__dirname, '../transcribe/vocabulary.txt');
+const VOCABULARY_FILTER_FILE =
+  path.join(__dirname, '../transcribe/vocabulary-filter.txt');
+
+const Transcribe = new AWS.TranscribeService({
+  apiVersion: '2017-10-26',
+  region,
+});
+
+(async () => {
+  if (!region || !languageCode || !vocabularyName) {
+    throw new TypeError('Usage: sync-vocabulary.js ' +
+      '<region> <languageCode> <vocabularyName> [vocabularyFilterName]');
+  }
+
+  const phrases = readWordList(VOCABULARY_FILE);
+  if (phrases.length > 0) {
+    const params = {
+      VocabularyName: vocabularyName,
+      LanguageCode: languageCode,
+      Phrases: phrases,
+    };
+    if (await exists('getVocabulary', {VocabularyName: vocabularyName})) {
+      console.log(`Updating vocabulary ${vocabularyName}...`);
+      await Transcribe.updateVocabulary(params).promise();
+    } else {
+      console.log(`Creating vocabulary ${vocabularyName}...`);
+      await Transcribe.createVocabulary(params).promise();
+    }
+  }
+
+  const words = readWordList(VOCABULARY_FILTER_FILE);
+  if (vocabularyFilterName && words.length > 0) {
+    const params = {
+      VocabularyFilterName: vocabularyFilterName,
+      Words: words,
+    };
+    const filterParams = {VocabularyFilterName: vocabularyFilterName};
+    if (await exists('getVocabularyFilter', filterParams)) {
+      console.log(`Updating vocabulary filter ${vocabularyFilterName}...`);
+      await Transcribe.updateVocabularyFilter(params).promise();
+    } else {
+      console.log(`Creating vocabulary filter ${vocabularyFilterName}...`);
+      await Transcribe.createVocabularyFilter({
+        ...params,
+        LanguageCode: languageCode,
+      }).promise();
+    }
+  }
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
+
+/**
+ * Read a list of words or phrases, one per line, ignoring blank lines
+ * and comments.
+ *
+ * @param {string} file - Path of the file to read.
+ * @return {Array} - The words or phrases in the file.
+ */
+function readWordList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Check whether a Transcribe resource exists.
+ *
+ * @param {string} operation - The Transcribe get operation for the resource.
+ * @param {Object} params - Parameters identifying the resource.
+ * @return {boolean} - True if the resource exists.
+ */
+async function exists(operation, params) {
+  try {
+    await Transcribe[operation](params).promise();
+    return true;
+  } catch (err) {
+    // Transcribe reports some missing resources as bad requests
+    if (['NotFoundException', 'BadRequestException'].includes(err.code)) {
+      return false;
+    }
+    throw err;
+  }
+}
@@ -1,17 +1,29 @@
-const chromium = require('chrome-aws-lambda');
-const puppeteer = require('puppeteer-core');
+const availability = require('./availability');
+const cloudwatch = require('./aws/cloudwatch');
+const connect = require('./aws/connect');
 const sns = require('./aws/sns');
+const browsers = require('./browser');
+const diagnostics = require('./diagnostics');
+const login = require('./login');
+const profiles = require('./profiles');
+const schedules = require('./schedules');
 
 const NOTIFICATION_TOPIC = process.env.NOTIFICATION_TOPIC;
 const AGENT_LOGIN_TOPIC = process.env.AGENT_LOGIN_TOPIC;
-const CCP_URL = process.env.CCP_URL;
-const CCP_USERNAME = process.env.CCP_USERNAME;
-const CCP_PASSWORD = process.env.CCP_PASSWORD;
+const AGENT_ALERT_TOPIC = process.env.AGENT_ALERT_TOPIC || NOTIFICATION_TOPIC;
+const AGENT_REPAIR_ATTEMPTS =
+  parseInt(process.env.AGENT_REPAIR_ATTEMPTS || '3', 10);
+const METRICS_NAMESPACE = process.env.METRICS_NAMESPACE;
 const CALL_IN_PROGRESS_EVENT = 'CALL_IN_PROGRESS';
+const REPAIR_DELAY_MS = 10000;
+// Agent states that the session needs repairing from, besides being logged out
+const UNHEALTHY_STATUS = /offline|error|fail|missed|rejected/i;
 
 /**
  * Trigger another lambda function via SNS, to avoid blocking calling processes
- * like Amazon Connect Call Flows.
+ * like Amazon Connect Call Flows. The agent profile to log in is the one
+ * named by the contact flow's `profile` parameter, or the one for the
+ * contact flow's instance.
  *
  * @param {Object} event - The event that triggered our lambda.
  * @return {Object} result - Indicates successful run
@@ -20,11 +32,15 @@ exports.loginAsync = async (event) => {
   // Just send an SNS message to trigger the lambda
   // that does the logging in.
   try {
-    const contactId = event.Details.ContactData.ContactId;
-    const parameters = event.Details.Parameters;
-    exports.sendLoginEvent({
+    const {ContactId: contactId, InstanceARN: instanceArn} =
+      event.Details.ContactData;
+    const parameters = event.Details.Parameters || {};
+    const profile = parameters.profile ||
+      (await profiles.forInstance(instanceArn)).name;
+    await exports.sendLoginEvent({
       contactId,
       parameters,
+      profile,
       event: CALL_IN_PROGRESS_EVENT,
     });
     return {success: null, deferred: true};
@@ -43,7 +59,9 @@ exports.loginAsync = async (event) => {
 /**
  * Start a headless chrome browser and use it to log-in to the Amazon Connect
  * Control Portal, to make an agent available for a queue used to take
- * voicemail messages.
+ * voicemail messages. Login events name the agent profile to log in, and
+ * every profile is logged in on the agentLoginSchedule, apart from those
+ * outside the hours they're kept available (see isScheduled).
  *
  * @param {Object} event - The event that triggered our lambda.
  * @return {void}
@@ -51,17 +69,31 @@ exports.loginAsync = async (event) => {
 exports.login = async (event) => {
   console.log('event:');
   console.log(JSON.stringify(event));
+  let browser;
   try {
-    // For keeping the browser launched
-    console.log('launching browser...');
-    const browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath,
-      headless: chromium.headless,
-    });
+    let loginProfiles = await getEventProfiles(event);
+    if (event.source === 'aws.events') {
+      loginProfiles = await filterAsync(loginProfiles, isScheduled);
+    }
+    if (loginProfiles.length === 0) {
+      console.log('No agents are scheduled to be available now');
+      return;
+    }
+    browser = await browsers.launch();
     console.log('running automation...');
-    return await exports.run(browser);
+    const errors = [];
+    for (let profile of loginProfiles) {
+      try {
+        await exports.run(browser, profile);
+      } catch (err) {
+        console.error(err);
+        errors.push(`${profile.name}: ${err}`);
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    return;
   } catch (err) {
     console.error(err);
     await sns.publish({
@@ -71,9 +103,140 @@ exports.login = async (event) => {
         ${err}`,
     });
     throw err;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
   };
 };
 
+/**
+ * Check each voicemail agent's CCP session on a schedule, so a session that
+ * drops during the day is noticed before calls go unanswered. Each agent's
+ * status is reported as CloudWatch metrics, and if they're logged out,
+ * Offline or in an error state, logging in is retried up to
+ * AGENT_REPAIR_ATTEMPTS times. If an agent still isn't available, an alert
+ * is sent to the AGENT_ALERT_TOPIC. Agents outside the hours they're kept
+ * available are left alone.
+ *
+ * @param {Object} event - The scheduled event that triggered our lambda.
+ * @return {Array} - For each agent profile, the agent's `status` before and
+ *                   after any repair, and how many repair `attempts` were
+ *                   made, or that it isn't `scheduled`.
+ */
+exports.probe = async (event) => {
+  let browser;
+  try {
+    const probeProfiles = await getEventProfiles(event);
+    const results = [];
+    for (let profile of probeProfiles) {
+      try {
+        const scheduled = await isScheduled(profile);
+        await cloudwatch.putMetrics({
+          namespace: METRICS_NAMESPACE,
+          metrics: [{
+            name: 'AgentScheduled',
+            value: scheduled ? 1 : 0,
+            dimensions: {Profile: profile.name},
+          }],
+        });
+        if (!scheduled) {
+          console.log(`${profile.name} isn't scheduled to be available now`);
+          results.push({profile: profile.name, scheduled});
+          continue;
+        }
+        browser = browser || await browsers.launch();
+        results.push(await exports.checkHealth(browser, profile));
+      } catch (err) {
+        console.error(err);
+        await cloudwatch.putMetrics({
+          namespace: METRICS_NAMESPACE,
+          metrics: [{
+            name: 'AgentAvailable',
+            value: 0,
+            dimensions: {Profile: profile.name},
+          }],
+        });
+        await sendAgentAlert(profile, `The voicemail agent's health check \
+failed:
+          ${err}`);
+        results.push({profile: profile.name, error: `${err}`});
+      }
+    }
+    return results;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+};
+
+/**
+ * Check an agent's status in the given browser instance, repairing their
+ * session if needed. Each agent has its own browser context, so agents on
+ * the same instance don't share a login session.
+ *
+ * @param {Object} browser - A puppeteer browser instance / controller.
+ * @param {Object} profile - The agent profile to check.
+ * @return {Object} result - As returned by exports.probe for each profile.
+ */
+exports.checkHealth = async (browser, profile) => {
+  const context = await browser.createIncognitoBrowserContext();
+  const page = await context.newPage();
+  const recording = await diagnostics.record(page, profile.name);
+  try {
+    const initialStatus =
+      await openCcp(page, profile, {waitForElement: true});
+    let status = initialStatus;
+    let attempts = 0;
+    let lastError = null;
+    while (needsRepair(status) && attempts < AGENT_REPAIR_ATTEMPTS) {
+      if (attempts > 0) {
+        await wait(REPAIR_DELAY_MS);
+      }
+      attempts++;
+      console.log(`repairing agent session (attempt ${attempts})...`);
+      try {
+        await ensureAvailable(page, profile, status);
+      } catch (err) {
+        console.error('Failed repairing agent session:');
+        console.error(err);
+        lastError = err;
+      }
+      status = await openCcp(page, profile, {waitForElement: true});
+    }
+
+    const available = !needsRepair(status);
+    const dimensions = {Profile: profile.name};
+    await cloudwatch.putMetrics({
+      namespace: METRICS_NAMESPACE,
+      metrics: [
+        {name: 'AgentAvailable', value: available ? 1 : 0, dimensions},
+        {
+          name: 'AgentStatus',
+          value: 1,
+          dimensions: {...dimensions, Status: initialStatus || 'Logged out'},
+        },
+        {name: 'AgentRepairAttempts', value: attempts, dimensions},
+      ],
+    });
+    if (!available) {
+      const artefacts = await diagnostics.save(recording, lastError);
+      await sendAgentAlert(profile, `The voicemail agent is not available to \
+take calls.
+        Status: ${status || 'Logged out'}
+        Failed to repair their CCP session after ${attempts} attempts.
+        ${lastError || ''}
+${diagnostics.describe(artefacts)}`);
+    }
+    return {profile: profile.name, initialStatus, status, attempts,
+      available};
+  } finally {
+    await diagnostics.stop(recording);
+    await context.close();
+  }
+};
+
 /**
  * Send an SNS message to a topic that triggers the login lambda.
  *
@@ -88,144 +251,224 @@ exports.sendLoginEvent = async (params) => {
 };
 
 /**
- * Perform the actual login steps within the given browser instance.
+ * Perform the actual login steps for an agent within the given browser
+ * instance, in a browser context of its own. If they fail, diagnostics are
+ * saved and linked to from the error.
  *
  * @param {Object} browser - A puppeteer browser instance / controller.
+ * @param {Object} profile - The agent profile to log in.
  * @return {void}
  */
-exports.run = async (browser) => {
-  console.log('opening new page');
-  const page = await browser.newPage();
+exports.run = async (browser, profile) => {
+  console.log(`opening new page for ${profile.name}`);
+  const context = await browser.createIncognitoBrowserContext();
+  const page = await context.newPage();
   console.log('opened page');
-  const url = CCP_URL;
+  const recording = await diagnostics.record(page, profile.name);
 
   try {
-    // Try to visit the CCP page
-    console.log(`visiting ${url}`);
-    await page.goto(url, {waitUntil: 'domcontentloaded'});
-    console.log(`Current Url: ${page.url()}`);
-
-    let loggedIn = false;
-    if (page.url() === url) {
-      // We weren't redirected to a different url, so might
-      // already be logged in from a previous lambda invocation
-      console.log('checking if already logged in...');
-      let status = await getAgentStatus(page);
-      if (status != null) {
-        loggedIn = true;
-      }
-    }
-
-    if (!loggedIn) {
-      await fillAndSubmitLoginForm(page);
-    }
-
-    await makeAgentAvailable(page);
+    await ensureAvailable(page, profile, await openCcp(page, profile));
   } catch (err) {
     console.error(err);
-    console.error('Unexpected error, dumping html source:');
+    console.error('Unexpected error, dumping scrubbed html source:');
     console.error('====================================');
-    console.error(await page.content());
+    console.error(diagnostics.scrub(await page.content()));
     console.error('====================================');
-    throw new Error('Failed to log agent in: ' + err);
+    const artefacts = await diagnostics.save(recording, err);
+    throw new Error(`Failed to log agent in: ${err}
+${diagnostics.describe(artefacts)}`);
   } finally {
-    await page.close();
-    await browser.close();
+    await diagnostics.stop(recording);
+    await context.close();
   }
 
   return;
 };
 
 /**
- * Determine the agent's current status, given an instance of
- * a page possibly logged-in to the Amazon Connect CCP portal.
+ * Get the agent profiles a login or probe event is for. SNS login events and
+ * direct invocations can name a `profile`, otherwise all profiles are used.
+ *
+ * @param {Object} event - The event that triggered our lambda.
+ * @return {Array} - The agent profiles.
+ */
+async function getEventProfiles(event = {}) {
+  const messages = (event.Records || [])
+    .filter((record) => record.Sns)
+    .map((record) => JSON.parse(record.Sns.Message || '{}'));
+  const names = messages.concat(event)
+    .map(({profile}) => profile)
+    .filter((name) => name);
+  if (names.length === 0) {
+    return await profiles.list();
+  }
+  return await Promise.all(Array.from(new Set(names)).map(profiles.get));
+}
+
+/**
+ * Check whether an agent should be kept available now, according to their
+ * profile's `schedule` (see schedules.get). They're kept available while
+ * it's open, or while it's closed if their `availableHours` are
+ * 'after-hours'. Agents without a schedule are always kept available.
+ *
+ * @param {Object} profile - The agent profile.
+ * @return {boolean} - True if the agent should be available now.
+ */
+async function isScheduled(profile) {
+  if (!profile.schedule) {
+    return true;
+  }
+  const {hours} = schedules.status(await schedules.get(profile.schedule));
+  return hours === (profile.availableHours || 'in-hours');
+}
+
+/**
+ * Filter a list with an async predicate, checking one item at a time.
+ *
+ * @param {Array} items - The items to filter.
+ * @param {Function} predicate - Resolves to true for items to keep.
+ * @return {Array} - The items kept.
+ */
+async function filterAsync(items, predicate) {
+  const kept = [];
+  for (let item of items) {
+    if (await predicate(item)) {
+      kept.push(item);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Visit the CCP page and get the agent's status, if they're logged in.
  *
  * @param {Object} page - A puppeteer page instance.
- * @param {Object} options - Options altering the behaviour of the check.
- * @param {boolean} options.waitForElement - True if we should wait for the
- *                    expected element that contains the status to appear,
- *                    otherwise we should try looking within the page as it
- *                    currently is.
- * @return {string} - The status of the agent, if found.
- */
-async function getAgentStatus(page, options = {waitForElement: false}) {
-  await page.waitForSelector('body', {visible: true});
-  let status = null;
+ * @param {Object} profile - The agent profile, with its `ccpUrl`.
+ * @param {Object} options - Options for availability.getStatus.
+ * @return {string} - The status of the agent, or null if not logged in.
+ */
+async function openCcp(page, profile, options) {
+  const {ccpUrl} = profile;
+  console.log(`visiting ${ccpUrl}`);
+  await page.goto(ccpUrl, {waitUntil: 'domcontentloaded'});
+  console.log(`Current Url: ${page.url()}`);
+  if (page.url() !== ccpUrl) {
+    // Redirected to log in
+    return null;
+  }
+  // We weren't redirected to a different url, so might
+  // already be logged in from a previous lambda invocation
+  console.log('checking if already logged in...');
+  return await availability.getStatus(page, profile, options);
+}
+
+/**
+ * Log in if needed and make the agent available, given a page open to the
+ * CCP.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {Object} profile - The agent profile.
+ * @param {string} status - The agent's status, or null if not logged in.
+ * @return {void}
+ */
+async function ensureAvailable(page, profile, status) {
+  if (status == null) {
+    await login.login(page, profile);
+  }
   try {
-    if (options.waitForElement) {
-      console.log('waiting for state element to appear...');
-      await page.waitForSelector('.ccpState', {visible: true});
-    }
-    status = await page.$eval('.ccpState', (el) => {
-      return el.textContent;
-    });
-    if (status != null) {
-      // status element exists, but might not be initialised yet
-      // wait for action buttons to appear then grab status again
-      console.log('waiting for state change button to appear...');
-      await page.waitForSelector('button', {visible: true});
-      status = await page.$eval('.ccpState', (el) => {
-        return el.textContent;
-      });
-    }
+    await checkRoutingProfile(profile);
   } catch (err) {
-    // Might not be logged in yet
-    console.error('Unable to retrieve agent status');
+    // Still make the agent available, with whatever routing they have
+    console.error(`Failed checking the routing profile of ${profile.name}:`);
+    console.error(err);
   }
-  console.log('Agent status: ' + status);
-  return status;
+  await availability.makeAvailable(page, profile);
 }
 
 /**
- * Log in as an agent, given a page open to the Amazon Connect CCP login page.
+ * Make sure an agent has their profile's `routingProfile`, so they take
+ * calls from the right queues, and warn if it doesn't include all of the
+ * profile's `queues`.
  *
- * @param {Object} page - A puppeteer page instance.
+ * @param {Object} profile - The agent profile.
  * @return {void}
  */
-async function fillAndSubmitLoginForm(page) {
-  // Wait for redirects
-  console.log('waiting for username input');
-  await page.waitForSelector('input[type="username"]', {visible: true});
+async function checkRoutingProfile(profile) {
+  if (!profile.routingProfile) {
+    return;
+  }
+  const {instanceId, region} = profile;
+  const routingProfile = (await connect.listRoutingProfiles({
+    instanceId,
+    region,
+  })).find(({Id, Name}) => [Id, Name].includes(profile.routingProfile));
+  if (!routingProfile) {
+    throw new TypeError(`Unknown routing profile: ${profile.routingProfile}`);
+  }
 
-  if (CCP_USERNAME == null || CCP_PASSWORD == null) {
-    throw new TypeError('Missing agent username or password');
+  const userId = await profiles.userId(profile);
+  const user = await connect.describeUser({instanceId, region, userId});
+  if (user.RoutingProfileId !== routingProfile.Id) {
+    console.log(`changing routing profile to ${routingProfile.Name}...`);
+    await connect.updateUserRoutingProfile({
+      instanceId,
+      region,
+      userId,
+      routingProfileId: routingProfile.Id,
+    });
   }
 
-  console.log('filling login form...');
-  await page.type('input[type="username"]', CCP_USERNAME);
-  await page.focus('input[type="password"]');
-  await page.keyboard.type(CCP_PASSWORD);
-  await page.keyboard.press('Enter');
-  console.log('Submitted login form');
+  const queues = await connect.listRoutingProfileQueues({
+    instanceId,
+    region,
+    routingProfileId: routingProfile.Id,
+  });
+  const missing = profile.queues.filter((queue) => {
+    return !queues.some(({QueueId, QueueName}) => {
+      return [QueueId, QueueName].includes(queue);
+    });
+  });
+  if (missing.length > 0) {
+    console.error(`Routing profile ${routingProfile.Name} doesn't take calls ` +
+      `from queues: ${missing.join(', ')}`);
+  }
 }
 
 /**
- * Set an agent's status to available, given a page logged-in to the Amazon
- * Connect CCP portal. If the agent is already available, or currently on a
- * call, no action will be taken.
+ * Check whether the agent's CCP session needs repairing, because they're
+ * logged out, Offline or in an error state.
  *
- * @param {Object} page - A puppeteer page instance.
- * @return {void}
+ * @param {string} status - The agent's status, or null if not logged in.
+ * @return {boolean} - True if the session needs repairing.
  */
-async function makeAgentAvailable(page) {
-  console.log('Getting agent status...');
-  let agentStatus = await getAgentStatus(page, {waitForElement: true});
-  if (agentStatus != null && /available/i.test(agentStatus)) {
-    console.log('Agent is already Available, nothing to do here');
-  } else if (agentStatus != null && /connected/i.test(agentStatus)) {
-    console.log('Agent is taking a call, leaving it alone');
-  } else {
-    console.log('Setting agent to Available...');
-    await page.click('button.setAvailButton');
-    await page.waitForSelector('button.setAvailButton', {hidden: true});
-
-    let agentStatus = await getAgentStatus(page);
-    if (agentStatus != null && /(available|connected)/i.test(agentStatus)) {
-      console.log('Successfully set agent to Available');
-    } else {
-      throw new Error('Failed to make agent available');
-    }
-  }
+function needsRepair(status) {
+  return status == null || UNHEALTHY_STATUS.test(status);
+}
+
+/**
+ * Alert that a voicemail agent isn't available, separately from voicemail
+ * processing failures.
+ *
+ * @param {Object} profile - The agent profile.
+ * @param {string} message - Details of the problem.
+ * @return {Object} - Published SNS message details.
+ */
+async function sendAgentAlert(profile, message) {
+  return await sns.publish({
+    topicArn: AGENT_ALERT_TOPIC,
+    subject: `Voicemail agent unavailable: ${profile.name}`,
+    message,
+  });
+}
+
+/**
+ * Return a Promise that resolves after the given amount of time.
+ *
+ * @param {integer} ms - How long to wait before resolving in milliseconds.
+ * @return {Promise} - Promise that will resolve after the given amount of time.
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 // JSDOC TYPE DEFINITIONS:
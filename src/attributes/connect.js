@@ -0,0 +1,49 @@
+const connect = require('../aws/connect');
+
+/**
+ * Get a call's attributes from the Amazon Connect API. Attributes set by
+ * contact flows belong to the call's initial contact, so are fetched for that
+ * in case the call was transferred.
+ *
+ * @param {Object} call - The call to get attributes for.
+ * @param {string} call.contactId - The ID of the call in Amazon Connect.
+ * @param {Object} call.profile - The agent profile of the call's instance,
+ *                                with its `instanceId` and `region`.
+ * @return {Object} - Attributes set by contact flows, as strings, plus a
+ *                    `contact` attribute with details of the call.
+ */
+exports.getAttributes = async ({contactId, profile}) => {
+  const {instanceId, region} = profile;
+  if (!instanceId) {
+    throw new TypeError(`No Connect instance is set for ${profile.name}`);
+  }
+  const contact =
+    await connect.describeContact({instanceId, region, contactId});
+  const attributes = await connect.getContactAttributes({
+    instanceId,
+    region,
+    initialContactId: contact.InitialContactId || contactId,
+  });
+
+  return {
+    ...attributes,
+    contact: {
+      channel: contact.Channel,
+      initiationMethod: contact.InitiationMethod,
+      initiationTimestamp: toISO(contact.InitiationTimestamp),
+      disconnectTimestamp: toISO(contact.DisconnectTimestamp),
+      queueId: contact.QueueInfo && contact.QueueInfo.Id,
+      agentId: contact.AgentInfo && contact.AgentInfo.Id,
+    },
+  };
+};
+
+/**
+ * Format a timestamp from the AWS SDK as an ISO 8601 string.
+ *
+ * @param {Date} date - The timestamp, if there is one.
+ * @return {string} - The formatted timestamp, or undefined.
+ */
+function toISO(date) {
+  return date ? date.toISOString() : undefined;
+}
@@ -0,0 +1,100 @@
+const connect = require('./connect');
+const logs = require('./logs');
+
+const PROVIDERS = {connect, logs};
+const CONTACT_ATTRIBUTE_SOURCES = (process.env.CONTACT_ATTRIBUTE_SOURCES ||
+  'connect,logs').split(',').map((name) => name.trim()).filter((name) => name);
+// Later sources are only searched while these attributes are still missing
+const REQUIRED_ATTRIBUTES = ['voicemail'];
+// Contact flows set every attribute as a string, so convert the ones we use
+const ATTRIBUTE_TYPES = {
+  voicemail: 'boolean',
+  callingNumber: 'string',
+  purpose: 'string',
+  language: 'string',
+};
+
+/**
+ * Get the attributes of a call, from each of the CONTACT_ATTRIBUTE_SOURCES
+ * in turn until the REQUIRED_ATTRIBUTES have been found:
+ *
+ * - 'connect' uses the Amazon Connect GetContactAttributes and
+ *   DescribeContact APIs.
+ * - 'logs' searches the contact flow logs for SetAttributes entries, which
+ *   is slower and needs contact flow logging enabled.
+ *
+ * Sources that fail are skipped. Attributes from earlier sources take
+ * precedence, and known attributes are converted to their proper types,
+ * e.g. `voicemail` to a boolean.
+ *
+ * @param {Object} call - The call to get attributes for.
+ * @param {string} call.contactId - The ID of the call in Amazon Connect.
+ * @param {string} call.creationDate - When the call's recording was made.
+ * @param {Object} call.profile - The agent profile of the Connect
+ *                                instance the call was made to.
+ * @return {Object} attrs - The attributes found for the call.
+ * @return {string} attrs.callingNumber - Caller ID, if set by call flow.
+ * @return {string} attrs.purpose - Purpose the call, if set by call flow.
+ * @return {boolean} attrs.voicemail - Whether the call should be processed as
+ *                                     a voicemail message.
+ * @return {Object} attrs.contact - Details of the call from Amazon Connect,
+ *                                  if the 'connect' source was used.
+ */
+exports.getCallAttributes = async (call) => {
+  const attributes = {};
+  const errors = [];
+  for (let name of CONTACT_ATTRIBUTE_SOURCES) {
+    if (REQUIRED_ATTRIBUTES.every((key) => attributes[key] != null)) {
+      break;
+    }
+    try {
+      const provider = PROVIDERS[name];
+      if (!provider) {
+        throw new TypeError(`Unknown contact attribute source: ${name}`);
+      }
+      console.log(`getting call attributes from ${name}...`);
+      const found = await provider.getAttributes(call);
+      for (let key of Object.keys(found)) {
+        if (attributes[key] == null) {
+          attributes[key] = found[key];
+        }
+      }
+    } catch (err) {
+      console.error(`Failed getting call attributes from ${name}:`);
+      console.error(err);
+      errors.push(err);
+    }
+  }
+  if (errors.length === CONTACT_ATTRIBUTE_SOURCES.length) {
+    throw errors[errors.length - 1] ||
+      new TypeError('No contact attribute sources are configured');
+  }
+
+  const typed = {...attributes};
+  for (let key of Object.keys(ATTRIBUTE_TYPES)) {
+    if (typed[key] != null) {
+      typed[key] = convert(typed[key], ATTRIBUTE_TYPES[key]);
+    }
+  }
+  console.log('Call attributes:');
+  console.log(JSON.stringify(typed));
+  return typed;
+};
+
+/**
+ * Convert an attribute value to a type.
+ *
+ * @param {*} value - The attribute value, usually a string.
+ * @param {string} type - 'boolean', 'number' or 'string'.
+ * @return {*} - The converted value.
+ */
+function convert(value, type) {
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? value :
+      ['true', 'yes', '1'].includes(`${value}`.trim().toLowerCase());
+  }
+  if (type === 'number') {
+    return parseFloat(value);
+  }
+  return `${value}`;
+}
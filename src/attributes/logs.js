@@ -0,0 +1,47 @@
+const {DateTime} = require('luxon');
+
+const cwl = require('../aws/cwl');
+
+const SEARCH_PERIOD_IN_DAYS = 1;
+// Recordings are saved once the call ends, so logs can't be much later
+const SEARCH_MARGIN_IN_MINUTES = 15;
+
+/**
+ * Get a call's attributes from the SetAttributes entries in the Amazon
+ * Connect contact flow logs. This needs contact flow logging to be enabled,
+ * and searches the logs from up to SEARCH_PERIOD_IN_DAYS before the call's
+ * recording was made.
+ *
+ * @param {Object} call - The call to get attributes for.
+ * @param {string} call.contactId - The ID of the call in Amazon Connect.
+ * @param {string} call.creationDate - When the recording was made, as ISO
+ *                                     8601, defaults to now.
+ * @param {Object} call.profile - The agent profile of the call's instance,
+ *                                with its `logGroupName` and `region`.
+ * @return {Object} - Attributes set by contact flows, as strings.
+ */
+exports.getAttributes = async ({contactId, creationDate, profile}) => {
+  if (!profile.logGroupName) {
+    throw new TypeError(`No log group is set for ${profile.name}`);
+  }
+  const recorded = creationDate ?
+    DateTime.fromISO(creationDate) : DateTime.local();
+  const {events} = await cwl.filterLogEvents({
+    logGroupName: profile.logGroupName,
+    region: profile.region,
+    filterPattern: `{
+      ($.ContactId = "${contactId}") &&
+        ($.ContactFlowModuleType = "SetAttributes")
+    }`,
+    startTime: recorded.minus({days: SEARCH_PERIOD_IN_DAYS}).toMillis(),
+    endTime: recorded.plus({minutes: SEARCH_MARGIN_IN_MINUTES}).toMillis(),
+  });
+
+  const attributes = {};
+  for (let event of events) {
+    const message = JSON.parse(event.message);
+    const {Key, Value} = message.Parameters;
+    attributes[Key] = Value;
+  }
+  return attributes;
+};
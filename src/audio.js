@@ -0,0 +1,94 @@
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_ALAW = 6;
+const WAVE_FORMAT_MULAW = 7;
+// Byte value of silence in each format, for 8 bit samples
+const SILENCE = {
+  [WAVE_FORMAT_ALAW]: 0xD5,
+  [WAVE_FORMAT_MULAW]: 0xFF,
+};
+
+/**
+ * Read the format details of a WAV file.
+ *
+ * @param {Buffer} wav - Contents of the WAV file.
+ * @return {Object} info - Details of the audio.
+ * @return {integer} info.format - WAVE format code, e.g. 1 for PCM.
+ * @return {integer} info.channels - Number of audio channels.
+ * @return {integer} info.sampleRate - Samples per second.
+ * @return {integer} info.blockAlign - Bytes per sample for all channels.
+ * @return {integer} info.bitsPerSample - Bits per sample for one channel.
+ * @return {integer} info.dataOffset - Where the audio data starts.
+ * @return {integer} info.dataLength - Length of the audio data in bytes.
+ * @return {number} info.duration - Length of the audio in seconds.
+ */
+exports.wavInfo = (wav) => {
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' ||
+      wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new TypeError('Not a WAV file');
+  }
+
+  const info = {};
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const chunkId = wav.toString('ascii', offset, offset + 4);
+    const chunkSize = wav.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+    if (chunkId === 'fmt ') {
+      info.format = wav.readUInt16LE(chunkStart);
+      info.channels = wav.readUInt16LE(chunkStart + 2);
+      info.sampleRate = wav.readUInt32LE(chunkStart + 4);
+      info.blockAlign = wav.readUInt16LE(chunkStart + 12);
+      info.bitsPerSample = wav.readUInt16LE(chunkStart + 14);
+    } else if (chunkId === 'data') {
+      info.dataOffset = chunkStart;
+      info.dataLength = Math.min(chunkSize, wav.length - chunkStart);
+      break;
+    }
+    // Chunks are padded to an even number of bytes
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  if (info.format == null || info.dataOffset == null) {
+    throw new TypeError('WAV file is missing its fmt or data chunk');
+  }
+  info.duration = info.dataLength / (info.sampleRate * info.blockAlign);
+  return info;
+};
+
+/**
+ * Replace parts of a WAV file's audio with silence.
+ *
+ * @param {Buffer} wav - Contents of the WAV file.
+ * @param {Array} ranges - Parts to silence, as `{startTime, endTime}` in
+ *                         seconds from the start of the audio.
+ * @return {Buffer} - A copy of the WAV file with the ranges silenced.
+ */
+exports.silence = (wav, ranges) => {
+  const info = exports.wavInfo(wav);
+  if (![WAVE_FORMAT_PCM, WAVE_FORMAT_ALAW, WAVE_FORMAT_MULAW]
+      .includes(info.format)) {
+    throw new TypeError(`Unsupported WAV format: ${info.format}`);
+  }
+
+  // 8 bit PCM is unsigned, so silence is the middle value
+  let silence = 0;
+  if (info.format !== WAVE_FORMAT_PCM) {
+    silence = SILENCE[info.format];
+  } else if (info.bitsPerSample === 8) {
+    silence = 0x80;
+  }
+
+  const copy = Buffer.from(wav);
+  const bytesPerSecond = info.sampleRate * info.blockAlign;
+  const dataEnd = info.dataOffset + info.dataLength;
+  for (let {startTime, endTime} of ranges) {
+    const start = info.dataOffset +
+      Math.floor(startTime * bytesPerSecond / info.blockAlign) *
+      info.blockAlign;
+    const end = info.dataOffset +
+      Math.ceil(endTime * bytesPerSecond / info.blockAlign) * info.blockAlign;
+    copy.fill(silence, Math.max(start, info.dataOffset),
+      Math.min(end, dataEnd));
+  }
+  return copy;
+};
@@ -0,0 +1,69 @@
+const connect = require('../aws/connect');
+const profiles = require('../profiles');
+
+/**
+ * Get the agent's status from the Amazon Connect GetCurrentUserData API.
+ * Agents on a call are reported as Connected, like the CCP does.
+ *
+ * @param {Object} page - Not used.
+ * @param {Object} profile - The agent profile.
+ * @return {string} - The name of the agent's status, or null if they're not
+ *                    logged in.
+ */
+exports.getStatus = async (page, profile) => {
+  const {instanceId, region} = checkInstance(profile);
+  const user = await connect.getCurrentUserData({
+    instanceId,
+    region,
+    userId: await profiles.userId(profile),
+  });
+  if (!user || !user.Status) {
+    return null;
+  }
+  if (user.Contacts && user.Contacts.length > 0) {
+    return 'Connected';
+  }
+  return user.Status.StatusName;
+};
+
+/**
+ * Set the agent's status to Available, or the instance's first routable
+ * status if it's been renamed, with the Amazon Connect PutUserStatus API.
+ * The agent still needs to be logged in to the CCP to take calls.
+ *
+ * @param {Object} page - Not used.
+ * @param {Object} profile - The agent profile.
+ * @return {void}
+ */
+exports.setAvailable = async (page, profile) => {
+  const {instanceId, region} = checkInstance(profile);
+  const statuses = await connect.listAgentStatuses({
+    instanceId,
+    region,
+    types: ['ROUTABLE'],
+  });
+  const available = statuses.find(({Name}) => /^available$/i.test(Name)) ||
+    statuses[0];
+  if (!available) {
+    throw new TypeError('No routable agent status is configured');
+  }
+  await connect.putUserStatus({
+    instanceId,
+    region,
+    userId: await profiles.userId(profile),
+    agentStatusId: available.Id,
+  });
+};
+
+/**
+ * Check that an agent profile has its Amazon Connect instance set.
+ *
+ * @param {Object} profile - The agent profile.
+ * @return {Object} - The profile.
+ */
+function checkInstance(profile) {
+  if (!profile.instanceId) {
+    throw new TypeError(`No Connect instance is set for ${profile.name}`);
+  }
+  return profile;
+}
@@ -0,0 +1,53 @@
+/**
+ * Get the agent's status from the CCP page's markup, given a page possibly
+ * logged-in to the Amazon Connect CCP portal. This relies on the CCP's CSS
+ * classes, so is the last resort when the CCP is restyled.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {Object} profile - Not used.
+ * @param {Object} options - Options altering the behaviour of the check.
+ * @param {boolean} options.waitForElement - True if we should wait for the
+ *                    expected element that contains the status to appear,
+ *                    otherwise we should try looking within the page as it
+ *                    currently is.
+ * @return {string} - The status of the agent, if found.
+ */
+exports.getStatus = async (page, profile, options = {
+  waitForElement: false,
+}) => {
+  await page.waitForSelector('body', {visible: true});
+  let status = null;
+  try {
+    if (options.waitForElement) {
+      console.log('waiting for state element to appear...');
+      await page.waitForSelector('.ccpState', {visible: true});
+    }
+    status = await page.$eval('.ccpState', (el) => {
+      return el.textContent;
+    });
+    if (status != null) {
+      // status element exists, but might not be initialised yet
+      // wait for action buttons to appear then grab status again
+      console.log('waiting for state change button to appear...');
+      await page.waitForSelector('button', {visible: true});
+      status = await page.$eval('.ccpState', (el) => {
+        return el.textContent;
+      });
+    }
+  } catch (err) {
+    // Might not be logged in yet
+    console.error('Unable to retrieve agent status');
+  }
+  return status;
+};
+
+/**
+ * Set the agent's status to Available by clicking the CCP's button.
+ *
+ * @param {Object} page - A puppeteer page logged-in to the CCP.
+ * @return {void}
+ */
+exports.setAvailable = async (page) => {
+  await page.click('button.setAvailButton');
+  await page.waitForSelector('button.setAvailButton', {hidden: true});
+};
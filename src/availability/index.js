@@ -0,0 +1,104 @@
+const api = require('./api');
+const dom = require('./dom');
+const streams = require('./streams');
+
+const STRATEGIES = {streams, api, dom};
+const AVAILABILITY_STRATEGIES = (process.env.AVAILABILITY_STRATEGIES ||
+  'streams,api,dom').split(',').map((name) => name.trim())
+  .filter((name) => name);
+const AVAILABLE_STATUS = /available|connected/i;
+
+/**
+ * Get the agent's current status, from each of the AVAILABILITY_STRATEGIES
+ * in turn until one knows it:
+ *
+ * - 'streams' reads the agent's state with amazon-connect-streams, in a page
+ *   that embeds the CCP at the profile's approved `streamsPageUrl` origin.
+ * - 'api' uses the Amazon Connect GetCurrentUserData API.
+ * - 'dom' reads the status from the CCP page's markup, which breaks when the
+ *   CCP is restyled.
+ *
+ * Strategies that fail are skipped.
+ *
+ * @param {Object} page - A puppeteer page instance, possibly logged-in to the
+ *                        Amazon Connect CCP portal.
+ * @param {Object} profile - The agent profile.
+ * @param {Object} options - Options for the 'dom' strategy.
+ * @return {string} - The status of the agent, or null if not found, e.g.
+ *                    because they're not logged in.
+ */
+exports.getStatus = async (page, profile, options) => {
+  for (let name of AVAILABILITY_STRATEGIES) {
+    try {
+      const status = await getStrategy(name).getStatus(page, profile,
+        options);
+      if (status != null) {
+        console.log(`Agent status from ${name}: ${status}`);
+        return status;
+      }
+    } catch (err) {
+      console.error(`Failed getting agent status from ${name}:`);
+      console.error(err);
+    }
+  }
+  console.log('Agent status: unknown');
+  return null;
+};
+
+/**
+ * Set the agent's status to available, given a page logged-in to the Amazon
+ * Connect CCP portal, with each of the AVAILABILITY_STRATEGIES in turn until
+ * one succeeds. If the agent is already available, or currently on a call,
+ * no action will be taken.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {Object} profile - The agent profile.
+ * @return {string} - The agent's status afterwards.
+ */
+exports.makeAvailable = async (page, profile) => {
+  let lastError = null;
+  for (let name of AVAILABILITY_STRATEGIES) {
+    try {
+      const strategy = getStrategy(name);
+      console.log(`Getting agent status from ${name}...`);
+      const agentStatus = await strategy.getStatus(page, profile,
+        {waitForElement: true});
+      if (agentStatus != null && /available/i.test(agentStatus)) {
+        console.log('Agent is already Available, nothing to do here');
+        return agentStatus;
+      } else if (agentStatus != null && /connected/i.test(agentStatus)) {
+        console.log('Agent is taking a call, leaving it alone');
+        return agentStatus;
+      }
+
+      console.log(`Setting agent to Available with ${name}...`);
+      await strategy.setAvailable(page, profile);
+      const newStatus = await strategy.getStatus(page, profile);
+      if (newStatus != null && AVAILABLE_STATUS.test(newStatus)) {
+        console.log('Successfully set agent to Available');
+        return newStatus;
+      }
+      throw new Error(`Agent is still ${newStatus || 'in an unknown state'}`);
+    } catch (err) {
+      console.error(`Failed making agent available with ${name}:`);
+      console.error(err);
+      lastError = err;
+    }
+  }
+  throw new Error('Failed to make agent available: ' +
+    (lastError || 'no availability strategies are configured'));
+};
+
+/**
+ * Get an availability strategy by name.
+ *
+ * @param {string} name - One of 'streams', 'api' or 'dom'.
+ * @return {Object} - The strategy, with `getStatus` and `setAvailable`.
+ */
+function getStrategy(name) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new TypeError(`Unknown availability strategy: ${name}`);
+  }
+  return strategy;
+}
@@ -0,0 +1,114 @@
+// Where to load amazon-connect-streams from, the bundled copy by default
+const STREAMS_SCRIPT_URL = process.env.STREAMS_SCRIPT_URL;
+const STREAMS_TIMEOUT_MS = 20000;
+const STREAMS_PAGE = `<!DOCTYPE html>
+<html>
+<body><div id="ccp" style="width: 400px; height: 600px"></div></body>
+</html>`;
+
+/**
+ * Get the agent's state from amazon-connect-streams, running in a page that
+ * embeds the CCP. Agents on a call are reported as Connected, like the CCP
+ * does.
+ *
+ * @param {Object} page - A puppeteer page logged-in to the CCP, whose browser
+ *                        the streams page is opened in.
+ * @param {Object} profile - The agent profile.
+ * @return {string} - The name of the agent's state.
+ */
+exports.getStatus = async (page, profile) => {
+  return await withStreams(page, profile, (streamsPage) => {
+    return streamsPage.evaluate(() => {
+      const agent = window.voicemailAgent;
+      return agent.getContacts().length > 0 ?
+        'Connected' : agent.getState().name;
+    });
+  });
+};
+
+/**
+ * Set the agent's state to the first routable one, usually Available, with
+ * amazon-connect-streams.
+ *
+ * @param {Object} page - A puppeteer page logged-in to the CCP, whose browser
+ *                        the streams page is opened in.
+ * @param {Object} profile - The agent profile.
+ * @return {void}
+ */
+exports.setAvailable = async (page, profile) => {
+  await withStreams(page, profile, (streamsPage) => {
+    return streamsPage.evaluate(() => new Promise((resolve, reject) => {
+      const agent = window.voicemailAgent;
+      const state = agent.getAgentStates().find(({type}) => {
+        return type === connect.AgentStateType.ROUTABLE;
+      });
+      if (!state) {
+        reject(new Error('No routable agent state is configured'));
+        return;
+      }
+      agent.setState(state, {
+        success: () => resolve(),
+        failure: (err) => reject(new Error(`Failed setting state: ${err}`)),
+      });
+    }));
+  });
+};
+
+/**
+ * Open a page at the profile's `streamsPageUrl` that embeds the CCP with
+ * amazon-connect-streams, wait for the agent to be initialised, and run the
+ * given function with it. The URL must be an origin approved in the Amazon
+ * Connect instance, but nothing needs to be hosted there, as the page is
+ * faked.
+ *
+ * @param {Object} page - A puppeteer page logged-in to the CCP.
+ * @param {Object} profile - The agent profile, with its `ccpUrl` and
+ *                           `streamsPageUrl`.
+ * @param {Function} fn - Given the streams page, with the agent as
+ *                        `window.voicemailAgent`.
+ * @return {*} - What the function returns.
+ */
+async function withStreams(page, profile, fn) {
+  const {ccpUrl, streamsPageUrl} = profile;
+  if (!streamsPageUrl) {
+    throw new TypeError(`No streams page URL is set for ${profile.name}`);
+  }
+  // In the same browser context, to share the CCP's login session
+  const streamsPage = await page.browserContext().newPage();
+  try {
+    await streamsPage.setRequestInterception(true);
+    streamsPage.on('request', (request) => {
+      if (request.url() === streamsPageUrl) {
+        request.respond({
+          status: 200,
+          contentType: 'text/html',
+          body: STREAMS_PAGE,
+        });
+      } else {
+        request.continue();
+      }
+    });
+    await streamsPage.goto(streamsPageUrl, {waitUntil: 'domcontentloaded'});
+    await streamsPage.addScriptTag(STREAMS_SCRIPT_URL ?
+      {url: STREAMS_SCRIPT_URL} :
+      {path: require.resolve('amazon-connect-streams')});
+
+    console.log('waiting for the CCP to initialise the agent...');
+    await streamsPage.evaluate((ccpUrl) => {
+      connect.core.initCCP(document.getElementById('ccp'), {
+        ccpUrl,
+        loginPopup: false,
+        softphone: {allowFramedSoftphone: false},
+      });
+      connect.agent((agent) => {
+        window.voicemailAgent = agent;
+      });
+    }, ccpUrl);
+    await streamsPage.waitForFunction('window.voicemailAgent', {
+      timeout: STREAMS_TIMEOUT_MS,
+    });
+    return await fn(streamsPage);
+  } finally {
+    await streamsPage.close();
+  }
+}
@@ -0,0 +1,28 @@
+const AWS = require('aws-sdk');
+const BedrockRuntime = new AWS.BedrockRuntime({
+  apiVersion: '2023-09-30',
+  region: process.env.BEDROCK_REGION || process.env.AWS_REGION,
+});
+
+/**
+ * Send a prompt to a model in Amazon Bedrock and get its reply.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.modelId - Model to use.
+ * @params {string} params.system - Instructions for the model.
+ * @params {string} params.prompt - The message to send to the model.
+ * @params {integer} params.maxTokens - Maximum length of the reply.
+ * @return {string} - Text of the model's reply.
+ */
+exports.converse = async ({modelId, system, prompt, maxTokens = 512}) => {
+  const params = {
+    modelId,
+    system: [{text: system}],
+    messages: [{role: 'user', content: [{text: prompt}]}],
+    inferenceConfig: {maxTokens, temperature: 0},
+  };
+  console.log(`Converse with model ${modelId}`);
+  const result = await BedrockRuntime.converse(params).promise();
+  const {content} = result.output.message;
+  return content.map(({text}) => text || '').join('');
+};
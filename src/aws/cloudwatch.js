@@ -0,0 +1,33 @@
+const AWS = require('aws-sdk');
+const CloudWatch = new AWS.CloudWatch({
+  apiVersion: '2010-08-01',
+  region: process.env.AWS_REGION,
+});
+
+/**
+ * Publish data points to CloudWatch metrics.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.namespace - Namespace of the metrics.
+ * @params {Array} params.metrics - Data points, each with a `name`, `value`,
+ *                                  and optionally a `unit` (Count by default)
+ *                                  and `dimensions` keyed by name.
+ * @return {Object} - Result returned from AWS SDK.
+ */
+exports.putMetrics = async ({namespace, metrics}) => {
+  const timestamp = new Date();
+  const params = {
+    Namespace: namespace,
+    MetricData: metrics.map(({name, value, unit = 'Count', dimensions}) => ({
+      MetricName: name,
+      Value: value,
+      Unit: unit,
+      Timestamp: timestamp,
+      Dimensions: Object.entries(dimensions || {})
+        .map(([Name, Value]) => ({Name, Value: `${Value}`})),
+    })),
+  };
+  console.log('Putting metrics:');
+  console.log(JSON.stringify(params));
+  return await CloudWatch.putMetricData(params).promise();
+};
@@ -0,0 +1,329 @@
+const AWS = require('aws-sdk');
+
+const CONNECT_REGION = process.env.CONNECT_REGION;
+// Instances can be in different regions, so there's a client for each
+const clients = {};
+
+/**
+ * Get the user-defined attributes of a contact, as set by contact flows.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.initialContactId - ID of the contact, as it was
+ *                                            when it first arrived.
+ * @return {Object} - The attributes, as strings keyed by name.
+ */
+exports.getContactAttributes = async ({
+  instanceId,
+  initialContactId,
+  region,
+}) => {
+  const params = {
+    InstanceId: instanceId,
+    InitialContactId: initialContactId,
+  };
+  console.log('Getting contact attributes:');
+  console.log(params);
+  const {Attributes: attributes} =
+    await connect(region).getContactAttributes(params).promise();
+  return attributes || {};
+};
+
+/**
+ * Get the details of a contact, e.g. its channel, queue and timestamps.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.contactId - ID of the contact.
+ * @return {Object} - The contact details returned from AWS SDK.
+ */
+exports.describeContact = async ({instanceId, contactId, region}) => {
+  const params = {
+    InstanceId: instanceId,
+    ContactId: contactId,
+  };
+  console.log('Describing contact:');
+  console.log(params);
+  const {Contact: contact} =
+    await connect(region).describeContact(params).promise();
+  return contact;
+};
+
+/**
+ * Find a user by their username.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.username - The user's login username.
+ * @return {Object} - The user summary, with its `Id`, if found.
+ */
+exports.findUser = async ({instanceId, username, region}) => {
+  let nextToken;
+  do {
+    const params = {
+      InstanceId: instanceId,
+      NextToken: nextToken,
+    };
+    const result = await connect(region).listUsers(params).promise();
+    const user = result.UserSummaryList.find(({Username}) => {
+      return Username.toLowerCase() === username.toLowerCase();
+    });
+    if (user) {
+      return user;
+    }
+    nextToken = result.NextToken;
+  } while (nextToken);
+  return null;
+};
+
+/**
+ * List the agent statuses of an instance, e.g. Available and Offline.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {Array} params.types - Types of status to list, e.g. 'ROUTABLE'.
+ * @return {Array} - The agent status summaries.
+ */
+exports.listAgentStatuses = async ({instanceId, types, region}) => {
+  const statuses = [];
+  let nextToken;
+  do {
+    const params = {
+      InstanceId: instanceId,
+      AgentStatusTypes: types,
+      NextToken: nextToken,
+    };
+    const result = await connect(region).listAgentStatuses(params).promise();
+    statuses.push(...result.AgentStatusSummaryList);
+    nextToken = result.NextToken;
+  } while (nextToken);
+  return statuses;
+};
+
+/**
+ * Get the current status and contacts of an agent.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.userId - ID of the agent's user.
+ * @return {Object} - The agent's user data, if they're logged in.
+ */
+exports.getCurrentUserData = async ({instanceId, userId, region}) => {
+  const params = {
+    InstanceId: instanceId,
+    Filters: {Agents: [userId]},
+  };
+  console.log('Getting current user data:');
+  console.log(params);
+  const {UserDataList: users} =
+    await connect(region).getCurrentUserData(params).promise();
+  return users[0];
+};
+
+/**
+ * Change the status of an agent.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.userId - ID of the agent's user.
+ * @params {string} params.agentStatusId - ID of the status to change to.
+ * @return {Object} - Result returned from AWS SDK.
+ */
+exports.putUserStatus = async ({
+  instanceId,
+  userId,
+  agentStatusId,
+  region,
+}) => {
+  const params = {
+    InstanceId: instanceId,
+    UserId: userId,
+    AgentStatusId: agentStatusId,
+  };
+  console.log('Putting user status:');
+  console.log(params);
+  return await connect(region).putUserStatus(params).promise();
+};
+
+/**
+ * Get the details of a user, e.g. their routing profile.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.userId - ID of the user.
+ * @return {Object} - The user details returned from AWS SDK.
+ */
+exports.describeUser = async ({instanceId, userId, region}) => {
+  const params = {
+    InstanceId: instanceId,
+    UserId: userId,
+  };
+  const {User: user} = await connect(region).describeUser(params).promise();
+  return user;
+};
+
+/**
+ * List the routing profiles of an instance.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @return {Array} - The routing profile summaries.
+ */
+exports.listRoutingProfiles = async ({instanceId, region}) => {
+  const routingProfiles = [];
+  let nextToken;
+  do {
+    const params = {
+      InstanceId: instanceId,
+      NextToken: nextToken,
+    };
+    const result = await connect(region).listRoutingProfiles(params).promise();
+    routingProfiles.push(...result.RoutingProfileSummaryList);
+    nextToken = result.NextToken;
+  } while (nextToken);
+  return routingProfiles;
+};
+
+/**
+ * List the queues a routing profile takes contacts from.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.routingProfileId - ID of the routing profile.
+ * @return {Array} - The queue configurations, with their `QueueId` and
+ *                   `QueueName`.
+ */
+exports.listRoutingProfileQueues = async ({
+  instanceId,
+  routingProfileId,
+  region,
+}) => {
+  const queues = [];
+  let nextToken;
+  do {
+    const params = {
+      InstanceId: instanceId,
+      RoutingProfileId: routingProfileId,
+      NextToken: nextToken,
+    };
+    const result =
+      await connect(region).listRoutingProfileQueues(params).promise();
+    queues.push(...result.RoutingProfileQueueConfigSummaryList);
+    nextToken = result.NextToken;
+  } while (nextToken);
+  return queues;
+};
+
+/**
+ * Change the routing profile of a user.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.userId - ID of the user.
+ * @params {string} params.routingProfileId - ID of the routing profile.
+ * @return {Object} - Result returned from AWS SDK.
+ */
+exports.updateUserRoutingProfile = async ({
+  instanceId,
+  userId,
+  routingProfileId,
+  region,
+}) => {
+  const params = {
+    InstanceId: instanceId,
+    UserId: userId,
+    RoutingProfileId: routingProfileId,
+  };
+  console.log('Updating user routing profile:');
+  console.log(params);
+  return await connect(region).updateUserRoutingProfile(params).promise();
+};
+
+/**
+ * Start a task contact, routed by a contact flow or a quick connect.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.instanceId - ID of the Amazon Connect instance.
+ * @params {string} params.region - Region of the instance, defaults to
+ *                                  CONNECT_REGION.
+ * @params {string} params.contactFlowId - ID of the contact flow that routes
+ *                                         the task, unless a quick connect
+ *                                         is given.
+ * @params {string} params.quickConnectId - ID of a quick connect to transfer
+ *                                          the task to, optional.
+ * @params {string} params.name - Name of the task, shown to agents.
+ * @params {string} params.description - Description of the task.
+ * @params {Object} params.attributes - Contact attributes, as strings keyed
+ *                                      by name.
+ * @params {Object} params.references - Links shown on the task, as URLs
+ *                                      keyed by name.
+ * @params {string} params.relatedContactId - ID of a contact to link the
+ *                                            task to, optional.
+ * @params {string} params.clientToken - Token making the request
+ *                                       idempotent, optional.
+ * @return {string} - ID of the task contact.
+ */
+exports.startTaskContact = async ({
+  instanceId,
+  contactFlowId,
+  quickConnectId,
+  name,
+  description,
+  attributes,
+  references = {},
+  relatedContactId,
+  clientToken,
+  region,
+}) => {
+  const params = {
+    InstanceId: instanceId,
+    ContactFlowId: contactFlowId,
+    QuickConnectId: quickConnectId,
+    Name: name,
+    Description: description,
+    Attributes: attributes,
+    References: Object.keys(references).reduce((result, key) => {
+      result[key] = {Value: references[key], Type: 'URL'};
+      return result;
+    }, {}),
+    RelatedContactId: relatedContactId,
+    ClientToken: clientToken,
+  };
+  console.log(`Starting task contact: ${name}`);
+  const {ContactId: contactId} =
+    await connect(region).startTaskContact(params).promise();
+  return contactId;
+};
+
+/**
+ * Get the Amazon Connect client for a region.
+ *
+ * @param {string} region - The region, defaults to CONNECT_REGION.
+ * @return {Object} - The AWS SDK client.
+ */
+function connect(region = CONNECT_REGION) {
+  if (!clients[region]) {
+    clients[region] = new AWS.Connect({apiVersion: '2017-08-08', region});
+  }
+  return clients[region];
+}
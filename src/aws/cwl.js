@@ -1,26 +1,59 @@
 const AWS = require('aws-sdk');
-const CWL = new AWS.CloudWatchLogs({
-  apiVersion: '2014-03-28',
-  region: process.env.CONNECT_REGION,
-});
+
+const CONNECT_REGION = process.env.CONNECT_REGION;
+// Connect instances' logs can be in different regions
+const clients = {};
 
 /**
- * Find log events in a log group.
+ * Find log events in a log group, following every page of results.
  *
  * @param {Object} params - Params to search by.
  * @params {string} params.logGroupName - The log group to search within.
  * @params {string} params.filterPattern - Filter pattern to limit results by.
  * @params {integer} params.startTime - Epoch with milliseconds to search from.
- * @return {Object} - Result from AWS SDK.
+ * @params {integer} params.endTime - Epoch with milliseconds to search to.
+ * @params {string} params.region - Region of the log group, defaults to
+ *                                  CONNECT_REGION.
+ * @return {Object} - Result from AWS SDK, with the `events` of every page.
  */
-exports.filterLogEvents = async ({logGroupName, filterPattern, startTime}) => {
+exports.filterLogEvents = async ({
+  logGroupName,
+  filterPattern,
+  startTime,
+  endTime,
+  region,
+}) => {
   const params = {
     logGroupName,
     filterPattern,
     startTime,
+    endTime,
   };
   console.log('Filtering log events:');
   console.log(params);
-  return await CWL.filterLogEvents(params).promise();
+  const events = [];
+  let result;
+  do {
+    result = await cwl(region).filterLogEvents(params).promise();
+    events.push(...result.events);
+    params.nextToken = result.nextToken;
+  } while (params.nextToken);
+  return {...result, events};
 };
 
+
+/**
+ * Get the CloudWatch Logs client for a region.
+ *
+ * @param {string} region - The region, defaults to CONNECT_REGION.
+ * @return {Object} - The AWS SDK client.
+ */
+function cwl(region = CONNECT_REGION) {
+  if (!clients[region]) {
+    clients[region] = new AWS.CloudWatchLogs({
+      apiVersion: '2014-03-28',
+      region,
+    });
+  }
+  return clients[region];
+}
@@ -0,0 +1,120 @@
+const AWS = require('aws-sdk');
+const DocumentClient = new AWS.DynamoDB.DocumentClient({
+  apiVersion: '2012-08-10',
+  region: process.env.AWS_REGION,
+  convertEmptyValues: true, // empty strings aren't valid attribute values
+});
+
+/**
+ * Get a single item from a DynamoDB table by its primary key.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.tableName - Table to read from.
+ * @params {Object} params.key - Primary key of the item to get.
+ * @return {Object} - The item, or undefined if it doesn't exist.
+ */
+exports.get = async ({tableName, key}) => {
+  const params = {
+    TableName: tableName,
+    Key: key,
+  };
+  console.log('Get item:');
+  console.log(params);
+  const {Item: item} = await DocumentClient.get(params).promise();
+  return item;
+};
+
+/**
+ * Create or replace an item in a DynamoDB table.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.tableName - Table to write to.
+ * @params {Object} params.item - The full item to be written.
+ * @return {Object} - Result from AWS SDK.
+ */
+exports.put = async ({tableName, item}) => {
+  const params = {
+    TableName: tableName,
+    Item: item,
+  };
+  console.log('Put item:');
+  console.log(params);
+  return await DocumentClient.put(params).promise();
+};
+
+/**
+ * Update some of the attributes of an item in a DynamoDB table.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.tableName - Table to write to.
+ * @params {Object} params.key - Primary key of the item to update.
+ * @params {string} params.updateExpression - Changes to make to the item.
+ * @params {string} params.conditionExpression - Condition that must be met
+ *                                               for the update to be made.
+ * @params {Object} params.names - Substitutions for attribute names.
+ * @params {Object} params.values - Substitutions for attribute values.
+ * @return {Object} - The item with all of its attributes after the update.
+ */
+exports.update = async ({
+  tableName,
+  key,
+  updateExpression,
+  conditionExpression,
+  names,
+  values,
+}) => {
+  const params = {
+    TableName: tableName,
+    Key: key,
+    UpdateExpression: updateExpression,
+    ConditionExpression: conditionExpression,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW',
+  };
+  console.log('Update item:');
+  console.log(params);
+  const {Attributes: item} = await DocumentClient.update(params).promise();
+  return item;
+};
+
+/**
+ * Query a DynamoDB table or one of its indexes.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.tableName - Table to query.
+ * @params {string} params.indexName - Index to query, if not the table itself.
+ * @params {string} params.keyConditionExpression - Key values to search for.
+ * @params {Object} params.names - Substitutions for attribute names.
+ * @params {Object} params.values - Substitutions for attribute values.
+ * @params {boolean} params.ascending - Order of results by sort key.
+ * @params {integer} params.limit - Maximum number of items to return.
+ * @return {Array} - Items found.
+ */
+exports.query = async ({
+  tableName,
+  indexName,
+  keyConditionExpression,
+  names,
+  values,
+  ascending = true,
+  limit,
+}) => {
+  const params = {
+    TableName: tableName,
+    IndexName: indexName,
+    KeyConditionExpression: keyConditionExpression,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ScanIndexForward: ascending,
+  };
+  console.log('Query:');
+  console.log(params);
+  let items = [];
+  do {
+    const result = await DocumentClient.query(params).promise();
+    items = items.concat(result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey && !(limit && items.length >= limit));
+  return limit ? items.slice(0, limit) : items;
+};
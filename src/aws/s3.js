@@ -37,3 +37,80 @@ exports.getSignedUrl = ({operation, bucketName, objectKey, expirySeconds}) => {
   });
 };
 
+
+/**
+ * Get the contents of an S3 object.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.bucketName - Bucket name containing object.
+ * @params {string} params.objectKey - Key name of object.
+ * @return {Buffer} - Contents of the object.
+ */
+exports.getObject = async ({bucketName, objectKey}) => {
+  const params = {
+    Bucket: bucketName,
+    Key: objectKey,
+  };
+  console.log('getting object with params:');
+  console.log(params);
+  const {Body: body} = await S3.getObject(params).promise();
+  return body;
+};
+
+/**
+ * Save an object to S3.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.bucketName - Bucket name to save the object in.
+ * @params {string} params.objectKey - Key name of object.
+ * @params {Buffer|string} params.body - Contents of the object.
+ * @params {string} params.contentType - MIME type of the contents.
+ * @params {string} params.kmsKeyId - KMS key to encrypt the object with,
+ *                                    defaults to the bucket's encryption.
+ * @return {Object} - Details of the saved object, e.g. its ETag.
+ */
+exports.putObject = async ({
+  bucketName,
+  objectKey,
+  body,
+  contentType,
+  kmsKeyId,
+}) => {
+  const params = {
+    Bucket: bucketName,
+    Key: objectKey,
+    Body: body,
+    ContentType: contentType,
+  };
+  if (kmsKeyId) {
+    params.ServerSideEncryption = 'aws:kms';
+    params.SSEKMSKeyId = kmsKeyId;
+  }
+  console.log(`putting object ${bucketName}/${objectKey}`);
+  return await S3.putObject(params).promise();
+};
+
+/**
+ * List the objects in an S3 bucket, following every page of results.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.bucketName - Bucket name to list.
+ * @params {string} params.prefix - Only list keys starting with this.
+ * @return {Array} - Each object's `Key`, `LastModified`, `Size` etc.
+ */
+exports.listObjects = async ({bucketName, prefix}) => {
+  const params = {
+    Bucket: bucketName,
+    Prefix: prefix,
+  };
+  console.log('listing objects with params:');
+  console.log(params);
+  const objects = [];
+  let result;
+  do {
+    result = await S3.listObjectsV2(params).promise();
+    objects.push(...result.Contents);
+    params.ContinuationToken = result.NextContinuationToken;
+  } while (result.IsTruncated);
+  return objects;
+};
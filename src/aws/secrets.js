@@ -0,0 +1,105 @@
+const AWS = require('aws-sdk');
+const SecretsManager = new AWS.SecretsManager({
+  apiVersion: '2017-10-17',
+  region: process.env.AWS_REGION,
+});
+
+/**
+ * Get a value of a secret from Secrets Manager, the current one unless a
+ * version is given.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.secretId - Name or ARN of the secret.
+ * @params {string} params.versionId - ID of the version to get, optional.
+ * @params {string} params.versionStage - Stage of the version to get, e.g.
+ *                                        AWSPENDING, optional.
+ * @return {string} - The secret's value.
+ */
+exports.getSecretValue = async ({secretId, versionId, versionStage}) => {
+  console.log(`Getting secret ${secretId}`);
+  const {SecretString: value} = await SecretsManager.getSecretValue({
+    SecretId: secretId,
+    VersionId: versionId,
+    VersionStage: versionStage,
+  }).promise();
+  return value;
+};
+
+/**
+ * Get the details of a secret, e.g. its versions and their stages.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.secretId - Name or ARN of the secret.
+ * @return {Object} - The secret's details returned from AWS SDK.
+ */
+exports.describeSecret = async ({secretId}) => {
+  return await SecretsManager.describeSecret({SecretId: secretId}).promise();
+};
+
+/**
+ * Store a new version of a secret.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.secretId - Name or ARN of the secret.
+ * @params {string} params.versionId - ID of the new version, e.g. a rotation's
+ *                                     ClientRequestToken.
+ * @params {string} params.value - The secret's new value.
+ * @params {Array} params.versionStages - Stages of the new version.
+ * @return {Object} - Result returned from AWS SDK.
+ */
+exports.putSecretValue = async ({
+  secretId,
+  versionId,
+  value,
+  versionStages,
+}) => {
+  console.log(`Putting ${versionStages} version ${versionId} of ${secretId}`);
+  return await SecretsManager.putSecretValue({
+    SecretId: secretId,
+    ClientRequestToken: versionId,
+    SecretString: value,
+    VersionStages: versionStages,
+  }).promise();
+};
+
+/**
+ * Move a stage, e.g. AWSCURRENT, from one version of a secret to another.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.secretId - Name or ARN of the secret.
+ * @params {string} params.versionStage - The stage to move.
+ * @params {string} params.moveToVersionId - ID of the version to move it to.
+ * @params {string} params.removeFromVersionId - ID of the version that has
+ *                                               it now.
+ * @return {Object} - Result returned from AWS SDK.
+ */
+exports.updateSecretVersionStage = async ({
+  secretId,
+  versionStage,
+  moveToVersionId,
+  removeFromVersionId,
+}) => {
+  console.log(`Moving ${versionStage} of ${secretId} to ${moveToVersionId}`);
+  return await SecretsManager.updateSecretVersionStage({
+    SecretId: secretId,
+    VersionStage: versionStage,
+    MoveToVersionId: moveToVersionId,
+    RemoveFromVersionId: removeFromVersionId,
+  }).promise();
+};
+
+/**
+ * Generate a random password, with upper and lower case letters and numbers.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {integer} params.length - Length of the password.
+ * @return {string} - The password.
+ */
+exports.getRandomPassword = async ({length}) => {
+  const {RandomPassword: password} = await SecretsManager.getRandomPassword({
+    PasswordLength: length,
+    ExcludePunctuation: true,
+    RequireEachIncludedType: true,
+  }).promise();
+  return password;
+};
@@ -0,0 +1,162 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const SES = new AWS.SES({
+  apiVersion: '2010-12-01',
+  region: process.env.AWS_REGION,
+});
+
+/**
+ * Send an email with both HTML and plain-text versions of its body. Emails
+ * with attachments are sent as raw MIME messages.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.from - Address to send from, verified in SES.
+ * @params {Array} params.to - Addresses to send to.
+ * @params {Array} params.cc - Addresses to copy in, optional.
+ * @params {string} params.subject - Subject of the email.
+ * @params {string} params.text - Plain-text body of the email.
+ * @params {string} params.html - HTML body of the email.
+ * @params {Array} params.attachments - Files to attach, optional, each with
+ *                                      its `filename`, `contentType` and
+ *                                      `content` Buffer.
+ * @return {Object} - Message details returned from AWS SDK.
+ */
+exports.sendEmail = async ({
+  from,
+  to,
+  cc = [],
+  subject,
+  text,
+  html,
+  attachments = [],
+}) => {
+  if (attachments.length) {
+    return await sendRawEmail({from, to, cc, subject, text, html, attachments});
+  }
+  const params = {
+    Source: from,
+    Destination: {
+      ToAddresses: [].concat(to),
+      CcAddresses: [].concat(cc),
+    },
+    Message: {
+      Subject: {Data: subject, Charset: 'UTF-8'},
+      Body: {
+        Text: {Data: text, Charset: 'UTF-8'},
+        Html: {Data: html, Charset: 'UTF-8'},
+      },
+    },
+  };
+  console.log('Send email:');
+  console.log({...params, Message: {Subject: params.Message.Subject}});
+  const result = await SES.sendEmail(params).promise();
+  console.log('Send email result:');
+  console.log(result);
+  return result;
+};
+
+/**
+ * Send an email with attachments, as a multipart/mixed MIME message holding
+ * the multipart/alternative body and the attachments.
+ *
+ * @param {Object} params - Parameters to use, as for exports.sendEmail.
+ * @return {Object} - Message details returned from AWS SDK.
+ */
+async function sendRawEmail({from, to, cc, subject, text, html, attachments}) {
+  const mixed = boundary();
+  const alternative = boundary();
+  const lines = [
+    `From: ${from}`,
+    `To: ${[].concat(to).join(', ')}`,
+    ...([].concat(cc).length ? [`Cc: ${[].concat(cc).join(', ')}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${mixed}"`,
+    '',
+    `--${mixed}`,
+    `Content-Type: multipart/alternative; boundary="${alternative}"`,
+    '',
+    `--${alternative}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64(Buffer.from(text)),
+    `--${alternative}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64(Buffer.from(html)),
+    `--${alternative}--`,
+    ...[].concat(...attachments.map(({filename, contentType, content}) => [
+      `--${mixed}`,
+      `Content-Type: ${contentType}; name="${filename}"`,
+      `Content-Disposition: attachment; filename="${filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64(content),
+    ])),
+    `--${mixed}--`,
+    '',
+  ];
+  const params = {
+    Source: from,
+    Destinations: [].concat(to, cc),
+    RawMessage: {Data: Buffer.from(lines.join('\r\n'))},
+  };
+  console.log('Send raw email:');
+  console.log({
+    Source: from,
+    Destinations: params.Destinations,
+    Subject: subject,
+    Attachments: attachments.map(({filename, content}) => {
+      return {filename, size: content.length};
+    }),
+  });
+  const result = await SES.sendRawEmail(params).promise();
+  console.log('Send raw email result:');
+  console.log(result);
+  return result;
+}
+
+/**
+ * Make a random MIME multipart boundary.
+ *
+ * @return {string} - The boundary.
+ */
+function boundary() {
+  return `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Encode content as base64, wrapped to MIME's 76 character lines.
+ *
+ * @param {Buffer} content - The content to encode.
+ * @return {string} - The encoded lines.
+ */
+function base64(content) {
+  return content.toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+}
+
+/**
+ * Encode a header value as UTF-8 encoded-words, so it can hold any
+ * character. Words are kept to 45 bytes, so lines stay short, and never
+ * split a character.
+ *
+ * @param {string} value - The header value.
+ * @return {string} - The encoded value.
+ */
+function encodeHeader(value) {
+  const words = [];
+  let word = '';
+  for (let character of value) {
+    if (Buffer.byteLength(word + character) > 45) {
+      words.push(word);
+      word = '';
+    }
+    word += character;
+  }
+  words.push(word);
+  return words
+    .map((part) => `=?UTF-8?B?${Buffer.from(part).toString('base64')}?=`)
+    .join('\r\n ');
+}
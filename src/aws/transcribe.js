@@ -6,8 +6,6 @@ const Transcribe = new AWS.TranscribeService({
 const axios = require('axios');
 const {DateTime} = require('luxon');
 
-const INITIAL_WAIT_MS = 60000;
-const TRANSCRIBE_PENDING = 'IN_PROGRESS';
 const TRANSCRIBE_COMPLETED = 'COMPLETED';
 const TRANSCRIBE_FAILED = 'FAILED';
 
@@ -17,22 +15,96 @@ const TRANSCRIBE_FAILED = 'FAILED';
  * @param {Object} params - Parameters to use.
  * @params {string} params.mediaFileUri - Uri of media file in S3.
  * @params {string} params.mediaFormat - Type of audio file.
+ * @params {string} params.jobName - Name to give the job, defaults to one
+ *                                   derived from the media file name.
+ * @params {string} params.languageCode - Language spoken in the audio.
+ * @params {boolean} params.identifyLanguage - Detect the language spoken
+ *                                             instead of using languageCode.
+ * @params {Array} params.languageOptions - Languages that might be detected.
+ * @params {string} params.vocabularyName - Custom vocabulary to use.
+ * @params {string} params.vocabularyFilterName - Vocabulary filter to use.
+ * @params {string} params.vocabularyFilterMethod - How filtered words are
+ *                                                  shown, e.g. 'mask'.
+ * @params {boolean} params.channelIdentification - Label words by the audio
+ *                                                  channel they were in.
+ * @params {integer} params.maxSpeakerLabels - Label words by which of up to
+ *                                             this many speakers said them.
+ * @params {boolean} params.redactPii - Replace personal information in the
+ *                                      transcript with [PII].
+ * @params {Array} params.piiEntityTypes - Types of personal information to
+ *                                         redact, defaults to all of them.
  * @return {Object} - Job details, including name needed to query status.
  */
-exports.startJob = async ({mediaFileUri, mediaFormat}) => {
+exports.startJob = async ({
+  mediaFileUri,
+  mediaFormat,
+  jobName,
+  languageCode = 'en-US',
+  identifyLanguage = false,
+  languageOptions,
+  vocabularyName,
+  vocabularyFilterName,
+  vocabularyFilterMethod = 'mask',
+  channelIdentification = false,
+  maxSpeakerLabels,
+  redactPii = false,
+  piiEntityTypes,
+}) => {
   const {filename, extension} = _getFileParts(mediaFileUri);
   if (!mediaFormat) {
     mediaFormat = extension || 'wav';
   }
-  const timestamp = DateTime.local().toMillis();
+  if (!jobName) {
+    const timestamp = DateTime.local().toMillis();
+    jobName = `${filename}_${timestamp}`;
+  }
   const params = {
-    LanguageCode: 'en-US',
     Media: {
       MediaFileUri: mediaFileUri,
     },
     MediaFormat: mediaFormat,
-    TranscriptionJobName: _normalisedJobName(`${filename}_${timestamp}`),
+    TranscriptionJobName: _normalisedJobName(jobName),
+    Settings: {},
   };
+
+  if (identifyLanguage) {
+    params.IdentifyLanguage = true;
+    if (languageOptions && languageOptions.length > 0) {
+      params.LanguageOptions = languageOptions;
+    }
+    if (vocabularyName || vocabularyFilterName) {
+      // Vocabularies are per language, so only apply to their own language
+      params.LanguageIdSettings = {
+        [languageCode]: {
+          VocabularyName: vocabularyName,
+          VocabularyFilterName: vocabularyFilterName,
+        },
+      };
+    }
+  } else {
+    params.LanguageCode = languageCode;
+    params.Settings.VocabularyName = vocabularyName;
+    params.Settings.VocabularyFilterName = vocabularyFilterName;
+  }
+  if (vocabularyFilterName) {
+    params.Settings.VocabularyFilterMethod = vocabularyFilterMethod;
+  }
+  if (channelIdentification) {
+    params.Settings.ChannelIdentification = true;
+  } else if (maxSpeakerLabels) {
+    params.Settings.ShowSpeakerLabels = true;
+    params.Settings.MaxSpeakerLabels = maxSpeakerLabels;
+  }
+  if (redactPii) {
+    params.ContentRedaction = {
+      RedactionType: 'PII',
+      RedactionOutput: 'redacted',
+    };
+    if (piiEntityTypes && piiEntityTypes.length > 0) {
+      params.ContentRedaction.PiiEntityTypes = piiEntityTypes;
+    }
+  }
+
   console.log('Start job: ' + JSON.stringify(params));
   const result = await Transcribe.startTranscriptionJob(params).promise();
   const {TranscriptionJob: job} = result;
@@ -42,53 +114,72 @@ exports.startJob = async ({mediaFileUri, mediaFormat}) => {
 };
 
 /**
- * Wait for a transcribe job to complete, up to a certain number of seconds.
+ * Get the current details of a transcribe job.
  *
  * @param {Object} params - Parameters to use.
  * @params {string} params.jobName - Identifier of transcribe job.
- * @params {string} params.waitSeconds - How long to wait before giving up.
- * @return {string} - The transcribed text of the audio file.
+ * @return {Object} - Job details, including its status.
  */
-exports.awaitJob = async ({jobName, waitSeconds}) => {
-  console.log('waiting for transcription job to complete...');
-  console.log(`jobName: ${jobName}`);
-  await _wait(INITIAL_WAIT_MS);
-
-  let job = null;
-  let triesLeft = 6;
-  const waitBetweenRetries = (waitSeconds * 1000 - INITIAL_WAIT_MS) / triesLeft;
-  while (triesLeft > 0) {
-    triesLeft--;
-    const params = {
-      TranscriptionJobName: jobName,
-    };
-    const result = await Transcribe.getTranscriptionJob(params).promise();
-    job = result.TranscriptionJob;
-    console.log('getTranscriptionJob job:');
-    console.log(job);
+exports.getJob = async ({jobName}) => {
+  const params = {
+    TranscriptionJobName: jobName,
+  };
+  const result = await Transcribe.getTranscriptionJob(params).promise();
+  const {TranscriptionJob: job} = result;
+  console.log('getTranscriptionJob job:');
+  console.log(job);
+  return job;
+};
 
-    if (TRANSCRIBE_PENDING !== job.TranscriptionJobStatus) {
-      break;
+/**
+ * Delete a transcribe job, so its name can be used again.
+ *
+ * @param {Object} params - Parameters to use.
+ * @params {string} params.jobName - Identifier of transcribe job.
+ * @return {boolean} - True if the job was deleted, false if it didn't exist.
+ */
+exports.deleteJob = async ({jobName}) => {
+  const params = {
+    TranscriptionJobName: jobName,
+  };
+  console.log(`Deleting transcription job ${jobName}`);
+  try {
+    await Transcribe.deleteTranscriptionJob(params).promise();
+    return true;
+  } catch (err) {
+    // Transcribe reports some missing jobs as bad requests
+    if (['NotFoundException', 'BadRequestException'].includes(err.code)) {
+      return false;
     }
-    await _wait(waitBetweenRetries);
+    throw err;
   }
+};
 
-  console.log('After waiting for job to finish, job details:');
-  console.log(job);
-
-  if (TRANSCRIBE_COMPLETED === job.TranscriptionJobStatus) {
-    const transcriptUrl = job.Transcript.TranscriptFileUri;
-    const response = await axios.get(transcriptUrl);
-    console.log('Transcription result:');
-    console.log(JSON.stringify(response.data));
-    const transcripts = response.data.results.transcripts;
-    if (typeof transcripts !== undefined && transcripts.length > 0) {
-      console.log('Transcript: ' + transcripts[0].transcript);
-      return transcripts[0].transcript;
-    }
-  } else if (TRANSCRIBE_FAILED === job.TranscriptionJobStatus) {
+/**
+ * Download the results produced by a finished transcribe job.
+ *
+ * @param {Object} job - Job details, as returned by getJob.
+ * @return {Object} - The `results` of the job's output, including the
+ *                    transcribed text and details of each word.
+ */
+exports.getResults = async (job) => {
+  if (TRANSCRIBE_FAILED === job.TranscriptionJobStatus) {
     throw new Error('Transcription failure: ' + job.FailureReason);
+  } else if (TRANSCRIBE_COMPLETED !== job.TranscriptionJobStatus) {
+    throw new Error('Transcription job has not finished: ' +
+      job.TranscriptionJobStatus);
   }
+
+  // Jobs that redact personal information only link their redacted output
+  const transcriptUrl = job.Transcript.RedactedTranscriptFileUri ||
+    job.Transcript.TranscriptFileUri;
+  const response = await axios.get(transcriptUrl);
+  console.log('Transcription result:');
+  console.log(JSON.stringify(response.data));
+  const {results} = response.data;
+  const [{transcript} = {}] = results.transcripts || [];
+  console.log('Transcript: ' + transcript);
+  return results;
 };
 
 /**
@@ -124,14 +215,3 @@ function _getFileParts(fileUri) {
 function _normalisedJobName(jobName) {
   return jobName.replace(/[^0-9a-zA-Z._-]/g, '_');
 }
-
-/**
- * Return a Promise that resolves after the given amount of time.
- *
- * @param {integer} ms - How long to wait before resolving in milliseconds.
- * @return {Promise} - Promise that will resolve after the given amount of time.
- */
-function _wait(ms) {
-  console.log(`waiting ${ms}ms...`);
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
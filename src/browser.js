@@ -0,0 +1,18 @@
+const chromium = require('chrome-aws-lambda');
+const puppeteer = require('puppeteer-core');
+
+/**
+ * Launch a headless chrome browser.
+ *
+ * @return {Object} - A puppeteer browser instance / controller.
+ */
+exports.launch = async () => {
+  // For keeping the browser launched
+  console.log('launching browser...');
+  return await puppeteer.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromium.executablePath,
+    headless: chromium.headless,
+  });
+};
@@ -0,0 +1,171 @@
+const config = require('../config');
+const ses = require('./ses');
+const slack = require('./slack');
+const sns = require('./sns');
+const teams = require('./teams');
+const webhook = require('./webhook');
+
+const NOTIFICATION_TOPIC = process.env.NOTIFICATION_TOPIC;
+const CHANNEL_TYPES = {ses, sns, slack, teams, webhook};
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+/**
+ * Get the channels that voicemail notifications should be sent to, from the
+ * `channels` section of the configuration. Without any configured channels,
+ * notifications are sent to the NOTIFICATION_TOPIC SNS topic.
+ *
+ * @return {Array} - Channel configurations.
+ */
+exports.getChannels = async () => {
+  const {channels} = await config.load();
+  if (channels && channels.length > 0) {
+    return channels;
+  }
+  return [defaultChannel()];
+};
+
+/**
+ * Send a voicemail notification to each of the given channels.
+ * A failure to send to one channel doesn't stop the others being sent to.
+ * If a channel can't be sent to, the notification is sent to its `fallback`
+ * channel instead, if it has one. SES channels fall back to plain-text
+ * notifications via the NOTIFICATION_TOPIC SNS topic by default.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Array} channels - Configurations of the channels to send to.
+ * @return {Array} - The outcome of sending to each channel.
+ */
+exports.send = async (voicemail, channels) => {
+  const allChannels = await exports.getChannels();
+  return await Promise.all(channels.map(async (channel) => {
+    const result = await sendToChannel(voicemail, channel);
+    const fallback = fallbackChannel(channel, allChannels);
+    if (!result.success && fallback) {
+      console.log(`falling back to ${fallback.name || fallback.type}...`);
+      result.fallback = await sendToChannel(voicemail, fallback);
+    }
+    return result;
+  }));
+};
+
+/**
+ * Format a voicemail notification for each of the given channels, without
+ * sending it, to see what would be sent.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Array} channels - Configurations of the channels to format for.
+ * @return {Array} - For each channel, its `channel` name and `type`, and the
+ *                   formatted `message` or the `error` formatting it.
+ */
+exports.preview = async (voicemail, channels) => {
+  return await Promise.all(channels.map(async (channel) => {
+    const name = channel.name || channel.type;
+    const channelType = CHANNEL_TYPES[channel.type];
+    if (!channelType) {
+      return {channel: name, error: `Unknown channel type: ${channel.type}`};
+    }
+    try {
+      const message = await channelType.format(voicemail, channel);
+      return {channel: name, type: channel.type, message};
+    } catch (err) {
+      return {channel: name, type: channel.type, error: `${err}`};
+    }
+  }));
+};
+
+/**
+ * Format and send a voicemail notification to a single channel, retrying
+ * with an increasing delay if sending fails.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel to send to.
+ * @param {string} channel.name - Name identifying the channel in results.
+ * @param {string} channel.type - One of 'ses', 'sns', 'slack', 'teams' or
+ *                                'webhook'.
+ * @param {integer} channel.maxAttempts - How many times to try sending.
+ * @return {Object} result - The outcome of sending to the channel.
+ * @return {string} result.channel - Name of the channel.
+ * @return {boolean} result.success - Whether the notification was sent.
+ * @return {integer} result.attempts - How many times sending was attempted.
+ * @return {string} result.error - Why the notification couldn't be sent.
+ */
+async function sendToChannel(voicemail, channel) {
+  const name = channel.name || channel.type;
+  const channelType = CHANNEL_TYPES[channel.type];
+  if (!channel.type) {
+    return {
+      channel: name,
+      success: false,
+      attempts: 0,
+      error: `No channel named ${name} is configured`,
+    };
+  } else if (!channelType) {
+    return {
+      channel: name,
+      success: false,
+      attempts: 0,
+      error: `Unknown channel type: ${channel.type}`,
+    };
+  }
+
+  const maxAttempts = channel.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      console.log(`sending notification to ${name} (attempt ${attempt})...`);
+      const message = await channelType.format(voicemail, channel);
+      await channelType.send(message, channel);
+      return {channel: name, success: true, attempts: attempt};
+    } catch (err) {
+      console.error(`Failed sending notification to ${name}:`);
+      console.error(err);
+      lastError = err;
+      if (attempt < maxAttempts) {
+        await wait(RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+  return {
+    channel: name,
+    success: false,
+    attempts: maxAttempts,
+    error: `${lastError}`,
+  };
+}
+
+/**
+ * Find the channel to send to if sending to a channel fails.
+ *
+ * @param {Object} channel - Configuration of the channel that failed.
+ * @param {string} channel.fallback - Name of the channel to fall back to.
+ * @param {Array} allChannels - Configurations of all channels.
+ * @return {Object} - Configuration of the fallback channel, if it has one.
+ */
+function fallbackChannel(channel, allChannels) {
+  if (channel.fallback) {
+    return allChannels.find(({name}) => name === channel.fallback) ||
+      {name: channel.fallback};
+  } else if (channel.type === 'ses') {
+    return {...defaultChannel(), name: 'email-fallback'};
+  }
+}
+
+/**
+ * The channel notifications are sent to when none are configured.
+ *
+ * @return {Object} - Configuration of the channel.
+ */
+function defaultChannel() {
+  return {name: 'email', type: 'sns', topicArn: NOTIFICATION_TOPIC};
+}
+
+/**
+ * Return a Promise that resolves after the given amount of time.
+ *
+ * @param {integer} ms - How long to wait before resolving in milliseconds.
+ * @return {Promise} - Promise that will resolve after the given amount of time.
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,60 @@
+const s3 = require('../aws/s3');
+const ses = require('../aws/ses');
+const templates = require('../templates');
+
+/**
+ * Format a voicemail notification as a multipart HTML and plain-text email.
+ * If the channel has `copyAccountManager` set, the caller's account manager
+ * from the contacts directory is copied in, when they have an email address.
+ * The compressed recording is attached when it's short enough, unless the
+ * channel has `attachRecording` set to false.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel.
+ * @return {Object} - Subject, text and HTML of the notification, who to
+ *                    `cc`, and the `attachments` to fetch from S3.
+ */
+exports.format = async (voicemail, channel) => {
+  const {caller, audio} = voicemail;
+  const cc = channel.copyAccountManager && caller &&
+    caller.accountManagerEmail ? [caller.accountManagerEmail] : [];
+  const attachments = audio && audio.attach &&
+    channel.attachRecording !== false ? [{
+      filename: `voicemail-${voicemail.contactId}.` +
+        audio.objectKey.split('.').pop(),
+      contentType: audio.contentType,
+      bucketName: voicemail.bucketName,
+      objectKey: audio.objectKey,
+    }] : [];
+  return {...await templates.render(voicemail, channel), cc, attachments};
+};
+
+/**
+ * Send a formatted notification as an email via SES.
+ *
+ * @param {Object} message - The formatted notification, with any addresses
+ *                           to `cc` and `attachments`.
+ * @param {Object} channel - Configuration of the channel.
+ * @param {string} channel.from - Address to send from, verified in SES.
+ * @param {Array} channel.to - Addresses to send to.
+ * @return {Object} - Sent email details.
+ */
+exports.send = async ({subject, text, html, cc, attachments = []}, {
+  from,
+  to,
+}) => {
+  const files = await Promise.all(attachments.map(async (attachment) => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: await s3.getObject(attachment),
+  })));
+  return await ses.sendEmail({
+    from,
+    to,
+    cc,
+    subject,
+    text,
+    html,
+    attachments: files,
+  });
+};
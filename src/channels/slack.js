@@ -0,0 +1,114 @@
+const notification = require('../notification');
+const templates = require('../templates');
+const webhook = require('./webhook');
+
+/**
+ * Format a voicemail notification as a Slack Block Kit message.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel.
+ * @return {Object} - The message to be posted to Slack.
+ */
+exports.format = async (voicemail, channel) => {
+  const {subject} = await templates.render(voicemail, channel);
+  const {creationDate, expiryDate} = notification.dates(voicemail);
+  const {transcriptText} = notification.transcripts(voicemail);
+  const transcript = transcriptText || '_No transcript available_';
+  const portalUrl = notification.portalUrl(voicemail);
+  const followUps = notification.followUps(voicemail);
+  const repeatCaller = notification.repeatCaller(voicemail);
+  const duration = notification.duration(voicemail);
+
+  return {
+    text: subject,
+    blocks: [
+      {
+        type: 'header',
+        text: {type: 'plain_text', text: subject.slice(0, 150)},
+      },
+      {
+        type: 'section',
+        fields: [
+          field('Caller', notification.describeCaller(voicemail)),
+          ...(voicemail.caller && voicemail.caller.accountManager ? [
+            field('Account manager', voicemail.caller.accountManager),
+          ] : []),
+          ...(repeatCaller ? [
+            field('Repeat caller', `${repeatCaller.count} other ` +
+              `${repeatCaller.voicemails} in ${repeatCaller.days} days`),
+          ] : []),
+          field('Called at', voicemail.hours === 'after-hours' ?
+            `${creationDate} (after hours)` : creationDate),
+          ...(duration ? [field('Duration', duration)] : []),
+          field('Purpose', voicemail.purpose),
+          ...(voicemail.enrichment ? [
+            field('Intent', voicemail.enrichment.intent),
+            field('Urgency', `${voicemail.enrichment.urgency}/5`),
+          ] : []),
+          ...(followUps.length > 0 ? [
+            field('Follow-up', followUps.map(({label}) => label).join(', ')),
+          ] : []),
+        ],
+      },
+      {
+        type: 'section',
+        text: {type: 'mrkdwn', text: escape(transcript).slice(0, 2900)},
+      },
+      {
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: {type: 'plain_text', text: 'Download recording'},
+          url: voicemail.preSignedUrl,
+        }, ...(portalUrl ? [{
+          type: 'button',
+          text: {type: 'plain_text', text: 'Open in portal'},
+          url: portalUrl,
+        }] : [])],
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Download link valid until ${expiryDate}`,
+        }],
+      },
+    ],
+  };
+};
+
+/**
+ * Post a formatted notification to a Slack incoming webhook.
+ *
+ * @param {Object} message - The formatted notification.
+ * @param {Object} channel - Configuration of the channel.
+ * @param {string} channel.webhookUrl - The Slack incoming webhook URL.
+ * @return {Object} - Slack's response.
+ */
+exports.send = async (message, {webhookUrl}) => {
+  return await webhook.post(webhookUrl, message);
+};
+
+/**
+ * Build a Block Kit section field.
+ *
+ * @param {string} label - Name of the field.
+ * @param {string} value - Value of the field.
+ * @return {Object} - The section field.
+ */
+function field(label, value) {
+  return {type: 'mrkdwn', text: `*${label}:*\n${escape(value || '-')}`};
+}
+
+/**
+ * Escape the characters Slack treats as control characters in text.
+ *
+ * @param {string} text - The text to escape.
+ * @return {string} - The escaped text.
+ */
+function escape(text) {
+  return `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,43 @@
+const sns = require('../aws/sns');
+const templates = require('../templates');
+
+const SUBJECT_MAX_LENGTH = 100;
+
+/**
+ * Format a voicemail notification as a plain-text email.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel.
+ * @return {Object} - Subject and message of the notification.
+ */
+exports.format = async (voicemail, channel) => {
+  const {subject, text} = await templates.render(voicemail, channel);
+  return {subject: snsSubject(subject), message: text};
+};
+
+/**
+ * Publish a formatted notification to an SNS topic.
+ *
+ * @param {Object} message - The formatted notification.
+ * @param {Object} channel - Configuration of the channel.
+ * @param {string} channel.topicArn - Topic to publish the notification to.
+ * @return {Object} - Published SNS message details.
+ */
+exports.send = async ({subject, message}, {topicArn}) => {
+  return await sns.publish({topicArn, subject, message});
+};
+
+/**
+ * Make a subject acceptable to SNS, which only allows ASCII subjects of less
+ * than 100 characters.
+ *
+ * @param {string} subject - The rendered subject.
+ * @return {string} - The subject, shortened and with other characters removed.
+ */
+function snsSubject(subject) {
+  const ascii = subject.replace(/…/g, '...').replace(/[^\x20-\x7E]/g, '');
+  if (ascii.length < SUBJECT_MAX_LENGTH) {
+    return ascii;
+  }
+  return ascii.slice(0, SUBJECT_MAX_LENGTH - 4) + '...';
+}
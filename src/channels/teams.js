@@ -0,0 +1,106 @@
+const notification = require('../notification');
+const templates = require('../templates');
+const webhook = require('./webhook');
+
+/**
+ * Format a voicemail notification as a Microsoft Teams Adaptive Card.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel.
+ * @return {Object} - The message to be posted to Teams.
+ */
+exports.format = async (voicemail, channel) => {
+  const {subject} = await templates.render(voicemail, channel);
+  const {creationDate, expiryDate} = notification.dates(voicemail);
+  const {transcriptText} = notification.transcripts(voicemail);
+  const portalUrl = notification.portalUrl(voicemail);
+  const followUps = notification.followUps(voicemail);
+  const repeatCaller = notification.repeatCaller(voicemail);
+  const duration = notification.duration(voicemail);
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.2',
+        body: [
+          {
+            type: 'TextBlock',
+            text: subject,
+            size: 'Medium',
+            weight: 'Bolder',
+            wrap: true,
+          },
+          {
+            type: 'FactSet',
+            facts: [
+              {
+                title: 'Caller',
+                value: notification.describeCaller(voicemail) || '-',
+              },
+              ...(voicemail.caller && voicemail.caller.accountManager ? [{
+                title: 'Account manager',
+                value: voicemail.caller.accountManager,
+              }] : []),
+              ...(repeatCaller ? [{
+                title: 'Repeat caller',
+                value: `${repeatCaller.count} other ` +
+                  `${repeatCaller.voicemails} in ${repeatCaller.days} days`,
+              }] : []),
+              {
+                title: 'Called at',
+                value: voicemail.hours === 'after-hours' ?
+                  `${creationDate} (after hours)` : creationDate,
+              },
+              ...(duration ? [{title: 'Duration', value: duration}] : []),
+              {title: 'Purpose', value: voicemail.purpose || '-'},
+              ...(voicemail.enrichment ? [
+                {title: 'Intent', value: voicemail.enrichment.intent},
+                {title: 'Urgency', value: `${voicemail.enrichment.urgency}/5`},
+              ] : []),
+              ...followUps.map(({label}) => {
+                return {title: 'Follow-up', value: label};
+              }),
+            ],
+          },
+          {
+            type: 'TextBlock',
+            text: transcriptText || 'No transcript available',
+            wrap: true,
+          },
+          {
+            type: 'TextBlock',
+            text: `Download link valid until ${expiryDate}`,
+            isSubtle: true,
+            size: 'Small',
+            wrap: true,
+          },
+        ],
+        actions: [{
+          type: 'Action.OpenUrl',
+          title: 'Download recording',
+          url: voicemail.preSignedUrl,
+        }, ...(portalUrl ? [{
+          type: 'Action.OpenUrl',
+          title: 'Open in portal',
+          url: portalUrl,
+        }] : [])],
+      },
+    }],
+  };
+};
+
+/**
+ * Post a formatted notification to a Teams incoming webhook.
+ *
+ * @param {Object} message - The formatted notification.
+ * @param {Object} channel - Configuration of the channel.
+ * @param {string} channel.webhookUrl - The Teams incoming webhook URL.
+ * @return {Object} - The response from Teams.
+ */
+exports.send = async (message, {webhookUrl}) => {
+  return await webhook.post(webhookUrl, message);
+};
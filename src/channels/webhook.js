@@ -0,0 +1,72 @@
+const axios = require('axios');
+
+const notification = require('../notification');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Format a voicemail notification as a generic JSON payload.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @return {Object} - The payload to be posted to the webhook.
+ */
+exports.format = async (voicemail) => {
+  return {
+    event: 'voicemail.received',
+    voicemail: {
+      contactId: voicemail.contactId,
+      callingNumber: voicemail.callingNumber,
+      caller: voicemail.caller,
+      recentVoicemails: voicemail.recentVoicemails,
+      purpose: voicemail.purpose,
+      creationDate: voicemail.creationDate,
+      route: voicemail.route,
+      hours: voicemail.hours,
+      holiday: voicemail.holiday,
+      durationSeconds: voicemail.audio ? voicemail.audio.duration : undefined,
+      urgent: voicemail.urgent,
+      transcript: voicemail.transcript,
+      transcriptDetails: voicemail.transcriptDetails,
+      enrichment: voicemail.enrichment,
+      recordingUrl: voicemail.preSignedUrl,
+      recordingUrlExpiryDate: voicemail.linkExpiryDate,
+      consoleUrl: voicemail.consoleUrl,
+      portalUrl: notification.portalUrl(voicemail),
+      followUps: notification.followUps(voicemail)
+        .map(({target, type, id, url}) => ({target, type, id, url})),
+    },
+  };
+};
+
+/**
+ * Post a formatted notification to a HTTPS webhook.
+ *
+ * @param {Object} payload - The formatted notification.
+ * @param {Object} channel - Configuration of the channel.
+ * @param {string} channel.url - The webhook's URL.
+ * @param {Object} channel.headers - Extra headers to send, e.g. for auth.
+ * @return {Object} - The webhook's response.
+ */
+exports.send = async (payload, {url, headers}) => {
+  return await exports.post(url, payload, headers);
+};
+
+/**
+ * Post a JSON payload to a HTTPS URL.
+ *
+ * @param {string} url - The URL to post to.
+ * @param {Object} payload - Content to be sent as JSON.
+ * @param {Object} headers - Extra headers to send.
+ * @return {Object} - The response.
+ */
+exports.post = async (url, payload, headers = {}) => {
+  if (!/^https:\/\//.test(url || '')) {
+    throw new TypeError('Webhook url must use https');
+  }
+  const response = await axios.post(url, payload, {
+    headers,
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  console.log(`Webhook response: ${response.status}`);
+  return response;
+};
@@ -0,0 +1,119 @@
+const audio = require('./audio');
+const s3 = require('./aws/s3');
+const ffmpeg = require('./ffmpeg');
+
+const AUDIO_FORMAT = process.env.AUDIO_FORMAT || 'none';
+const AUDIO_ATTACHMENT_MAX_SECONDS =
+  parseInt(process.env.AUDIO_ATTACHMENT_MAX_SECONDS || '60', 10);
+const COMPRESSED_PREFIX = process.env.COMPRESSED_PREFIX || 'compressed/';
+const RECORDING_KMS_KEY = process.env.RECORDING_KMS_KEY;
+// SES sends messages of up to 10 MB, and encoding grows attachments by a third
+const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+// Voicemails are phone calls, so mono at 16kHz loses nothing
+const SAMPLE_RATE = 16000;
+const SILENCE_THRESHOLD = '-50dB';
+const FORMATS = {
+  mp3: {
+    extension: 'mp3',
+    contentType: 'audio/mpeg',
+    args: ['-c:a', 'libmp3lame', '-b:a', '32k'],
+  },
+  opus: {
+    extension: 'ogg',
+    contentType: 'audio/ogg',
+    args: ['-c:a', 'libopus', '-b:a', '24k', '-application', 'voip'],
+  },
+};
+// Trim silence from the start, and from the end by trimming it from the
+// start of the reversed audio, then even out the volume
+const FILTERS = [
+  `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD}`,
+  'areverse',
+  `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD}`,
+  'areverse',
+  'loudnorm=I=-16:TP=-1.5:LRA=11',
+].join(',');
+
+/**
+ * Save a compressed copy of a voicemail's recording under COMPRESSED_PREFIX,
+ * for notifications to link to and attach, using the AUDIO_FORMAT the
+ * deployment is configured with: 'mp3', 'opus' (in an Ogg file), or 'none'
+ * to leave recordings as they are. Silence is trimmed from the start and
+ * end, and the volume is normalised. The redacted copy of the recording is
+ * compressed, if there is one.
+ * The message's duration is recorded either way: with 'none', it's read from
+ * the WAV recording's header, so includes any silence.
+ * A recording ffmpeg can't convert, or ffmpeg missing from the layer, is
+ * logged and no changes are returned, leaving notifications to link to the
+ * WAV recording without a duration.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.bucketName - S3 bucket of the recording.
+ * @param {string} voicemail.objectKey - S3 object key of the recording.
+ * @param {string} voicemail.redactedObjectKey - S3 object key of the
+ *                                               redacted copy, if any.
+ * @return {Object} - Changes to make to the voicemail details: the `audio`
+ *                    copy's `objectKey`, `format`, `contentType`, `size` in
+ *                    bytes, `duration` in seconds, and whether it's short
+ *                    enough to `attach` to emails. With 'none', `audio` only
+ *                    has the recording's `duration`.
+ */
+exports.compress = async (voicemail) => {
+  const {bucketName} = voicemail;
+  const sourceKey = voicemail.redactedObjectKey || voicemail.objectKey;
+  try {
+    const recording = await s3.getObject({bucketName, objectKey: sourceKey});
+    if (AUDIO_FORMAT === 'none') {
+      const {duration} = audio.wavInfo(recording);
+      return {audio: {duration: Math.round(duration * 10) / 10}};
+    }
+
+    const format = FORMATS[AUDIO_FORMAT];
+    if (!format) {
+      throw new TypeError(`Unknown audio format: ${AUDIO_FORMAT}`);
+    }
+    const objectKey = COMPRESSED_PREFIX +
+      `${sourceKey.replace(/\.[^./]*$/, '')}.${format.extension}`;
+    console.log(`compressing recording to ${objectKey}...`);
+    const {output, duration} = await ffmpeg.run(recording, [
+      '-af', FILTERS,
+      '-ac', '1',
+      '-ar', `${SAMPLE_RATE}`,
+      ...format.args,
+    ], format.extension);
+    console.log(`Compressed ${recording.length} bytes to ${output.length}, ` +
+      `${duration} seconds long`);
+    await s3.putObject({
+      bucketName,
+      objectKey,
+      body: output,
+      contentType: format.contentType,
+      kmsKeyId: RECORDING_KMS_KEY,
+    });
+    return {
+      audio: {
+        objectKey,
+        format: AUDIO_FORMAT,
+        contentType: format.contentType,
+        size: output.length,
+        duration: Math.round(duration * 10) / 10,
+        attach: duration <= AUDIO_ATTACHMENT_MAX_SECONDS &&
+          output.length <= ATTACHMENT_MAX_BYTES,
+      },
+    };
+  } catch (err) {
+    console.error('Failed to process recording audio, continuing without:');
+    console.error(err);
+    return {};
+  }
+};
+
+/**
+ * Check whether an S3 object is a compressed copy made by us.
+ *
+ * @param {string} objectKey - S3 object key to check.
+ * @return {boolean} - True if the object is a compressed copy.
+ */
+exports.isCompressedCopy = (objectKey) => {
+  return objectKey.startsWith(COMPRESSED_PREFIX);
+};
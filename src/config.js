@@ -0,0 +1,71 @@
+const s3 = require('./aws/s3');
+
+const CONFIG_BUCKET = process.env.CONFIG_BUCKET;
+const CONFIG_KEY = process.env.CONFIG_KEY || 'config.json';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cache = null;
+const fileCache = {};
+
+/**
+ * Load the deployment's voicemail configuration document from S3.
+ * It's cached for a few minutes, so changes to it take effect without a
+ * redeployment. If there's no configuration, an empty one is returned so
+ * callers can fall back to their defaults.
+ *
+ * @return {Object} - The parsed configuration.
+ */
+exports.load = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.config;
+  }
+
+  let config = {};
+  if (CONFIG_BUCKET) {
+    try {
+      const body = await s3.getObject({
+        bucketName: CONFIG_BUCKET,
+        objectKey: CONFIG_KEY,
+      });
+      config = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      if (err.code !== 'NoSuchKey') {
+        throw err;
+      }
+      console.log('no configuration found, using defaults');
+    }
+  }
+  cache = {config, loadedAt: Date.now()};
+  return config;
+};
+
+/**
+ * Load a file that the configuration refers to, like a notification template,
+ * from the configuration bucket. Files are cached in the same way as the
+ * configuration itself.
+ *
+ * @param {string} objectKey - Key of the file in the configuration bucket.
+ * @return {string} - Contents of the file, or null if it doesn't exist.
+ */
+exports.loadFile = async (objectKey) => {
+  const cached = fileCache[objectKey];
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.contents;
+  }
+
+  let contents = null;
+  try {
+    const body = await s3.getObject({
+      bucketName: CONFIG_BUCKET,
+      objectKey,
+    });
+    contents = body.toString('utf8');
+  } catch (err) {
+    if (err.code !== 'NoSuchKey') {
+      throw err;
+    }
+    console.log(`configuration file ${objectKey} not found`);
+  }
+  fileCache[objectKey] = {contents, loadedAt: Date.now()};
+  return contents;
+};
@@ -0,0 +1,316 @@
+const s3 = require('./aws/s3');
+
+const DIAGNOSTICS_BUCKET = process.env.DIAGNOSTICS_BUCKET;
+const DIAGNOSTICS_PREFIX = process.env.DIAGNOSTICS_PREFIX || 'diagnostics/';
+// The longest a pre-signed URL can last
+const LINK_EXPIRY_IN_SECONDS = 7 * 86400;
+const SCRUBBED = '[scrubbed]';
+// Names of headers, parameters and fields whose values are scrubbed
+const SENSITIVE_NAME = 'token|session|csrf|xsrf|auth|cookie|secret|passw' +
+  '|credential|signature|saml|relaystate|api[_-]?key|access[_-]?key';
+const SENSITIVE = new RegExp(SENSITIVE_NAME, 'i');
+const SENSITIVE_VALUE = new RegExp(
+  `([\\w.-]*(?:${SENSITIVE_NAME})[\\w.-]*["']?\\s*[:=]\\s*["']?)` +
+  `[^"'\\s&<>,;]+`, 'gi');
+const HIDDEN_INPUT = /<input\b[^>]*type=["']?(?:hidden|password)[^>]*>/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+
+/**
+ * Start recording what happens on a page, so it can be saved with
+ * exports.save if something goes wrong: its console messages, network
+ * requests and a performance trace. Stop recording with exports.stop.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {string} name - What's being recorded, e.g. the agent profile's
+ *                        name, used in the artefacts' S3 keys.
+ * @return {Object} - The recording.
+ */
+exports.record = async (page, name) => {
+  const recording = {
+    page,
+    name,
+    startedAt: new Date(),
+    consoleMessages: [],
+    requests: new Map(),
+    tracing: false,
+  };
+  const log = (type, text) => {
+    recording.consoleMessages.push(
+      `${new Date().toISOString()} [${type}] ${text}`);
+  };
+  page.on('console', (message) => log(message.type(), message.text()));
+  page.on('pageerror', (err) => log('pageerror', err));
+  page.on('request', (request) => {
+    recording.requests.set(request, {startedAt: new Date()});
+  });
+  page.on('response', (response) => {
+    const entry = recording.requests.get(response.request());
+    if (entry) {
+      entry.response = response;
+    }
+  });
+  const finish = (request) => {
+    const entry = recording.requests.get(request);
+    if (entry) {
+      entry.finishedAt = new Date();
+    }
+  };
+  page.on('requestfinished', finish);
+  page.on('requestfailed', finish);
+
+  try {
+    // Without screenshots, which would show the login page
+    await page.tracing.start({screenshots: false});
+    recording.tracing = true;
+  } catch (err) {
+    // e.g. another page in the browser is being traced
+    console.error('Failed starting trace:');
+    console.error(err);
+  }
+  return recording;
+};
+
+/**
+ * Stop a recording's trace, if it's still running.
+ *
+ * @param {Object} recording - As returned by exports.record.
+ * @return {Buffer} - The trace, or null if it wasn't running.
+ */
+exports.stop = async (recording) => {
+  if (!recording.tracing) {
+    return null;
+  }
+  recording.tracing = false;
+  return await recording.page.tracing.stop();
+};
+
+/**
+ * Save the diagnostic artefacts of a recording to the DIAGNOSTICS_BUCKET,
+ * under DIAGNOSTICS_PREFIX, where a lifecycle rule expires them:
+ *
+ * - screenshot.png: a full-page screenshot.
+ * - page.html: the page's HTML, scrubbed with exports.scrub.
+ * - console.log: the page's console messages and errors.
+ * - network.har: the page's requests, without their bodies and with
+ *   sensitive headers and parameters scrubbed.
+ * - trace.json: a trace, which can be opened in Chrome DevTools, with the
+ *   request URLs in it scrubbed with exports.scrub.
+ *
+ * Artefacts that can't be captured are skipped.
+ *
+ * @param {Object} recording - As returned by exports.record, which this
+ *                             stops.
+ * @param {Error} error - The error being diagnosed.
+ * @return {Array} - Each artefact's `name`, `objectKey` and pre-signed `url`.
+ */
+exports.save = async (recording, error) => {
+  const {page, name} = recording;
+  const capture = {
+    'screenshot.png': {
+      contentType: 'image/png',
+      body: () => page.screenshot({fullPage: true}),
+    },
+    'page.html': {
+      contentType: 'text/html',
+      body: async () => exports.scrub(await page.content()),
+    },
+    'console.log': {
+      contentType: 'text/plain',
+      body: () => exports.scrub(recording.consoleMessages
+        .concat(`${new Date().toISOString()} [error] ${error}`)
+        .join('\n')),
+    },
+    'network.har': {
+      contentType: 'application/json',
+      body: () => JSON.stringify(toHar(recording), null, 2),
+    },
+    'trace.json': {
+      contentType: 'application/json',
+      body: async () => {
+        const trace = await exports.stop(recording);
+        return trace && exports.scrub(trace.toString());
+      },
+    },
+  };
+
+  if (!DIAGNOSTICS_BUCKET) {
+    console.log('No diagnostics bucket is set, not saving diagnostics');
+    await exports.stop(recording);
+    return [];
+  }
+  const prefix = `${DIAGNOSTICS_PREFIX}${name}/` +
+    `${recording.startedAt.toISOString().replace(/[:.]/g, '-')}/`;
+  const artefacts = [];
+  for (let artefact of Object.keys(capture)) {
+    try {
+      const {contentType, body} = capture[artefact];
+      const content = await body();
+      if (content == null) {
+        continue;
+      }
+      const objectKey = prefix + artefact;
+      await s3.putObject({
+        bucketName: DIAGNOSTICS_BUCKET,
+        objectKey,
+        body: content,
+        contentType,
+      });
+      const url = await s3.getSignedUrl({
+        operation: 'getObject',
+        bucketName: DIAGNOSTICS_BUCKET,
+        objectKey,
+        expirySeconds: LINK_EXPIRY_IN_SECONDS,
+      });
+      artefacts.push({name: artefact, objectKey, url});
+    } catch (err) {
+      console.error(`Failed saving diagnostics ${artefact}:`);
+      console.error(err);
+    }
+  }
+  return artefacts;
+};
+
+/**
+ * Describe saved diagnostic artefacts, for linking to from notifications.
+ *
+ * @param {Array} artefacts - As returned by exports.save.
+ * @return {string} - A line linking to each artefact, or an empty string if
+ *                    there aren't any.
+ */
+exports.describe = (artefacts) => {
+  if (artefacts.length === 0) {
+    return '';
+  }
+  return 'Diagnostics:\n' + artefacts.map(({name, url}) => {
+    return `  ${name}: ${url}`;
+  }).join('\n');
+};
+
+/**
+ * Scrub cookies, tokens, passwords and the like from HTML or other text,
+ * before it's logged or saved.
+ *
+ * @param {string} text - The text to scrub.
+ * @return {string} - The text with sensitive values replaced.
+ */
+exports.scrub = (text) => {
+  return text
+    .replace(HIDDEN_INPUT, (input) => {
+      return input.replace(/\bvalue=("[^"]*"|'[^']*'|[^\s>]*)/i,
+        `value="${SCRUBBED}"`);
+    })
+    .replace(JWT, SCRUBBED)
+    .replace(SENSITIVE_VALUE, `$1${SCRUBBED}`);
+};
+
+/**
+ * Convert a recording's requests to HTTP Archive (HAR) format.
+ *
+ * @param {Object} recording - As returned by exports.record.
+ * @return {Object} - The HAR document.
+ */
+function toHar(recording) {
+  const entries = Array.from(recording.requests.entries())
+    .map(([request, {startedAt, finishedAt, response}]) => {
+      const url = new URL(request.url());
+      const failure = request.failure();
+      return {
+        startedDateTime: startedAt.toISOString(),
+        time: finishedAt ? finishedAt - startedAt : -1,
+        request: {
+          method: request.method(),
+          url: scrubUrl(url),
+          httpVersion: 'HTTP/1.1',
+          headers: toHarHeaders(request.headers()),
+          queryString: Array.from(url.searchParams.entries())
+            .map(([name, value]) => ({name, value: scrubParam(name, value)})),
+          cookies: [],
+          headersSize: -1,
+          bodySize: -1,
+        },
+        response: {
+          status: response ? response.status() : 0,
+          statusText: response ? response.statusText() :
+            (failure ? failure.errorText : ''),
+          httpVersion: 'HTTP/1.1',
+          headers: response ? toHarHeaders(response.headers()) : [],
+          cookies: [],
+          content: {
+            size: -1,
+            mimeType: (response && response.headers()['content-type']) || '',
+          },
+          redirectURL: redirectUrl(url, response),
+          headersSize: -1,
+          bodySize: -1,
+        },
+        cache: {},
+        timings: {
+          send: 0,
+          wait: finishedAt ? finishedAt - startedAt : -1,
+          receive: 0,
+        },
+      };
+    });
+  return {
+    log: {
+      version: '1.2',
+      creator: {name: 'serverless-connect-voicemail', version: '1.0'},
+      pages: [],
+      entries,
+    },
+  };
+}
+
+/**
+ * Convert headers to HAR format, scrubbing sensitive ones, and sensitive
+ * values in the rest, like tokens in a redirect's location.
+ *
+ * @param {Object} headers - Header values keyed by name.
+ * @return {Array} - Each header's `name` and `value`.
+ */
+function toHarHeaders(headers) {
+  return Object.keys(headers).map((name) => ({
+    name,
+    value: SENSITIVE.test(name) ? SCRUBBED : exports.scrub(headers[name]),
+  }));
+}
+
+/**
+ * Find where a response redirects to, with its sensitive query parameters
+ * scrubbed.
+ *
+ * @param {URL} url - The URL of the request.
+ * @param {Object} response - A puppeteer response, or undefined if none was
+ *                            received.
+ * @return {string} - The URL redirected to, or an empty string if the
+ *                    response isn't a redirect.
+ */
+function redirectUrl(url, response) {
+  const location = response && response.headers()['location'];
+  return location ? scrubUrl(new URL(location, url)) : '';
+}
+
+/**
+ * Scrub the sensitive query parameters of a URL.
+ *
+ * @param {URL} url - The URL.
+ * @return {string} - The scrubbed URL.
+ */
+function scrubUrl(url) {
+  const scrubbed = new URL(url.href);
+  for (let [name, value] of url.searchParams.entries()) {
+    scrubbed.searchParams.set(name, scrubParam(name, value));
+  }
+  return scrubbed.href;
+}
+
+/**
+ * Scrub a parameter's value if it's sensitive.
+ *
+ * @param {string} name - Name of the parameter.
+ * @param {string} value - Its value.
+ * @return {string} - The value, or a placeholder if it's sensitive.
+ */
+function scrubParam(name, value) {
+  return SENSITIVE.test(name) ? SCRUBBED : exports.scrub(value);
+}
@@ -0,0 +1,39 @@
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Find a caller with a CRM's API, by a GET request to the settings' HTTPS
+ * `url`, with `{number}` in it replaced by the caller's number, and any
+ * `headers` it needs for auth. The contact is the response, or the value at
+ * its `resultField`, by name or dotted path, and the first if that's a list.
+ * A 404 or empty response means the caller isn't known.
+ *
+ * @param {string} phoneNumber - The caller's number, in E.164 format.
+ * @param {Object} settings - The `directory` section of the configuration.
+ * @param {string} settings.url - The API's URL, e.g.
+ *                                `https://crm.example.com/contacts?phone={number}`.
+ * @param {Object} settings.headers - Extra headers to send.
+ * @param {string} settings.resultField - Where the contact is in the
+ *                                        response, e.g. `results`.
+ * @return {Object} - The contact, or null if there isn't one for the number.
+ */
+exports.find = async (phoneNumber, {url, headers = {}, resultField}) => {
+  if (!/^https:\/\//.test(url || '')) {
+    throw new TypeError('Directory url must use https');
+  }
+  let data;
+  try {
+    ({data} = await axios.get(
+      url.replace('{number}', encodeURIComponent(phoneNumber)),
+      {headers, timeout: REQUEST_TIMEOUT_MS}));
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+  const result = !resultField ? data : resultField.split('.')
+    .reduce((object, name) => object == null ? undefined : object[name], data);
+  return (Array.isArray(result) ? result[0] : result) || null;
+};
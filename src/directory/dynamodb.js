@@ -0,0 +1,24 @@
+const dynamodb = require('../aws/dynamodb');
+
+const DIRECTORY_TABLE = process.env.DIRECTORY_TABLE;
+const DEFAULT_NUMBER_FIELD = 'phone';
+
+/**
+ * Find a caller in a DynamoDB table of contacts, keyed by their number in
+ * E.164 format.
+ *
+ * @param {string} phoneNumber - The caller's number, in E.164 format.
+ * @param {Object} settings - The `directory` section of the configuration.
+ * @param {string} settings.tableName - Name of the table, DIRECTORY_TABLE by
+ *                                      default.
+ * @param {string} settings.numberField - The table's partition key, `phone`
+ *                                        by default.
+ * @return {Object} - The contact, or null if there isn't one for the number.
+ */
+exports.find = async (phoneNumber, {tableName, numberField}) => {
+  const contact = await dynamodb.get({
+    tableName: tableName || DIRECTORY_TABLE,
+    key: {[numberField || DEFAULT_NUMBER_FIELD]: phoneNumber},
+  });
+  return contact || null;
+};
@@ -0,0 +1,80 @@
+const config = require('../config');
+const phone = require('../phone');
+
+const DEFAULT_NUMBER_FIELD = 'phone';
+
+/**
+ * Find a caller in a file of contacts in the configuration bucket, named by
+ * the settings' `file`. A `.json` file is a list of contacts, and any other
+ * file is CSV, with a header row naming its columns. Numbers can be in any
+ * format, as they're normalised to compare them, and numbers without a
+ * country code are assumed to be in the HOME_REGION country.
+ *
+ * @param {string} phoneNumber - The caller's number, in E.164 format.
+ * @param {Object} settings - The `directory` section of the configuration.
+ * @param {string} settings.file - Key of the file in the bucket.
+ * @param {string} settings.numberField - The contacts' phone number field,
+ *                                        `phone` by default.
+ * @return {Object} - The contact, or null if there isn't one for the number.
+ */
+exports.find = async (phoneNumber, {file, numberField}) => {
+  const contents = await config.loadFile(file);
+  if (contents == null) {
+    throw new TypeError(`Directory file not found: ${file}`);
+  }
+  const contacts = /\.json$/i.test(file) ?
+    JSON.parse(contents) : parseCsv(contents);
+  const field = numberField || DEFAULT_NUMBER_FIELD;
+  return contacts.find((contact) => {
+    return phone.normalise(contact[field]) === phoneNumber;
+  }) || null;
+};
+
+/**
+ * Parse CSV into objects keyed by the names in its header row. Fields can be
+ * quoted, to include commas, line breaks or doubled quotes.
+ *
+ * @param {string} contents - The CSV.
+ * @return {Array} - An object for each row after the header.
+ */
+function parseCsv(contents) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < contents.length; i++) {
+    const char = contents[i];
+    if (quoted) {
+      if (char === '"' && contents[i + 1] === '"') {
+        field += char;
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows.push(row.concat(field));
+      row = [];
+      field = '';
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  rows.push(row.concat(field));
+
+  const [header, ...records] = rows.filter((values) => {
+    return values.some((value) => value.trim() !== '');
+  });
+  return records.map((values) => {
+    return header.reduce((contact, name, index) => {
+      contact[name.trim()] = values[index];
+      return contact;
+    }, {});
+  });
+}
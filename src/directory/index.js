@@ -0,0 +1,90 @@
+const config = require('../config');
+const crm = require('./crm');
+const dynamodb = require('./dynamodb');
+const file = require('./file');
+
+const PROVIDERS = {crm, dynamodb, file};
+// Where each detail of a contact is found, unless the settings say otherwise
+const DEFAULT_FIELDS = {
+  name: 'name',
+  company: 'company',
+  accountManager: 'accountManager',
+  accountManagerEmail: 'accountManagerEmail',
+};
+
+/**
+ * Identify a caller by looking their number up in the contacts directory
+ * named in the `directory` section of the configuration: a CSV or JSON
+ * `file` in the configuration bucket, a `dynamodb` table, or a `crm` API.
+ * The settings' `fields` say where each detail is in the directory's
+ * contacts, by name or dotted path, if they aren't the defaults.
+ * A directory that can't be read, e.g. a missing file or a CRM that's down,
+ * is logged and treated like one that doesn't list the caller, so
+ * notifications just show their number.
+ *
+ * @param {string} phoneNumber - The caller's number, in E.164 format.
+ * @return {Object} caller - Details of the caller, or null if unknown.
+ * @return {string} caller.name - The caller's name.
+ * @return {string} caller.company - The company they're calling from.
+ * @return {string} caller.accountManager - Name of their account manager.
+ * @return {string} caller.accountManagerEmail - Their account manager's
+ *                                               email address.
+ * @return {string} caller.provider - Name of the provider used.
+ *
+ * @example
+ * // config.json
+ * {
+ *   "directory": {
+ *     "provider": "file",
+ *     "file": "directory/contacts.csv",
+ *     "fields": {"accountManager": "Account Manager"}
+ *   }
+ * }
+ */
+exports.lookup = async (phoneNumber) => {
+  const {directory: settings = {}} = await config.load();
+  if (!phoneNumber || !settings.provider) {
+    return null;
+  }
+
+  try {
+    const provider = PROVIDERS[settings.provider];
+    if (!provider) {
+      throw new TypeError(`Unknown directory provider: ${settings.provider}`);
+    }
+    console.log(`looking up caller in ${settings.provider} directory...`);
+    const contact = await provider.find(phoneNumber, settings);
+    if (!contact) {
+      console.log('caller not found in directory');
+      return null;
+    }
+    const fields = {...DEFAULT_FIELDS, ...settings.fields};
+    const caller = {provider: settings.provider};
+    Object.keys(fields).forEach((key) => {
+      const value = valueAt(contact, fields[key]);
+      if (value != null && `${value}`.trim() !== '') {
+        caller[key] = `${value}`.trim();
+      }
+    });
+    console.log('Caller:');
+    console.log(JSON.stringify(caller));
+    return caller;
+  } catch (err) {
+    console.error('Failed to look up caller, continuing without:');
+    console.error(err);
+    return null;
+  }
+};
+
+/**
+ * Get a detail of a contact by its name or dotted path.
+ *
+ * @param {Object} contact - The contact, as found in the directory.
+ * @param {string} path - Name or path of the detail, e.g. `owner.email`.
+ * @return {*} - The detail, or undefined if it isn't there.
+ */
+function valueAt(contact, path) {
+  return path.split('.').reduce((object, name) => {
+    return object == null ? undefined : object[name];
+  }, contact);
+}
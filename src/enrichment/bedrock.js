@@ -0,0 +1,47 @@
+const bedrock = require('../aws/bedrock');
+const phone = require('../phone');
+
+const SYSTEM_PROMPT = `You triage voicemail messages left for a business.
+Reply with only a JSON object, with these properties:
+- "summary": a one line summary of the message, at most 100 characters
+- "intent": one of "callback_request", "complaint", "cancellation", "billing",
+  "order_enquiry", "sales_enquiry" or "general"
+- "entities": an object with "names" (names the caller gave),
+  "orderNumbers" (order, invoice or other reference numbers) and
+  "callbackNumbers" (phone numbers the caller asked to be called back on),
+  each a list of strings
+- "urgency": a number from 1 (can wait) to 5 (needs action immediately)`;
+
+/**
+ * Enrich a voicemail using a large language model in Amazon Bedrock.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.transcript - A text transcript of the call.
+ * @param {string} voicemail.purpose - The purpose of the call.
+ * @param {Object} settings - The `enrichment` section of the configuration.
+ * @param {string} settings.modelId - The Bedrock model to use.
+ * @return {Object} - Summary, intent, entities and urgency of the voicemail.
+ */
+exports.enrich = async ({transcript, purpose}, {modelId}) => {
+  if (!modelId) {
+    throw new TypeError('Need a modelId to enrich with bedrock');
+  }
+  const reply = await bedrock.converse({
+    modelId,
+    system: SYSTEM_PROMPT,
+    prompt: `Call purpose: ${purpose || 'unknown'}\n\n` +
+      `Transcript:\n${transcript}`,
+  });
+
+  const [json] = reply.match(/\{[\s\S]*\}/) || [];
+  if (!json) {
+    throw new Error(`Unexpected reply from model: ${reply}`);
+  }
+  const result = JSON.parse(json);
+  const entities = {...result.entities};
+  entities.callbackNumbers = (Array.isArray(entities.callbackNumbers) ?
+    entities.callbackNumbers : [])
+    .map((number) => phone.normalise(`${number}`))
+    .filter((number) => number);
+  return {...result, entities};
+};
@@ -0,0 +1,92 @@
+const bedrock = require('./bedrock');
+const config = require('../config');
+const rules = require('./rules');
+
+const PROVIDERS = {bedrock, rules};
+const DEFAULT_PROVIDER = 'rules';
+const URGENT_THRESHOLD = 4;
+
+/**
+ * Enrich a transcribed voicemail with a one line summary, the caller's intent,
+ * entities mentioned in the message and how urgent it is, using the provider
+ * named in the `enrichment` section of the configuration.
+ * Enrichment is best effort: if the provider fails, null is returned so the
+ * voicemail can still be delivered. Details a provider returns in the wrong
+ * shape, e.g. a model's reply with a list missing, are left empty.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.transcript - A text transcript of the call.
+ * @return {Object} enrichment - Details found in the voicemail, or null.
+ * @return {string} enrichment.summary - A one line summary.
+ * @return {string} enrichment.intent - Category of the voicemail, e.g.
+ *                                      'callback_request' or 'complaint'.
+ * @return {Object} enrichment.entities - Lists of the `names`,
+ *                                        `orderNumbers` and `callbackNumbers`
+ *                                        mentioned in the message.
+ * @return {integer} enrichment.urgency - From 1 (not urgent) to 5.
+ * @return {boolean} enrichment.urgent - True if the urgency is 4 or more.
+ * @return {string} enrichment.provider - Name of the provider used.
+ */
+exports.enrich = async (voicemail) => {
+  if (!voicemail.transcript) {
+    return null;
+  }
+  const {enrichment: settings = {}} = await config.load();
+  const providerName = settings.provider || DEFAULT_PROVIDER;
+  if (providerName === 'none') {
+    return null;
+  }
+
+  try {
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+      throw new TypeError(`Unknown enrichment provider: ${providerName}`);
+    }
+    console.log(`enriching voicemail with ${providerName}...`);
+    const result = await provider.enrich(voicemail, settings);
+    const urgency = Math.min(5, Math.max(1, Math.round(result.urgency) || 1));
+    const entities = result.entities || {};
+    const enrichment = {
+      summary: text(result.summary),
+      intent: text(result.intent),
+      entities: {
+        names: list(entities.names),
+        orderNumbers: list(entities.orderNumbers),
+        callbackNumbers: list(entities.callbackNumbers),
+      },
+      urgency,
+      urgent: urgency >= URGENT_THRESHOLD,
+      provider: providerName,
+    };
+    console.log('Enrichment:');
+    console.log(JSON.stringify(enrichment));
+    return enrichment;
+  } catch (err) {
+    console.error('Failed to enrich voicemail, continuing without:');
+    console.error(err);
+    return null;
+  }
+};
+
+/**
+ * Check a detail from a provider is text.
+ *
+ * @param {*} value - The detail.
+ * @return {string} - The text, or undefined if it isn't a non-empty string.
+ */
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Check a list of entities from a provider is a list of text.
+ *
+ * @param {*} value - The list.
+ * @return {Array} - The entities that are strings or numbers, as strings, or
+ *                   an empty list if it isn't a list.
+ */
+function list(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((item) => ['string', 'number'].includes(typeof item))
+    .map((item) => `${item}`);
+}
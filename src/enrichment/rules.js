@@ -0,0 +1,163 @@
+const phone = require('../phone');
+
+const SUMMARY_MAX_LENGTH = 100;
+const DEFAULT_INTENT = 'general';
+// Checked in order, the first intent with a matching keyword is used
+const INTENTS = {
+  complaint: [
+    'complain', 'complaint', 'unhappy', 'not happy', 'disappointed',
+    'terrible', 'unacceptable', 'frustrated',
+  ],
+  cancellation: ['cancel', 'cancellation', 'unsubscribe'],
+  billing: ['invoice', 'bill', 'billing', 'payment', 'refund', 'charged'],
+  order_enquiry: ['order', 'delivery', 'delivered', 'tracking', 'shipment'],
+  sales_enquiry: ['quote', 'pricing', 'price', 'purchase', 'interested in'],
+  callback_request: [
+    'call me back', 'call back', 'ring me', 'give me a call', 'get back to me',
+  ],
+};
+const URGENT_KEYWORDS = [
+  'urgent', 'urgently', 'asap', 'as soon as possible', 'emergency',
+  'immediately', 'critical', 'right away',
+];
+const NAME_PATTERN = new RegExp(
+  '\\b(?:my name is|this is|it\'s|it is|name\'s)\\s+' +
+  '([A-Z][a-z]+(?:\\s[A-Z][a-z]+)?)', 'g');
+const ORDER_NUMBER_PATTERN = new RegExp(
+  '\\b(?:order|invoice|reference|ref|account|ticket)\\s*' +
+  '(?:number|no\\.?|#)?\\s*(?:is\\s*)?#?([A-Z0-9][A-Z0-9-]{3,})\\b', 'gi');
+const PHONE_NUMBER_PATTERN = /(?:\+|\b)\d[\d ]{6,14}\d\b/g;
+
+/**
+ * Enrich a voicemail using keyword rules, without calling any external
+ * services. Settings can add keywords to the built-in lists.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.transcript - A text transcript of the call.
+ * @param {Object} settings - The `enrichment` section of the configuration.
+ * @param {Object} settings.intents - Extra keywords for each intent, which
+ *                                    can include new intents.
+ * @param {Array} settings.urgentKeywords - Extra keywords that make a
+ *                                          voicemail urgent.
+ * @return {Object} - Summary, intent, entities and urgency of the voicemail.
+ */
+exports.enrich = async ({transcript}, settings = {}) => {
+  const text = transcript.toLowerCase();
+  const intents = mergeKeywords(INTENTS, settings.intents);
+  const urgentKeywords = URGENT_KEYWORDS.concat(settings.urgentKeywords || []);
+
+  const intent = Object.keys(intents).find((intent) => {
+    return intents[intent].some((keyword) => containsKeyword(text, keyword));
+  }) || DEFAULT_INTENT;
+
+  let urgency = 1;
+  if (urgentKeywords.some((keyword) => containsKeyword(text, keyword))) {
+    urgency += 3;
+  }
+  if (intent === 'complaint' || intent === 'cancellation') {
+    urgency += 1;
+  }
+  if (containsKeyword(text, 'today')) {
+    urgency += 1;
+  }
+
+  return {
+    summary: summarise(transcript),
+    intent,
+    entities: exports.extractEntities(transcript),
+    urgency,
+  };
+};
+
+/**
+ * Find names, order numbers and phone numbers mentioned in a transcript.
+ *
+ * @param {string} transcript - A text transcript of the call.
+ * @return {Object} entities - The entities found.
+ * @return {Array} entities.names - Names the caller gave.
+ * @return {Array} entities.orderNumbers - Order, invoice or other references.
+ * @return {Array} entities.callbackNumbers - Phone numbers, in E.164 format.
+ */
+exports.extractEntities = (transcript) => {
+  const phoneNumbers = allMatches(transcript, PHONE_NUMBER_PATTERN)
+    .map(([number]) => phone.normalise(number.replace(/ /g, '')));
+
+  return {
+    names: unique(allMatches(transcript, NAME_PATTERN)
+      .map(([, name]) => name)),
+    orderNumbers: unique(allMatches(transcript, ORDER_NUMBER_PATTERN)
+      .map(([, reference]) => reference)
+      .filter((reference) => /\d/.test(reference))),
+    callbackNumbers: unique(phoneNumbers.filter((number) => number)),
+  };
+};
+
+/**
+ * Summarise a transcript as its first sentence, shortened if needed.
+ *
+ * @param {string} transcript - A text transcript of the call.
+ * @return {string} - The summary.
+ */
+function summarise(transcript) {
+  const [sentence] = transcript.trim().match(/^.*?([.!?](\s|$)|$)/);
+  if (sentence.length <= SUMMARY_MAX_LENGTH) {
+    return sentence.trim();
+  }
+  const shortened = sentence.slice(0, SUMMARY_MAX_LENGTH - 1);
+  return shortened.slice(0, shortened.lastIndexOf(' ')) + '…';
+}
+
+/**
+ * Check whether some text contains a keyword as a whole word or phrase.
+ *
+ * @param {string} text - Lowercase text to search.
+ * @param {string} keyword - The keyword to look for.
+ * @return {boolean} - True if the keyword was found.
+ */
+function containsKeyword(text, keyword) {
+  const escaped = keyword.toLowerCase()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`).test(text);
+}
+
+/**
+ * Add extra keywords to lists of keywords.
+ *
+ * @param {Object} keywords - Lists of keywords, keyed by category.
+ * @param {Object} extraKeywords - More lists of keywords to add.
+ * @return {Object} - The combined lists.
+ */
+function mergeKeywords(keywords, extraKeywords = {}) {
+  const merged = {...keywords};
+  for (let key of Object.keys(extraKeywords)) {
+    merged[key] = (merged[key] || []).concat(extraKeywords[key]);
+  }
+  return merged;
+}
+
+/**
+ * Find every match of a global regular expression in some text.
+ *
+ * @param {string} text - The text to search.
+ * @param {RegExp} pattern - The regular expression, with the g flag.
+ * @return {Array} - The match arrays, as returned by RegExp.exec.
+ */
+function allMatches(text, pattern) {
+  const regex = new RegExp(pattern.source, pattern.flags);
+  const matches = [];
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    matches.push(match);
+  }
+  return matches;
+}
+
+/**
+ * Remove duplicates from a list.
+ *
+ * @param {Array} values - The list.
+ * @return {Array} - The list without duplicates.
+ */
+function unique(values) {
+  return [...new Set(values)];
+}
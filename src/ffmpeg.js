@@ -0,0 +1,56 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const execFile = util.promisify(childProcess.execFile);
+
+// Where the ffmpeg Lambda layer puts the binary
+const FFMPEG_PATH = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+const TIMEOUT_MS = 60000;
+const MAX_BUFFER_BYTES = 1024 * 1024;
+
+/**
+ * Run some audio through ffmpeg. The audio is written to a temporary file
+ * for ffmpeg to read, as it needs to seek in some formats, and the output is
+ * read back from one.
+ *
+ * @param {Buffer} input - The audio, in any format ffmpeg can read.
+ * @param {Array} args - ffmpeg's output options, e.g. filters and codec.
+ * @param {string} extension - Extension of the output file, which picks its
+ *                             container format, e.g. 'mp3'.
+ * @return {Object} result - The processed audio.
+ * @return {Buffer} result.output - Contents of the output file.
+ * @return {number} result.duration - Length of the output in seconds.
+ */
+exports.run = async (input, args, extension) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ffmpeg-'));
+  const inputPath = path.join(directory, 'input');
+  const outputPath = path.join(directory, `output.${extension}`);
+  try {
+    fs.writeFileSync(inputPath, input);
+    let stdout;
+    try {
+      ({stdout} = await execFile(FFMPEG_PATH, [
+        '-hide_banner', '-nostats', '-progress', 'pipe:1', '-y',
+        '-i', inputPath, ...args, outputPath,
+      ], {timeout: TIMEOUT_MS, maxBuffer: MAX_BUFFER_BYTES}));
+    } catch (err) {
+      const [lastLine] = `${err.stderr || ''}`.trim().split('\n').slice(-1);
+      throw new Error(`ffmpeg failed: ${lastLine || err.message}`);
+    }
+    // Despite its name, out_time_ms is in microseconds
+    const times = stdout.match(/out_time_ms=\d+/g) || ['out_time_ms=0'];
+    const microseconds = parseInt(times[times.length - 1].split('=')[1], 10);
+    return {
+      output: fs.readFileSync(outputPath),
+      duration: microseconds / 1000000,
+    };
+  } finally {
+    [inputPath, outputPath]
+      .filter((file) => fs.existsSync(file))
+      .forEach((file) => fs.unlinkSync(file));
+    fs.rmdirSync(directory);
+  }
+};
@@ -0,0 +1,53 @@
+const connect = require('../aws/connect');
+const notification = require('../notification');
+const profiles = require('../profiles');
+
+const NAME_MAX_LENGTH = 512;
+const DESCRIPTION_MAX_LENGTH = 4096;
+
+exports.LABEL = 'Amazon Connect task';
+
+/**
+ * Start an Amazon Connect task for a voicemail, on the instance of its agent
+ * profile, or the target's own `instanceArn`. The task is routed by the
+ * target's `contactFlowId`, e.g. a flow that sets the working queue and
+ * transfers to it, or straight to a queue by its `quickConnectId`.
+ * It's linked to the voicemail's call, has the caller's number, the purpose
+ * and the contact ID as attributes, and the recording as a reference.
+ * The voicemail's contact ID makes the request idempotent, so a retry
+ * doesn't start a second task.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} content - The rendered `subject` and `text` of the task.
+ * @param {Object} target - Configuration of the target.
+ * @return {Object} - The task's `id`.
+ */
+exports.create = async (voicemail, {subject, text}, target) => {
+  const instance = target.instanceArn ? {
+    instanceId: target.instanceArn.split('/').pop(),
+    region: target.instanceArn.split(':')[3],
+  } : await profiles.get(voicemail.agentProfile);
+  const portalUrl = notification.portalUrl(voicemail);
+
+  const id = await connect.startTaskContact({
+    instanceId: instance.instanceId,
+    region: instance.region,
+    contactFlowId: target.contactFlowId,
+    quickConnectId: target.quickConnectId,
+    name: subject.slice(0, NAME_MAX_LENGTH),
+    description: text.slice(0, DESCRIPTION_MAX_LENGTH),
+    attributes: {
+      voicemailContactId: voicemail.contactId,
+      callingNumber: voicemail.callingNumberE164 || '',
+      purpose: voicemail.purpose || '',
+    },
+    references: {
+      Recording: voicemail.preSignedUrl,
+      ...(portalUrl ? {Portal: portalUrl} : {}),
+    },
+    // Contacts can only be related within an instance
+    relatedContactId: target.instanceArn ? undefined : voicemail.contactId,
+    clientToken: `${voicemail.contactId}-${target.name || target.type}`,
+  });
+  return {id};
+};
@@ -0,0 +1,66 @@
+const axios = require('axios');
+
+const secrets = require('../aws/secrets');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const STATUS_OPEN = 2;
+const PRIORITY_LOW = 1;
+const SOURCE_PHONE = 3;
+
+exports.LABEL = 'Freshdesk ticket';
+
+/**
+ * Open a Freshdesk ticket for a voicemail, on the target's `domain`, e.g.
+ * example.freshdesk.com, with the `apiKey` in the target's
+ * `credentialsSecret`. The caller is the requester, found or added as a
+ * contact by their number, or the target's `requesterEmail` if their number
+ * was withheld. The target's `groupId`, `priority` and `tags` are set if
+ * given.
+ * The ticket is also tagged with the voicemail's contact ID, so a retry
+ * finds the ticket already opened instead of opening another. Freshdesk
+ * takes a few seconds to index new tickets for search, which is much less
+ * than the time between retries.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} content - The rendered `subject` and `html` of the ticket.
+ * @param {Object} target - Configuration of the target.
+ * @return {Object} - The ticket's `id` and `url`.
+ */
+exports.create = async (voicemail, {subject, html}, target) => {
+  const {apiKey} = JSON.parse(
+    await secrets.getSecretValue({secretId: target.credentialsSecret}));
+  const baseUrl = `https://${target.domain}`;
+  const requester = voicemail.callingNumberE164 ? {
+    phone: voicemail.callingNumberE164,
+    name: voicemail.callingNumber,
+  } : {email: target.requesterEmail};
+
+  const tag = `voicemail-${voicemail.contactId}`;
+  const options = {
+    // Freshdesk takes any password with an API key
+    auth: {username: apiKey, password: 'X'},
+    timeout: REQUEST_TIMEOUT_MS,
+  };
+
+  const {data: {results}} = await axios.get(
+    `${baseUrl}/api/v2/search/tickets`, {
+      ...options,
+      params: {query: `"tag:'${tag}'"`},
+    });
+  let [ticket] = results;
+  if (ticket) {
+    console.log(`Freshdesk ticket ${ticket.id} already opened`);
+  } else {
+    ({data: ticket} = await axios.post(`${baseUrl}/api/v2/tickets`, {
+      ...requester,
+      subject,
+      description: html,
+      status: STATUS_OPEN,
+      priority: target.priority || PRIORITY_LOW,
+      source: SOURCE_PHONE,
+      group_id: target.groupId,
+      tags: (target.tags || []).concat(tag),
+    }, options));
+  }
+  return {id: ticket.id, url: `${baseUrl}/a/tickets/${ticket.id}`};
+};
@@ -0,0 +1,117 @@
+const config = require('../config');
+const templates = require('../templates');
+const connectTask = require('./connect-task');
+const freshdesk = require('./freshdesk');
+const rest = require('./rest');
+const zendesk = require('./zendesk');
+
+const PROVIDERS = {'connect-task': connectTask, freshdesk, rest, zendesk};
+
+/**
+ * Get the targets that follow-up items can be created in, from the
+ * `followUps` section of the configuration. Routes list which of them their
+ * voicemails open items in, see routing.resolve.
+ *
+ * @return {Array} - Target configurations.
+ *
+ * @example
+ * // config.json
+ * {
+ *   "followUps": [
+ *     {"name": "callback", "type": "connect-task",
+ *       "contactFlowId": "xxxx-xxxx"},
+ *     {"name": "support-desk", "type": "zendesk", "subdomain": "example",
+ *       "credentialsSecret": "serverless-voicemail/follow-ups/zendesk"}
+ *   ]
+ * }
+ */
+exports.getTargets = async () => {
+  const {followUps} = await config.load();
+  return followUps || [];
+};
+
+/**
+ * Open a follow-up item for a voicemail in each of the given targets, e.g. an
+ * Amazon Connect task or a helpdesk ticket, with the caller's number, the
+ * purpose of the call, the transcript and a link to the recording.
+ * The item's subject and description are rendered from the notification
+ * templates, using the target's `template` if it has one.
+ * A failure to create one item doesn't stop the others being created.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Array} targets - Configurations of the targets to create items in.
+ * @return {Array} - The outcome of creating an item in each target.
+ */
+exports.create = async (voicemail, targets) => {
+  return await Promise.all(targets.map((target) => {
+    return createItem(voicemail, target);
+  }));
+};
+
+/**
+ * Get the name a target's items are recorded under in results.
+ *
+ * @param {Object} target - Configuration of the target.
+ * @return {string} - The target's `name`, or its `type` if it has none.
+ */
+exports.targetName = (target) => {
+  return target.name || target.type;
+};
+
+/**
+ * Create a follow-up item for a voicemail in a single target.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} target - Configuration of the target.
+ * @param {string} target.name - Name identifying the target in results.
+ * @param {string} target.type - One of 'connect-task', 'zendesk',
+ *                               'freshdesk' or 'rest'.
+ * @param {string} target.label - What to call its items in notifications,
+ *                                e.g. 'CRM case', optional.
+ * @return {Object} result - The outcome of creating the item.
+ * @return {string} result.target - Name of the target.
+ * @return {string} result.type - Type of the target.
+ * @return {boolean} result.success - Whether the item was created.
+ * @return {string} result.id - ID of the task or ticket.
+ * @return {string} result.url - Link to the item, if the target has one.
+ * @return {string} result.label - The item's name for notifications, e.g.
+ *                                 'Zendesk ticket 1234'.
+ * @return {string} result.error - Why the item couldn't be created.
+ */
+async function createItem(voicemail, target) {
+  const name = exports.targetName(target);
+  const provider = PROVIDERS[target.type];
+  if (!target.type) {
+    return {
+      target: name,
+      success: false,
+      error: `No follow-up target named ${name} is configured`,
+    };
+  } else if (!provider) {
+    return {
+      target: name,
+      type: target.type,
+      success: false,
+      error: `Unknown follow-up type: ${target.type}`,
+    };
+  }
+
+  try {
+    console.log(`creating follow-up item in ${name}...`);
+    const content = await templates.render(voicemail, target);
+    const {id, url} = await provider.create(voicemail, content, target);
+    console.log(`Created follow-up item ${id} in ${name}`);
+    return {
+      target: name,
+      type: target.type,
+      success: true,
+      id: `${id}`,
+      url,
+      label: `${target.label || provider.LABEL} ${id}`,
+    };
+  } catch (err) {
+    console.error(`Failed creating follow-up item in ${name}:`);
+    console.error(err);
+    return {target: name, type: target.type, success: false, error: `${err}`};
+  }
+}
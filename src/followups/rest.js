@@ -0,0 +1,53 @@
+const webhook = require('../channels/webhook');
+
+const DEFAULT_ID_FIELD = 'id';
+const DEFAULT_URL_FIELD = 'url';
+
+exports.LABEL = 'Ticket';
+
+/**
+ * Create a follow-up item for a voicemail by posting it to the target's
+ * HTTPS `url`, e.g. a CRM's API, with any `headers` it needs for auth.
+ * The payload is the webhook channel's, with the rendered `subject` and a
+ * plain-text `description` added. An `Idempotency-Key` header identifies the
+ * voicemail, for APIs that can use it to ignore retries.
+ * The item's ID and link are read from the response, at the target's
+ * `idField` and `urlField`, which can be dotted paths, e.g. `data.id`.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} content - The rendered `subject` and `text` of the item.
+ * @param {Object} target - Configuration of the target.
+ * @return {Object} - The item's `id` and `url`.
+ */
+exports.create = async (voicemail, {subject, text}, target) => {
+  const payload = {
+    ...await webhook.format(voicemail),
+    event: 'voicemail.follow_up',
+    subject,
+    description: text,
+  };
+  const {data} = await webhook.post(target.url, payload, {
+    ...target.headers,
+    'Idempotency-Key': `${voicemail.contactId}-${target.name || target.type}`,
+  });
+
+  const idField = target.idField || DEFAULT_ID_FIELD;
+  const id = valueAt(data, idField);
+  if (id == null) {
+    throw new TypeError(`No ${idField} in the response`);
+  }
+  return {id, url: valueAt(data, target.urlField || DEFAULT_URL_FIELD)};
+};
+
+/**
+ * Get a value from a response by its dotted path.
+ *
+ * @param {Object} data - The response data.
+ * @param {string} path - Path of the value, e.g. `data.id`.
+ * @return {*} - The value, or undefined if it isn't there.
+ */
+function valueAt(data, path) {
+  return path.split('.').reduce((object, name) => {
+    return object == null ? undefined : object[name];
+  }, data);
+}
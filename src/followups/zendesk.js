@@ -0,0 +1,53 @@
+const axios = require('axios');
+
+const secrets = require('../aws/secrets');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+exports.LABEL = 'Zendesk ticket';
+
+/**
+ * Open a Zendesk ticket for a voicemail, in the target's `subdomain` of
+ * zendesk.com, as the agent whose `email` and `apiToken` are in the
+ * target's `credentialsSecret`. The transcript and recording link are an
+ * internal note, and the target's `groupId`, `priority`, `ticketType` and
+ * `tags` are set if given.
+ * The ticket's external ID is the voicemail's contact ID, so a retry finds
+ * the ticket already opened instead of opening another.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} content - The rendered `subject` and `html` of the ticket.
+ * @param {Object} target - Configuration of the target.
+ * @return {Object} - The ticket's `id` and `url`.
+ */
+exports.create = async (voicemail, {subject, html}, target) => {
+  const {email, apiToken} = JSON.parse(
+    await secrets.getSecretValue({secretId: target.credentialsSecret}));
+  const baseUrl = `https://${target.subdomain}.zendesk.com`;
+  const options = {
+    auth: {username: `${email}/token`, password: apiToken},
+    timeout: REQUEST_TIMEOUT_MS,
+  };
+
+  const {data: {tickets}} = await axios.get(`${baseUrl}/api/v2/tickets.json`, {
+    ...options,
+    params: {external_id: voicemail.contactId},
+  });
+  let [ticket] = tickets;
+  if (ticket) {
+    console.log(`Zendesk ticket ${ticket.id} already opened`);
+  } else {
+    ({data: {ticket}} = await axios.post(`${baseUrl}/api/v2/tickets.json`, {
+      ticket: {
+        subject,
+        comment: {html_body: html, public: false},
+        external_id: voicemail.contactId,
+        group_id: target.groupId,
+        priority: target.priority,
+        type: target.ticketType,
+        tags: target.tags,
+      },
+    }, options));
+  }
+  return {id: ticket.id, url: `${baseUrl}/agent/tickets/${ticket.id}`};
+};
@@ -0,0 +1,14 @@
+/**
+ * Build an API Gateway lambda proxy response with a JSON body.
+ *
+ * @param {integer} statusCode - HTTP status code of the response.
+ * @param {Object} body - Content to be returned as JSON.
+ * @return {Object} - API Gateway proxy response.
+ */
+exports.response = (statusCode, body) => {
+  return {
+    statusCode,
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify(body),
+  };
+};
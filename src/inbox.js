@@ -0,0 +1,85 @@
+const {response} = require('./http');
+const store = require('./store');
+
+/**
+ * List voicemails in the inbox, most recent first.
+ * Can be filtered by status using the `status` query string parameter.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {Object} response - API Gateway proxy response.
+ */
+exports.list = async (event) => {
+  const {status, limit} = event.queryStringParameters || {};
+  if (status != null && !store.STATUSES.includes(status)) {
+    return response(400, {message: `Unknown voicemail status: ${status}`});
+  }
+
+  try {
+    const voicemails = await store.listVoicemails({
+      status,
+      limit: limit ? parseInt(limit, 10) : undefined,
+    });
+    return response(200, {voicemails});
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to list voicemails'});
+  }
+};
+
+/**
+ * Fetch the details of a single voicemail.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {Object} response - API Gateway proxy response.
+ */
+exports.get = async (event) => {
+  const {contactId} = event.pathParameters;
+  try {
+    const voicemail = await store.getVoicemail(contactId);
+    if (!voicemail || !voicemail.status) {
+      return response(404, {message: 'Voicemail not found'});
+    }
+    return response(200, {voicemail});
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to get voicemail'});
+  }
+};
+
+/**
+ * Update the status or assignee of a voicemail, or add a note to it.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda,
+ *                         with a JSON body containing any of
+ *                         `status`, `assignee`, `note` and `updatedBy`.
+ * @return {Object} response - API Gateway proxy response.
+ */
+exports.update = async (event) => {
+  const {contactId} = event.pathParameters;
+  let changes;
+  try {
+    changes = JSON.parse(event.body || '{}');
+  } catch (err) {
+    return response(400, {message: 'Request body must be valid JSON'});
+  }
+  const {status, assignee, note, updatedBy} = changes;
+  if (status != null && !store.STATUSES.includes(status)) {
+    return response(400, {message: `Unknown voicemail status: ${status}`});
+  }
+
+  try {
+    const voicemail = await store.updateVoicemail(contactId, {
+      status,
+      assignee,
+      note,
+      updatedBy,
+    });
+    if (!voicemail) {
+      return response(404, {message: 'Voicemail not found'});
+    }
+    return response(200, {voicemail});
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to update voicemail'});
+  }
+};
@@ -1,4 +1,5 @@
 const agent = require('./agent');
+const profiles = require('./profiles');
 const puppeteer = require('puppeteer');
 
 (async () => {
@@ -10,7 +11,11 @@ const puppeteer = require('puppeteer');
       slowMo: process.env.SLOWMO_MS,
       dumpio: !!process.env.DEBUG,
   });
-  await agent.run(browser)
+  // The AGENT_PROFILE profile, or the default one from the environment
+  const profile = process.env.AGENT_PROFILE ?
+    await profiles.get(process.env.AGENT_PROFILE) :
+    (await profiles.list())[0];
+  await agent.run(browser, profile)
   .then((result) => console.log(result))
   .catch((err) => console.error(err));
   await browser.close();
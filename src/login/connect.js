@@ -0,0 +1,38 @@
+const LOGIN_TIMEOUT_MS = 30000;
+
+/**
+ * Log in with Amazon Connect's own username and password form, which the CCP
+ * redirects to when the agent isn't logged in.
+ *
+ * @param {Object} page - A puppeteer page instance, open to the CCP or its
+ *                        login page.
+ * @param {Object} profile - The agent profile.
+ * @param {Object} credentials - The agent's `username` and `password`.
+ * @return {void}
+ */
+exports.login = async (page, profile, {username, password}) => {
+  // Wait for redirects
+  console.log('waiting for username input');
+  await page.waitForSelector('input[type="username"]', {visible: true});
+
+  if (username == null || password == null) {
+    throw new TypeError('Missing agent username or password');
+  }
+
+  console.log('filling login form...');
+  await page.type('input[type="username"]', username);
+  await page.focus('input[type="password"]');
+  await page.keyboard.type(password);
+  await Promise.all([
+    page.waitForNavigation({
+      waitUntil: 'domcontentloaded',
+      timeout: LOGIN_TIMEOUT_MS,
+    }),
+    page.keyboard.press('Enter'),
+  ]);
+  console.log('Submitted login form');
+
+  if (await page.$('input[type="password"]')) {
+    throw new Error(`Login was rejected for ${username}`);
+  }
+};
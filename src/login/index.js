@@ -0,0 +1,54 @@
+const connect = require('./connect');
+const saml = require('./saml');
+const profiles = require('../profiles');
+
+const METHODS = {connect, saml};
+
+/**
+ * Log an agent in to the CCP, with their profile's `login` method:
+ *
+ * - 'connect' (the default) fills in Amazon Connect's own login form, which
+ *   the CCP redirects to.
+ * - 'saml' signs in with the profile's SAML identity provider, including
+ *   any MFA with a one-time password.
+ *
+ * The agent's credentials come from profiles.credentials. If they're
+ * rejected, they're fetched again and retried once, in case they've been
+ * rotated since they were cached.
+ *
+ * @param {Object} page - A puppeteer page instance, open to the CCP.
+ * @param {Object} profile - The agent profile.
+ * @param {Object} credentials - Credentials to use instead of the agent's,
+ *                               which aren't retried.
+ * @return {void}
+ */
+exports.login = async (page, profile, credentials) => {
+  const method = getMethod(profile.login || 'connect');
+  if (credentials) {
+    await method.login(page, profile, credentials);
+    return;
+  }
+  try {
+    await method.login(page, profile, await profiles.credentials(profile));
+  } catch (err) {
+    console.error('Failed logging in, retrying with fresh credentials:');
+    console.error(err);
+    await page.goto(profile.ccpUrl, {waitUntil: 'domcontentloaded'});
+    await method.login(page, profile,
+      await profiles.credentials(profile, {refresh: true}));
+  }
+};
+
+/**
+ * Get a login method by name.
+ *
+ * @param {string} name - One of 'connect' or 'saml'.
+ * @return {Object} - The login method, with `login`.
+ */
+function getMethod(name) {
+  const method = METHODS[name];
+  if (!method) {
+    throw new TypeError(`Unknown login method: ${name}`);
+  }
+  return method;
+}
@@ -0,0 +1,152 @@
+const totp = require('./totp');
+
+const SAML_STEP_TIMEOUT_MS = 10000;
+const SAML_MAX_STEPS = 8;
+// Fields of common identity providers' login forms, e.g. Azure AD, Okta,
+// ADFS and Google. Profiles can override them with `saml.selectors`.
+const DEFAULT_SELECTORS = {
+  username: [
+    'input[type="email"]',
+    'input[name="username"]',
+    'input[name="UserName"]',
+    'input[name="identifier"]',
+  ].join(', '),
+  password: 'input[type="password"]',
+  totp: [
+    'input[autocomplete="one-time-code"]',
+    'input[name="otc"]',
+    'input[name="otp"]',
+    'input[name="code"]',
+    'input[name="answer"]',
+    'input[name="credentials.passcode"]',
+  ].join(', '),
+  submit: [
+    'input[type="submit"]',
+    'button[type="submit"]',
+  ].join(', '),
+};
+
+/**
+ * Log in to an Amazon Connect instance federated with a SAML identity
+ * provider. The profile's `saml.loginUrl` is the provider's IdP-initiated
+ * sign-in URL for the Connect application, which should relay to the CCP.
+ * The provider's forms are filled in over however many steps it takes, e.g.
+ * username, then password, then a one-time password generated from the
+ * account's `totpSecret` for MFA, until the provider hands over to Connect.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {Object} profile - The agent profile, with its `ccpUrl` and `saml`
+ *                           settings.
+ * @param {Object} credentials - The account's `username`, `password` and
+ *                               `totpSecret`.
+ * @return {void}
+ */
+exports.login = async (page, profile, credentials) => {
+  const {loginUrl, selectors: customSelectors} = profile.saml || {};
+  if (!loginUrl) {
+    throw new TypeError(`No SAML login URL is set for ${profile.name}`);
+  }
+  const selectors = {...DEFAULT_SELECTORS, ...customSelectors};
+  const connectOrigin = new URL(profile.ccpUrl).origin;
+
+  console.log(`visiting ${loginUrl}`);
+  await page.goto(loginUrl, {waitUntil: 'domcontentloaded'});
+  for (let step = 0; step < SAML_MAX_STEPS; step++) {
+    if (new URL(page.url()).origin === connectOrigin) {
+      break;
+    }
+    const filled = await fillLoginFields(page, selectors, credentials);
+    console.log(`Filled ${filled.join(', ') || 'nothing'} at ${page.url()}`);
+    await submit(page, selectors.submit);
+  }
+  if (new URL(page.url()).origin !== connectOrigin) {
+    throw new Error(`SAML login didn't reach Amazon Connect, stuck at: \
+${page.url()}`);
+  }
+
+  // The provider may have relayed to the instance's admin site instead
+  console.log(`visiting ${profile.ccpUrl}`);
+  await page.goto(profile.ccpUrl, {waitUntil: 'domcontentloaded'});
+};
+
+/**
+ * Fill in whichever of the username, password and one-time password fields
+ * are shown and still empty.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {Object} selectors - Selectors of each field.
+ * @param {Object} credentials - The account's `username`, `password` and
+ *                               `totpSecret`.
+ * @return {Array} - Names of the fields that were filled in.
+ */
+async function fillLoginFields(page, selectors, credentials) {
+  const {username, password, totpSecret} = credentials;
+  const values = {
+    username: () => username,
+    password: () => password,
+    // Only generated when asked for, so it's as fresh as possible
+    totp: () => {
+      if (!totpSecret) {
+        throw new TypeError('MFA is required, but no TOTP secret is set');
+      }
+      return totp.generate(totpSecret);
+    },
+  };
+  const filled = [];
+  for (let name of Object.keys(values)) {
+    const field = await findEmptyField(page, selectors[name]);
+    if (field) {
+      const value = values[name]();
+      if (value == null) {
+        throw new TypeError(`Missing SAML login ${name}`);
+      }
+      await field.type(value);
+      filled.push(name);
+    }
+  }
+  return filled;
+}
+
+/**
+ * Find a visible, empty field.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {string} selector - Selector of the field.
+ * @return {Object} - The field's element handle, or null if there isn't one.
+ */
+async function findEmptyField(page, selector) {
+  for (let field of await page.$$(selector)) {
+    const empty = await page.evaluate((element) => {
+      const {width, height} = element.getBoundingClientRect();
+      return width > 0 && height > 0 && !element.value;
+    }, field);
+    if (empty) {
+      return field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Submit the current form, and wait for the next one to be shown, whether
+ * that's by loading a new page or not.
+ *
+ * @param {Object} page - A puppeteer page instance.
+ * @param {string} selector - Selector of the submit button.
+ * @return {void}
+ */
+async function submit(page, selector) {
+  const navigation = page.waitForNavigation({
+    waitUntil: 'domcontentloaded',
+    timeout: SAML_STEP_TIMEOUT_MS,
+  }).catch(() => {
+    // Single page login forms don't navigate between steps
+  });
+  const button = await page.$(selector);
+  if (button) {
+    await button.click();
+  } else {
+    await page.keyboard.press('Enter');
+  }
+  await navigation;
+}
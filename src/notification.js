@@ -0,0 +1,188 @@
+const {DateTime} = require('luxon');
+const Mustache = require('mustache');
+
+const phone = require('./phone');
+const transcript = require('./transcript');
+
+const NOTIFICATION_TIMEZONE = process.env.NOTIFICATION_TIMEZONE;
+const PORTAL_URL = process.env.PORTAL_URL;
+
+/**
+ * Build the values available to notification templates for a voicemail.
+ * These are the voicemail's details, with dates formatted for display, the
+ * transcript rendered as text and HTML with paragraphs, speakers and
+ * low-confidence words marked up (and `hasLowConfidenceWords` set if there
+ * are any), any enrichment details at the top level,
+ * whether it was left `afterHours`, a `portalUrl` linking to the
+ * voicemail in the portal, if deployed, and the `followUps` items opened
+ * for it, each with its `label`, e.g. 'Zendesk ticket 1234', and `url`.
+ * The `caller` found in the contacts directory has their `name`, `company`
+ * and `accountManager`, and `repeatCaller` is set for callers who left
+ * other voicemails recently, with their `count`, the `days` counted over
+ * and `voicemails` to pluralise the count with. The recording's `duration`,
+ * with silence trimmed if it was compressed, is formatted as e.g. '1:05'.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @return {Object} - Values to render notification templates with.
+ */
+exports.view = (voicemail) => {
+  const {enrichment} = voicemail;
+  return {
+    ...voicemail,
+    ...exports.dates(voicemail),
+    ...exports.transcripts(voicemail),
+    portalUrl: exports.portalUrl(voicemail),
+    afterHours: voicemail.hours === 'after-hours',
+    followUps: exports.followUps(voicemail),
+    repeatCaller: exports.repeatCaller(voicemail),
+    duration: exports.duration(voicemail),
+    ...(enrichment ? {
+      summary: enrichment.summary,
+      intent: enrichment.intent && enrichment.intent.replace(/_/g, ' '),
+      urgency: enrichment.urgency,
+      urgent: enrichment.urgent || Boolean(voicemail.urgent),
+      callerNames: enrichment.entities.names.join(', '),
+      orderNumbers: enrichment.entities.orderNumbers.join(', '),
+      callbackNumbers: enrichment.entities.callbackNumbers
+        .map((number) => phone.format(number)).join(', '),
+    } : {}),
+  };
+};
+
+/**
+ * Describe the caller of a voicemail for display, with their name and
+ * company if they were found in the contacts directory.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.callingNumber - The caller's formatted number.
+ * @param {Object} voicemail.caller - The caller's details, if known.
+ * @return {string} - e.g. '0412 345 678 (Sam Lee, Example Pty Ltd)'.
+ */
+exports.describeCaller = ({callingNumber, caller}) => {
+  if (!caller || !caller.name) {
+    return callingNumber;
+  }
+  const who = [caller.name, caller.company].filter(Boolean).join(', ');
+  return `${callingNumber} (${who})`;
+};
+
+/**
+ * Describe how many other voicemails a repeat caller left recently.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} voicemail.recentVoicemails - The `count` of the caller's
+ *                                              other voicemails in the last
+ *                                              `days`.
+ * @return {Object} - The `count`, `days` and whether to say `voicemail` or
+ *                    `voicemails`, or null if they aren't a repeat caller.
+ */
+exports.repeatCaller = ({recentVoicemails}) => {
+  if (!recentVoicemails || !recentVoicemails.count) {
+    return null;
+  }
+  return {
+    ...recentVoicemails,
+    voicemails: recentVoicemails.count === 1 ? 'voicemail' : 'voicemails',
+  };
+};
+
+/**
+ * Format how long a voicemail's message is, as measured when its recording
+ * was compressed.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} voicemail.audio - Details of the compressed recording, if
+ *                                   any, with its `duration` in seconds.
+ * @return {string} - e.g. '1:05', or null if the duration isn't known.
+ */
+exports.duration = ({audio}) => {
+  if (!audio || typeof audio.duration !== 'number') {
+    return null;
+  }
+  const seconds = Math.round(audio.duration);
+  return `${Math.floor(seconds / 60)}:${`${seconds % 60}`.padStart(2, '0')}`;
+};
+
+/**
+ * Get the follow-up items that were opened for a voicemail, e.g. Amazon
+ * Connect tasks or helpdesk tickets.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Array} voicemail.followUps - Outcomes of creating the items.
+ * @return {Array} - The items created, with their `label`, `id` and `url`.
+ */
+exports.followUps = ({followUps}) => {
+  return (followUps || []).filter(({success}) => success);
+};
+
+/**
+ * Render the transcript of a voicemail for display in notifications.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.transcript - Plain text of the transcript.
+ * @param {Object} voicemail.transcriptDetails - Structured transcript.
+ * @return {Object} transcripts - The rendered transcript.
+ * @return {string} transcripts.transcriptText - As plain text.
+ * @return {string} transcripts.transcriptHtml - As HTML.
+ * @return {boolean} transcripts.hasLowConfidenceWords - Whether any words
+ *                                                      are marked up as
+ *                                                      possibly wrong.
+ */
+exports.transcripts = ({transcript: text, transcriptDetails}) => {
+  if (transcriptDetails && transcriptDetails.paragraphs.length > 0) {
+    return {
+      transcriptText: transcript.toText(transcriptDetails),
+      transcriptHtml: transcript.toHtml(transcriptDetails),
+      hasLowConfidenceWords:
+        transcript.hasLowConfidenceWords(transcriptDetails),
+    };
+  }
+  return {
+    transcriptText: text,
+    transcriptHtml: text ? Mustache.escape(text) : text,
+    hasLowConfidenceWords: false,
+  };
+};
+
+/**
+ * Format the dates of a voicemail for display in notifications.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.creationDate - The date the voicemail was left.
+ * @param {string} voicemail.linkExpiryDate - When preSignedUrl stops working.
+ * @return {Object} dates - Human readable dates.
+ * @return {string} dates.creationDate - When the voicemail was left.
+ * @return {string} dates.expiryDate - When the download link stops working.
+ */
+exports.dates = ({creationDate, linkExpiryDate}) => {
+  return {
+    creationDate: exports.formatDate(DateTime.fromISO(creationDate)),
+    expiryDate: exports.formatDate(DateTime.fromISO(linkExpiryDate)),
+  };
+};
+
+/**
+ * Get the link to a voicemail in the voicemail portal.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.contactId - The ID of the call in Amazon Connect.
+ * @return {string} - The link, or undefined if the portal isn't deployed.
+ */
+exports.portalUrl = ({contactId}) => {
+  return PORTAL_URL ? `${PORTAL_URL}#/voicemails/${contactId}` : undefined;
+};
+
+/**
+ * Format a luxon DateTime object in a human readable format.
+ *
+ * @param {Object} dateTime - The DateTime object to format.
+ * @return {string} - Human readable date.
+ *
+ * @example
+ * 'Tue Jun 19, 3:03 PM GMT+8'
+ */
+exports.formatDate = (dateTime) => {
+  return dateTime
+    .setZone(NOTIFICATION_TIMEZONE)
+    .toFormat('ccc LLL d, h:mm a ZZZZ');
+};
@@ -0,0 +1,82 @@
+const {
+  getCountryCallingCode,
+  parsePhoneNumberFromString,
+} = require('libphonenumber-js');
+
+const HOME_REGION = process.env.HOME_REGION || 'AU';
+const WITHHELD_NUMBER = 'Withheld number';
+const WITHHELD_PATTERN =
+  /^(anonymous|private|restricted|unavailable|unknown|withheld)$/i;
+
+/**
+ * Convert phone numbers from E.164 to a more human readable format.
+ * Numbers in the HOME_REGION country are shown in national format, other
+ * numbers in international format. Numbers that can't be parsed are returned
+ * as they are, and missing or withheld caller IDs are shown as such.
+ *
+ * @param {string} phoneNumber - Phone number, possibly in E.164 format.
+ * @return {string} - Reformatted phone number.
+ *
+ * @example
+ * // With HOME_REGION=AU
+ * format('+61412345678') => '0412 345 678'
+ * format('+6421234567') => '+64 21 234 567'
+ * format('anonymous') => 'Withheld number'
+ */
+exports.format = (phoneNumber) => {
+  if (exports.isWithheld(phoneNumber)) {
+    return WITHHELD_NUMBER;
+  }
+  const parsed = parse(phoneNumber);
+  if (!parsed) {
+    return phoneNumber;
+  }
+  if (parsed.countryCallingCode === getCountryCallingCode(HOME_REGION)) {
+    return parsed.formatNational();
+  }
+  return parsed.formatInternational();
+};
+
+/**
+ * Convert a phone number to E.164 format, so it can be compared with others.
+ *
+ * @param {string} phoneNumber - Phone number in any format, with numbers
+ *                               without a country code assumed to be in the
+ *                               HOME_REGION country.
+ * @return {string} - The E.164 number, or null if it couldn't be parsed or
+ *                    was withheld.
+ *
+ * @example
+ * normalise('0412 345 678') => '+61412345678'
+ */
+exports.normalise = (phoneNumber) => {
+  if (exports.isWithheld(phoneNumber)) {
+    return null;
+  }
+  const parsed = parse(phoneNumber);
+  return parsed ? parsed.number : null;
+};
+
+/**
+ * Check whether a caller ID is missing, or one of the values used by
+ * carriers when the caller has withheld their number.
+ *
+ * @param {string} phoneNumber - Caller ID of a call.
+ * @return {boolean} - True if there's no usable number.
+ */
+exports.isWithheld = (phoneNumber) => {
+  const number = `${phoneNumber || ''}`.replace(/^\+/, '').trim();
+  return number === '' || WITHHELD_PATTERN.test(number);
+};
+
+/**
+ * Parse a phone number, assuming numbers without a country code are in the
+ * HOME_REGION country.
+ *
+ * @param {string} phoneNumber - Phone number to parse.
+ * @return {Object} - libphonenumber-js PhoneNumber, or undefined if the
+ *                    number couldn't be parsed.
+ */
+function parse(phoneNumber) {
+  return parsePhoneNumberFromString(`${phoneNumber}`, HOME_REGION);
+}
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const Mustache = require('mustache');
+const path = require('path');
+
+const s3 = require('../aws/s3');
+const {response} = require('../http');
+const notification = require('../notification');
+const store = require('../store');
+
+const COGNITO_DOMAIN = process.env.COGNITO_DOMAIN;
+const COGNITO_CLIENT_ID = process.env.COGNITO_CLIENT_ID;
+const AUDIO_URL_EXPIRY_SECONDS =
+  parseInt(process.env.AUDIO_URL_EXPIRY_SECONDS || '300', 10);
+const DEFAULT_SEARCH_DAYS = 30;
+const DEFAULT_LIMIT = 50;
+const PAGE_TEMPLATE = fs.readFileSync(
+  path.join(__dirname, 'page.html.mustache'), 'utf8');
+
+/**
+ * Serve the voicemail portal, a single page app that logs staff in with the
+ * Cognito hosted UI and uses the other portal endpoints with their token.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {Object} response - API Gateway proxy response with the page HTML.
+ */
+exports.page = async (event) => {
+  const {domainName, stage} = event.requestContext;
+  const baseUrl = `https://${domainName}/${stage}`;
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': [
+        `default-src 'self'`,
+        `script-src 'unsafe-inline'`,
+        `style-src 'unsafe-inline'`,
+        `connect-src ${baseUrl}/`,
+        'media-src https:',
+        `frame-ancestors 'none'`,
+      ].join('; '),
+      'Referrer-Policy': 'no-referrer',
+    },
+    body: Mustache.render(PAGE_TEMPLATE, {
+      config: JSON.stringify({
+        apiUrl: `${baseUrl}/portal/api`,
+        loginUrl: `https://${COGNITO_DOMAIN}/login`,
+        logoutUrl: `https://${COGNITO_DOMAIN}/logout`,
+        clientId: COGNITO_CLIENT_ID,
+        redirectUri: `${baseUrl}/portal`,
+      }).replace(/</g, '\\u003c'),
+    }),
+  };
+};
+
+/**
+ * Search voicemails, most recent first. Query string parameters filter the
+ * results: `q` for words in the transcript or summary, `caller` for part of
+ * the caller's number, `purpose`, `status`, and `from` and `to` ISO 8601
+ * dates, which default to the last DEFAULT_SEARCH_DAYS days.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {Object} response - API Gateway proxy response, with a summary of
+ *                             each voicemail found.
+ */
+exports.search = async (event) => {
+  const {q, caller, purpose, status, from, to, limit} =
+    event.queryStringParameters || {};
+  if (status != null && !store.STATUSES.includes(status)) {
+    return response(400, {message: `Unknown voicemail status: ${status}`});
+  }
+  if ([from, to].some((date) => date && isNaN(new Date(date)))) {
+    return response(400, {message: 'from and to must be ISO 8601 dates'});
+  }
+
+  try {
+    const defaultFrom = new Date(Date.now() - DEFAULT_SEARCH_DAYS * 86400000);
+    const voicemails = await store.listVoicemails({
+      status,
+      from: from ? new Date(from).toISOString() : defaultFrom.toISOString(),
+      to: to ? new Date(to).toISOString() : undefined,
+    });
+    const matching = voicemails.filter((voicemail) => {
+      return matchesWords(voicemail, q) &&
+        matchesCaller(voicemail, caller) &&
+        (!purpose || `${voicemail.purpose}`.toLowerCase() ===
+          purpose.toLowerCase());
+    });
+    return response(200, {
+      voicemails: matching
+        .slice(0, limit ? parseInt(limit, 10) : DEFAULT_LIMIT)
+        .map(summary),
+      total: matching.length,
+    });
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to search voicemails'});
+  }
+};
+
+/**
+ * Fetch the details of a single voicemail, with its transcript as HTML.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {Object} response - API Gateway proxy response.
+ */
+exports.get = async (event) => {
+  const {contactId} = event.pathParameters;
+  try {
+    const voicemail = await store.getVoicemail(contactId);
+    if (!voicemail || !voicemail.status) {
+      return response(404, {message: 'Voicemail not found'});
+    }
+    const {transcriptHtml} = notification.transcripts(voicemail);
+    return response(200, {
+      voicemail: {...summary(voicemail), transcriptHtml},
+    });
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to get voicemail'});
+  }
+};
+
+/**
+ * Get a short-lived link to play a voicemail's recording, the compressed or
+ * redacted copy if there is one. Links are made on demand, so never expire
+ * in the portal.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {Object} response - API Gateway proxy response, with the `url`
+ *                             and when it `expires`.
+ */
+exports.audio = async (event) => {
+  const {contactId} = event.pathParameters;
+  try {
+    const voicemail = await store.getVoicemail(contactId);
+    if (!voicemail || !voicemail.status) {
+      return response(404, {message: 'Voicemail not found'});
+    }
+    console.log(`${user(event)} requested the recording of ${contactId}`);
+    const url = await s3.getSignedUrl({
+      operation: 'getObject',
+      bucketName: voicemail.bucketName,
+      objectKey: (voicemail.audio && voicemail.audio.objectKey) ||
+        voicemail.redactedObjectKey || voicemail.objectKey,
+      expirySeconds: AUDIO_URL_EXPIRY_SECONDS,
+    });
+    const expires = new Date(Date.now() + AUDIO_URL_EXPIRY_SECONDS * 1000);
+    return response(200, {url, expires: expires.toISOString()});
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to get recording'});
+  }
+};
+
+/**
+ * Update the status or assignee of a voicemail, or add a note to it, as the
+ * logged in user.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda,
+ *                         with a JSON body containing any of
+ *                         `status`, `assignee` and `note`.
+ * @return {Object} response - API Gateway proxy response.
+ */
+exports.update = async (event) => {
+  const {contactId} = event.pathParameters;
+  let changes;
+  try {
+    changes = JSON.parse(event.body || '{}');
+  } catch (err) {
+    return response(400, {message: 'Request body must be valid JSON'});
+  }
+  const {status, assignee, note} = changes;
+  if (status != null && !store.STATUSES.includes(status)) {
+    return response(400, {message: `Unknown voicemail status: ${status}`});
+  }
+
+  try {
+    const voicemail = await store.updateVoicemail(contactId, {
+      status,
+      assignee,
+      note,
+      updatedBy: user(event),
+    });
+    if (!voicemail) {
+      return response(404, {message: 'Voicemail not found'});
+    }
+    return response(200, {voicemail: summary(voicemail)});
+  } catch (err) {
+    console.error(err);
+    return response(500, {message: 'Failed to update voicemail'});
+  }
+};
+
+/**
+ * The details of a voicemail shown in the portal. Links to the recording
+ * are left out, as the portal gets its own from the audio endpoint.
+ *
+ * @param {Object} voicemail - Voicemail details, as saved.
+ * @return {Object} - The details to show.
+ */
+function summary(voicemail) {
+  const {enrichment} = voicemail;
+  return {
+    contactId: voicemail.contactId,
+    creationDate: voicemail.creationDate,
+    callingNumber: voicemail.callingNumber,
+    callerWithheld: voicemail.callerWithheld,
+    purpose: voicemail.purpose,
+    route: voicemail.route,
+    duration: voicemail.audio ? voicemail.audio.duration : undefined,
+    hours: voicemail.hours,
+    holiday: voicemail.holiday,
+    status: voicemail.status,
+    assignee: voicemail.assignee,
+    notes: voicemail.notes,
+    statusHistory: voicemail.statusHistory,
+    transcript: voicemail.transcript,
+    summary: enrichment ? enrichment.summary : undefined,
+    intent: enrichment ? enrichment.intent : undefined,
+    urgency: enrichment ? enrichment.urgency : undefined,
+  };
+}
+
+/**
+ * Check whether a voicemail's transcript or summary contains every word of
+ * a search.
+ *
+ * @param {Object} voicemail - Voicemail details, as saved.
+ * @param {string} search - Words to look for, if any.
+ * @return {boolean} - True if every word was found.
+ */
+function matchesWords(voicemail, search) {
+  if (!search) {
+    return true;
+  }
+  const {transcript = '', enrichment} = voicemail;
+  const text = `${transcript} ${enrichment ? enrichment.summary : ''}`
+    .toLowerCase();
+  return search.toLowerCase().split(/\s+/)
+    .every((word) => text.includes(word));
+}
+
+/**
+ * Check whether a voicemail's caller matches part of a phone number.
+ * Only digits are compared, so any formatting of the number matches.
+ *
+ * @param {Object} voicemail - Voicemail details, as saved.
+ * @param {string} caller - Part of the caller's number, if any.
+ * @return {boolean} - True if the caller's number contains it.
+ */
+function matchesCaller(voicemail, caller) {
+  if (!caller) {
+    return true;
+  }
+  const digits = caller.replace(/\D/g, '');
+  if (!digits) {
+    return `${voicemail.callingNumber}`.toLowerCase()
+      .includes(caller.toLowerCase());
+  }
+  return [voicemail.callingNumber, voicemail.callingNumberE164]
+    .some((number) => `${number}`.replace(/\D/g, '').includes(digits));
+}
+
+/**
+ * Get who's logged in to the portal, from their Cognito token's claims.
+ *
+ * @param {Object} event - The API Gateway event that triggered our lambda.
+ * @return {string} - The user's email address or username.
+ */
+function user(event) {
+  const {authorizer = {}} = event.requestContext || {};
+  const {claims = {}} = authorizer;
+  return claims.email || claims['cognito:username'] || 'unknown';
+}
@@ -0,0 +1,235 @@
+const connect = require('./aws/connect');
+const secrets = require('./aws/secrets');
+const config = require('./config');
+
+const CCP_URL = process.env.CCP_URL;
+const CCP_CREDENTIALS_SECRET = process.env.CCP_CREDENTIALS_SECRET;
+const CCP_ADMIN_CREDENTIALS_SECRET = process.env.CCP_ADMIN_CREDENTIALS_SECRET;
+// For running locally without Secrets Manager
+const CCP_USERNAME = process.env.CCP_USERNAME;
+const CCP_PASSWORD = process.env.CCP_PASSWORD;
+const CREDENTIALS_CACHE_SECONDS =
+  parseInt(process.env.CREDENTIALS_CACHE_SECONDS || '300', 10);
+const CONNECT_REGION = process.env.CONNECT_REGION;
+const CONNECT_INSTANCE_ARN = process.env.CONNECT_INSTANCE_ARN || '';
+const CONNECT_LOG_GROUP = process.env.CONNECT_LOG_GROUP;
+const CONNECT_USER_ID = process.env.CONNECT_USER_ID;
+const STREAMS_PAGE_URL = process.env.STREAMS_PAGE_URL;
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Agents' user IDs, once looked up, by profile name
+const userIds = {};
+// Credentials fetched from Secrets Manager and when they expire, by secret
+const cachedCredentials = {};
+
+/**
+ * Get the voicemail agent profiles, from the `agents` section of the
+ * configuration. Each profile is a voicemail agent on an Amazon Connect
+ * instance, with the recordings made on it. Without any configured
+ * profiles, there's a single 'default' profile for the instance and agent
+ * this deployment was configured with.
+ *
+ * @return {Array} - The profiles, with their settings filled in from
+ *                   their `instanceArn` and `ccpUrl`.
+ *
+ * @example
+ * // config.json
+ * {
+ *   "agents": [
+ *     {
+ *       "name": "brand-a",
+ *       "instanceArn": "arn:aws:connect:us-east-1:123456789012:instance/xxxx",
+ *       "ccpUrl": "https://brand-a.my.connect.aws/ccp-v2",
+ *       "credentialsSecret": "serverless-voicemail/agents/brand-a",
+ *       "adminCredentialsSecret": "serverless-voicemail/agents/brand-a-admin",
+ *       "routingProfile": "Voicemail",
+ *       "queues": ["Voicemail"]
+ *     }
+ *   ]
+ * }
+ */
+exports.list = async () => {
+  const {agents} = await config.load();
+  if (agents && agents.length > 0) {
+    return agents.map(normalise);
+  }
+  return [normalise({
+    name: DEFAULT_PROFILE_NAME,
+    ccpUrl: CCP_URL,
+    credentialsSecret: CCP_CREDENTIALS_SECRET,
+    adminCredentialsSecret: CCP_ADMIN_CREDENTIALS_SECRET,
+    instanceArn: CONNECT_INSTANCE_ARN,
+    logGroupName: CONNECT_LOG_GROUP,
+    userId: CONNECT_USER_ID,
+  })];
+};
+
+/**
+ * Get an agent profile by name.
+ *
+ * @param {string} name - Name of the profile.
+ * @return {Object} - The profile.
+ */
+exports.get = async (name) => {
+  const profile = (await exports.list()).find((profile) => {
+    return profile.name === name;
+  });
+  if (!profile) {
+    throw new TypeError(`Unknown agent profile: ${name}`);
+  }
+  return profile;
+};
+
+/**
+ * Find the agent profile a recording was made for, from the
+ * `recordingPrefix` of its S3 key. Amazon Connect saves recordings under
+ * `connect/<instance alias>/`, which is the default prefix.
+ *
+ * @param {string} objectKey - S3 object key of the recording.
+ * @return {Object} - The profile.
+ */
+exports.forRecording = async (objectKey) => {
+  const profiles = await exports.list();
+  const profile = profiles.find(({recordingPrefix}) => {
+    return recordingPrefix && objectKey.startsWith(recordingPrefix);
+  });
+  return profile || onlyProfile(profiles, `recording ${objectKey}`);
+};
+
+/**
+ * Find the agent profile for an Amazon Connect instance, e.g. the one a
+ * contact flow ran in.
+ *
+ * @param {string} instanceArn - ARN of the instance.
+ * @return {Object} - The profile.
+ */
+exports.forInstance = async (instanceArn) => {
+  const profiles = await exports.list();
+  const profile = profiles.find((profile) => {
+    return profile.instanceArn === instanceArn;
+  });
+  return profile || onlyProfile(profiles, `instance ${instanceArn}`);
+};
+
+/**
+ * Get the CCP login credentials of a profile's agent, from its
+ * `credentialsSecret` in Secrets Manager, which is JSON with a `username`,
+ * `password` and, for SAML logins with MFA, a base32 `totpSecret`. They're
+ * cached for CREDENTIALS_CACHE_SECONDS, so `refresh` them if they've been
+ * rejected, e.g. because the password has been rotated since. Without a
+ * secret, e.g. when running locally, CCP_USERNAME and CCP_PASSWORD are used.
+ *
+ * @param {Object} profile - The agent profile.
+ * @param {Object} options - Options to use.
+ * @param {boolean} options.admin - Get the credentials of the instance
+ *                                  admin, from the `adminCredentialsSecret`,
+ *                                  instead.
+ * @param {boolean} options.refresh - Don't use cached credentials.
+ * @return {Object} - The `username`, `password` and `totpSecret`.
+ */
+exports.credentials = async (profile, {admin, refresh} = {}) => {
+  const secretId = admin ?
+    profile.adminCredentialsSecret : profile.credentialsSecret;
+  if (!secretId) {
+    if (admin) {
+      throw new TypeError(`No admin credentials are set for ${profile.name}`);
+    }
+    return {username: CCP_USERNAME, password: CCP_PASSWORD};
+  }
+  const cached = cachedCredentials[secretId];
+  if (!refresh && cached && cached.expires > Date.now()) {
+    return cached.credentials;
+  }
+  const value = await secrets.getSecretValue({secretId});
+  const {username, password, totpSecret} = JSON.parse(value);
+  const credentials = {username, password, totpSecret};
+  cachedCredentials[secretId] = {
+    credentials,
+    expires: Date.now() + CREDENTIALS_CACHE_SECONDS * 1000,
+  };
+  return credentials;
+};
+
+/**
+ * Find the agent profile whose agent's credentials are kept in a secret.
+ *
+ * @param {Object} secret - The secret's `ARN` and `Name`.
+ * @return {Object} - The profile.
+ */
+exports.forSecret = async ({ARN: arn, Name: name}) => {
+  const profile = (await exports.list()).find(({credentialsSecret}) => {
+    return [arn, name].includes(credentialsSecret);
+  });
+  if (!profile) {
+    throw new TypeError(`No agent profile uses the secret ${name}`);
+  }
+  return profile;
+};
+
+/**
+ * Get the Amazon Connect user ID of a profile's agent, its `userId` if set,
+ * otherwise looked up by their username.
+ *
+ * @param {Object} profile - The agent profile.
+ * @return {string} - The user ID.
+ */
+exports.userId = async (profile) => {
+  if (profile.userId) {
+    return profile.userId;
+  }
+  if (!userIds[profile.name]) {
+    const {username} = await exports.credentials(profile);
+    const user = await connect.findUser({
+      instanceId: profile.instanceId,
+      region: profile.region,
+      username,
+    });
+    if (!user) {
+      throw new TypeError(`No Amazon Connect user named ${username}`);
+    }
+    userIds[profile.name] = user.Id;
+  }
+  return userIds[profile.name];
+};
+
+/**
+ * Fill in the settings of an agent profile that can be worked out from
+ * others.
+ *
+ * @param {Object} profile - The profile, as configured.
+ * @return {Object} - The profile with its `instanceId`, `region`,
+ *                    `logGroupName`, `recordingPrefix` and `streamsPageUrl`.
+ */
+function normalise(profile) {
+  const instanceArn = profile.instanceArn || '';
+  // e.g. https://brand-a.my.connect.aws/ccp-v2 or
+  // https://brand-a.awsapps.com/connect/ccp
+  const [, alias] = /^https:\/\/([^.]+)\./.exec(profile.ccpUrl || '') || [];
+  return {
+    ...profile,
+    instanceId: instanceArn.split('/').pop(),
+    region: instanceArn.split(':')[3] || CONNECT_REGION,
+    logGroupName: profile.logGroupName ||
+      (alias ? `/aws/connect/${alias}` : undefined),
+    recordingPrefix: profile.recordingPrefix ||
+      (alias ? `connect/${alias}/` : undefined),
+    streamsPageUrl: profile.streamsPageUrl || STREAMS_PAGE_URL,
+    queues: profile.queues || [],
+  };
+}
+
+/**
+ * Fall back to the only profile, when one can't be found by its settings.
+ *
+ * @param {Array} profiles - All the profiles.
+ * @param {string} description - What a profile was being found for.
+ * @return {Object} - The only profile, or the default one.
+ */
+function onlyProfile(profiles, description) {
+  const profile = profiles.length === 1 ? profiles[0] :
+    profiles.find(({name}) => name === DEFAULT_PROFILE_NAME);
+  if (!profile) {
+    throw new TypeError(`No agent profile found for ${description}`);
+  }
+  return profile;
+}
@@ -0,0 +1,262 @@
+const {DateTime} = require('luxon');
+
+const audio = require('./audio');
+const s3 = require('./aws/s3');
+
+const REDACTION_MODE = process.env.REDACTION_MODE || 'none';
+const REDACT_AUDIO = process.env.REDACT_AUDIO === 'true';
+const REDACTED_PREFIX = process.env.REDACTED_PREFIX || 'redacted/';
+const RECORDING_KMS_KEY = process.env.RECORDING_KMS_KEY;
+const REDACTED_WORD = '[PII]';
+// Silence a little either side of redacted words, as word timings are rough
+const AUDIO_PADDING_SECONDS = 0.25;
+const MIN_ADULT_AGE_YEARS = 15;
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|' +
+  'june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|' +
+  'nov(?:ember)?|dec(?:ember)?';
+const STREET_TYPES = 'street|st|road|rd|avenue|ave|drive|dr|court|ct|' +
+  'place|pl|lane|ln|crescent|cres|way|parade|pde|boulevard|blvd|terrace|' +
+  'tce|highway|hwy|close|circuit|cct|grove|gr';
+const DETECTORS = [
+  {
+    type: 'CREDIT_DEBIT_NUMBER',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: (match) => luhnValid(match.replace(/\D/g, '')),
+  },
+  {
+    type: 'DATE_OF_BIRTH',
+    pattern: new RegExp(
+      `\\b(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|` +
+      `\\d{1,2}(?:st|nd|rd|th)?(?: of)? (?:${MONTHS})(?:,? \\d{4})?|` +
+      `(?:${MONTHS}) \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?)\\b`, 'gi'),
+    valid: (match, text, index) => {
+      const before = text.slice(Math.max(0, index - 50), index);
+      return /\b(born|birth|d\.?o\.?b\.?|birthday)\b/i.test(before) ||
+        isAdultBirthYear(match);
+    },
+  },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(
+      `\\b(?:unit \\d+[a-z]?,? )?\\d{1,5}[a-z]?(?:/\\d{1,5})? ` +
+      `(?:[a-z]+ ){1,3}(?:${STREET_TYPES})\\b`, 'gi'),
+  },
+  {
+    type: 'EMAIL',
+    pattern: new RegExp('\\b[\\w.+-]+(?:@| at )[\\w-]+' +
+      '(?:(?:\\.| dot )[a-z]{2,})+\\b', 'gi'),
+  },
+];
+
+/**
+ * Redact personal information from a voicemail's transcript, using the
+ * REDACTION_MODE the deployment is configured with:
+ *
+ * - 'transcribe' relies on Transcribe's content redaction, which has already
+ *   replaced personal information with [PII] in the transcript.
+ * - 'local' finds card numbers, dates of birth, addresses and email
+ *   addresses in the transcript, and replaces them with [PII].
+ * - 'none' leaves the transcript as it is.
+ *
+ * With REDACT_AUDIO, a copy of the recording with the redacted words
+ * silenced is saved under REDACTED_PREFIX, for notifications to link to.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.transcript - A text transcript of the call.
+ * @param {Object} voicemail.transcriptDetails - Structured transcript.
+ * @param {Object} options - How to redact the voicemail.
+ * @param {boolean} options.redactAudio - Whether to save a redacted copy of
+ *                                        the audio, defaults to REDACT_AUDIO.
+ * @return {Object} - Changes to make to the voicemail details, including the
+ *                    redacted `transcript`, `transcriptDetails`, and
+ *                    `redactedObjectKey` if the audio was redacted.
+ */
+exports.redact = async (voicemail, {redactAudio = REDACT_AUDIO} = {}) => {
+  if (REDACTION_MODE === 'none' || !voicemail.transcriptDetails) {
+    return {};
+  }
+
+  const details = voicemail.transcriptDetails;
+  const words = [].concat(...details.paragraphs.map(({words}) => words));
+  if (REDACTION_MODE === 'local') {
+    detectPii(words);
+  } else {
+    words.filter(({content}) => content === REDACTED_WORD)
+      .forEach((word) => word.redacted = word.redacted || 'PII');
+  }
+  const redactedWords = words.filter(({redacted}) => redacted);
+  console.log(`Redacted ${redactedWords.length} words: ` +
+    JSON.stringify(redactedWords.map(({redacted}) => redacted)));
+
+  const changes = {
+    transcriptDetails: collapseRedactedWords(details),
+    redaction: {
+      mode: REDACTION_MODE,
+      types: [...new Set(redactedWords.map(({redacted}) => redacted))],
+    },
+  };
+  changes.transcript = joinWords([].concat(
+    ...changes.transcriptDetails.paragraphs.map(({words}) => words)));
+
+  if (redactAudio) {
+    changes.redactedObjectKey =
+      await saveRedactedAudio(voicemail, redactedWords);
+  }
+  return changes;
+};
+
+/**
+ * Check whether an S3 object is a redacted copy made by us.
+ *
+ * @param {string} objectKey - S3 object key to check.
+ * @return {boolean} - True if the object is a redacted copy.
+ */
+exports.isRedactedCopy = (objectKey) => {
+  return objectKey.startsWith(REDACTED_PREFIX);
+};
+
+/**
+ * Find personal information in a list of words, and mark the words it's in
+ * as redacted, with the type of information found.
+ *
+ * @param {Array} words - Words of a structured transcript, in order.
+ * @return {void}
+ */
+function detectPii(words) {
+  // Build the text with the position of each word, to map matches to words
+  let text = '';
+  const positions = words.map((word) => {
+    if (!word.punctuation && text) {
+      text += ' ';
+    }
+    const start = text.length;
+    text += word.content;
+    return {word, start, end: text.length};
+  });
+
+  for (let {type, pattern, valid} of DETECTORS) {
+    const regex = new RegExp(pattern.source, pattern.flags);
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (valid && !valid(match[0], text, match.index)) {
+        continue;
+      }
+      const matchEnd = match.index + match[0].length;
+      positions
+        .filter(({word, start, end}) => {
+          return !word.punctuation && start < matchEnd && end > match.index;
+        })
+        .forEach(({word}) => word.redacted = word.redacted || type);
+    }
+  }
+}
+
+/**
+ * Replace each run of redacted words in a transcript with a single [PII].
+ *
+ * @param {Object} details - Structured transcript with redacted words marked.
+ * @return {Object} - A copy of the transcript with the words replaced.
+ */
+function collapseRedactedWords(details) {
+  return {
+    ...details,
+    paragraphs: details.paragraphs.map((paragraph) => {
+      const words = [];
+      for (let word of paragraph.words) {
+        const previous = words[words.length - 1];
+        if (word.redacted && previous && previous.redacted) {
+          previous.endTime = word.endTime;
+        } else if (word.redacted) {
+          words.push({
+            content: REDACTED_WORD,
+            confidence: 1,
+            startTime: word.startTime,
+            endTime: word.endTime,
+            redacted: word.redacted,
+          });
+        } else {
+          words.push(word);
+        }
+      }
+      return {...paragraph, words};
+    }),
+  };
+}
+
+/**
+ * Save a copy of a voicemail's recording with the redacted words silenced.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.bucketName - S3 bucket name of the recording.
+ * @param {string} voicemail.objectKey - S3 object key of the recording.
+ * @param {Array} redactedWords - The words to silence.
+ * @return {string} - S3 object key of the redacted copy.
+ */
+async function saveRedactedAudio({bucketName, objectKey}, redactedWords) {
+  const redactedObjectKey = `${REDACTED_PREFIX}${objectKey}`;
+  console.log(`redacting audio to ${redactedObjectKey}...`);
+  const recording = await s3.getObject({bucketName, objectKey});
+  const redacted = audio.silence(recording, redactedWords.map((word) => {
+    return {
+      startTime: word.startTime - AUDIO_PADDING_SECONDS,
+      endTime: word.endTime + AUDIO_PADDING_SECONDS,
+    };
+  }));
+  await s3.putObject({
+    bucketName,
+    objectKey: redactedObjectKey,
+    body: redacted,
+    contentType: 'audio/wav',
+    kmsKeyId: RECORDING_KMS_KEY,
+  });
+  return redactedObjectKey;
+}
+
+/**
+ * Join words back into text, the way Transcribe formats transcripts.
+ *
+ * @param {Array} words - Words of a structured transcript, in order.
+ * @return {string} - The text.
+ */
+function joinWords(words) {
+  return words.reduce((text, {content, punctuation}) => {
+    return text + (text && !punctuation ? ' ' : '') + content;
+  }, '');
+}
+
+/**
+ * Check whether a number passes the Luhn checksum used by card numbers.
+ *
+ * @param {string} digits - The number to check.
+ * @return {boolean} - True if the checksum is valid.
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check whether a date includes a year that could be an adult's birth year.
+ *
+ * @param {string} date - Date found in a transcript.
+ * @return {boolean} - True if the date has a plausible birth year.
+ */
+function isAdultBirthYear(date) {
+  const [year] = date.match(/\d{4}$/) || [];
+  if (!year) {
+    return false;
+  }
+  const age = DateTime.local().year - parseInt(year, 10);
+  return age >= MIN_ADULT_AGE_YEARS && age < 120;
+}
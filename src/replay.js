@@ -0,0 +1,153 @@
+const s3 = require('./aws/s3');
+const compression = require('./compression');
+const redaction = require('./redaction');
+const store = require('./store');
+const voicemail = require('./voicemail');
+
+const VOICEMAIL_BUCKET = process.env.VOICEMAIL_BUCKET;
+
+/**
+ * Run past voicemail recordings through processing again, e.g. after they
+ * failed. Recordings are chosen by one of `contactId`, `objectKey`, or a
+ * `from` and `to` date range of when they were recorded. Each recording is
+ * given to voicemail.reprocess in an S3 event like the one it first
+ * triggered, so it goes through the same steps.
+ *
+ * Invoke with e.g. `npm run replay -- --contact-id <contactId> --dry-run`.
+ *
+ * @param {Object} event - What to replay.
+ * @param {string} event.contactId - The ID of a call in Amazon Connect.
+ * @param {string} event.objectKey - S3 object key of a recording.
+ * @param {string} event.from - Replay recordings made from this ISO 8601
+ *                              date and time.
+ * @param {string} event.to - Replay recordings made before this ISO 8601
+ *                            date and time, defaults to now.
+ * @param {string} event.prefix - Only look for recordings under this prefix.
+ * @param {boolean} event.dryRun - Don't save or send anything, but return the
+ *                                 notifications that would be sent.
+ * @param {boolean} event.force - Process from scratch, even if the voicemail
+ *                                was already processed.
+ * @return {Object} result - The outcome of replaying each recording.
+ * @return {Array} result.replayed - For each recording, its `objectKey` and
+ *                                   the result of reprocessing it or the
+ *                                   `error` it failed with.
+ */
+exports.handler = async ({
+  contactId,
+  objectKey,
+  from,
+  to,
+  prefix,
+  dryRun = false,
+  force = false,
+}) => {
+  const recordings = await findRecordings({contactId, objectKey, from, to,
+    prefix});
+  console.log(`replaying ${recordings.length} recordings` +
+    (dryRun ? ' (dry run)' : ''));
+
+  const replayed = [];
+  for (let recording of recordings) {
+    try {
+      const result = await voicemail.reprocess(s3Event(recording),
+        {dryRun, force});
+      replayed.push({objectKey: recording.Key, ...result});
+    } catch (err) {
+      console.error(`Failed replaying ${recording.Key}:`);
+      console.error(err);
+      replayed.push({objectKey: recording.Key, error: `${err}`});
+    }
+  }
+  return {replayed};
+};
+
+/**
+ * Find the recordings to replay in the VOICEMAIL_BUCKET.
+ *
+ * @param {Object} params - What to replay, as given to the handler.
+ * @return {Array} - The recordings, with their `Key` and `LastModified`.
+ */
+async function findRecordings({contactId, objectKey, from, to, prefix}) {
+  if (objectKey) {
+    const objects = await s3.listObjects({
+      bucketName: VOICEMAIL_BUCKET,
+      prefix: objectKey,
+    });
+    const recording = objects.find(({Key}) => Key === objectKey);
+    if (!recording) {
+      throw new TypeError(`No recording found with key ${objectKey}`);
+    }
+    return [recording];
+  }
+
+  if (contactId) {
+    // Saved voicemails know their recording, others have to be searched for
+    const saved = await store.getVoicemail(contactId);
+    const objects = await s3.listObjects({
+      bucketName: VOICEMAIL_BUCKET,
+      prefix: saved ? saved.objectKey : prefix,
+    });
+    const recording = objects.find(({Key}) => {
+      return !redaction.isRedactedCopy(Key) &&
+        !compression.isCompressedCopy(Key) &&
+        Key.split('/').pop().startsWith(`${contactId}_`);
+    });
+    if (!recording) {
+      throw new TypeError(`No recording found for contactId ${contactId}`);
+    }
+    return [recording];
+  }
+
+  if (from) {
+    const fromDate = new Date(from);
+    const toDate = to ? new Date(to) : new Date();
+    if (isNaN(fromDate) || isNaN(toDate)) {
+      throw new TypeError('from and to must be ISO 8601 dates');
+    }
+    const objects = await s3.listObjects({
+      bucketName: VOICEMAIL_BUCKET,
+      prefix,
+    });
+    return objects
+      .filter(({Key, LastModified}) => {
+        return !redaction.isRedactedCopy(Key) &&
+          !compression.isCompressedCopy(Key) &&
+          LastModified >= fromDate && LastModified < toDate;
+      })
+      .sort((a, b) => a.LastModified - b.LastModified);
+  }
+
+  throw new TypeError('Need a contactId, objectKey or from date to replay');
+}
+
+/**
+ * Build the S3 event a recording triggered when it was created.
+ *
+ * @param {Object} recording - The recording's S3 object details.
+ * @param {string} recording.Key - S3 object key of the recording.
+ * @param {Date} recording.LastModified - When the recording was made.
+ * @return {Object} - The S3 event.
+ */
+function s3Event({Key, LastModified, Size}) {
+  // S3 events URL encode keys, with spaces as +
+  const encodedKey = encodeURIComponent(Key)
+    .replace(/%2F/g, '/')
+    .replace(/%20/g, '+');
+  return {
+    Records: [{
+      eventSource: 'aws:s3',
+      eventName: 'ObjectCreated:Put',
+      eventTime: new Date(LastModified).toISOString(),
+      s3: {
+        bucket: {
+          name: VOICEMAIL_BUCKET,
+          arn: `arn:aws:s3:::${VOICEMAIL_BUCKET}`,
+        },
+        object: {
+          key: encodedKey,
+          size: Size,
+        },
+      },
+    }],
+  };
+}
@@ -0,0 +1,237 @@
+const secrets = require('./aws/secrets');
+const browsers = require('./browser');
+const login = require('./login');
+const profiles = require('./profiles');
+
+const PASSWORD_LENGTH = 32;
+const SAVE_TIMEOUT_MS = 30000;
+
+/**
+ * Rotate a voicemail agent's CCP password, as the rotation function of their
+ * profile's `credentialsSecret` in Secrets Manager. Secrets Manager calls
+ * this for each step of the rotation in turn:
+ *
+ * - createSecret: generate a new password as the AWSPENDING version.
+ * - setSecret: change the Amazon Connect user's password to it.
+ * - testSecret: check the agent can log in to the CCP with it.
+ * - finishSecret: make it the AWSCURRENT version.
+ *
+ * Amazon Connect has no API for changing a user's password, so it's changed
+ * on the user's page of the instance's admin website, logged in with the
+ * profile's `adminCredentialsSecret`. Agents of SAML instances log in with
+ * their identity provider's password, which needs rotating there instead.
+ *
+ * @param {Object} event - The rotation event, with the `SecretId`,
+ *                         `ClientRequestToken` (the new version's ID) and
+ *                         `Step`.
+ * @return {void}
+ */
+exports.rotate = async (event) => {
+  console.log('event:');
+  console.log(JSON.stringify(event));
+  const {SecretId: secretId, ClientRequestToken: token, Step: step} = event;
+  const secret = await secrets.describeSecret({secretId});
+  checkVersion(secret, token);
+
+  switch (step) {
+    case 'createSecret':
+      await createSecret(secret, token);
+      break;
+    case 'setSecret':
+      await setSecret(secret, token);
+      break;
+    case 'testSecret':
+      await testSecret(secret, token);
+      break;
+    case 'finishSecret':
+      await finishSecret(secret, token);
+      break;
+    default:
+      throw new TypeError(`Unknown rotation step: ${step}`);
+  }
+};
+
+/**
+ * Check that a secret can be rotated to the given version.
+ *
+ * @param {Object} secret - The secret's details.
+ * @param {string} token - ID of the version being rotated to.
+ * @return {void}
+ */
+function checkVersion(secret, token) {
+  if (!secret.RotationEnabled) {
+    throw new TypeError(`Rotation isn't enabled for ${secret.Name}`);
+  }
+  const stages = secret.VersionIdsToStages[token];
+  if (!stages) {
+    throw new TypeError(`${secret.Name} has no version ${token}`);
+  }
+  if (!stages.includes('AWSCURRENT') && !stages.includes('AWSPENDING')) {
+    throw new TypeError(`Version ${token} of ${secret.Name} isn't pending`);
+  }
+}
+
+/**
+ * Generate a new password as the AWSPENDING version of the secret, unless
+ * that's already been done.
+ *
+ * @param {Object} secret - The secret's details.
+ * @param {string} token - ID of the new version.
+ * @return {void}
+ */
+async function createSecret(secret, token) {
+  const current = JSON.parse(await secrets.getSecretValue({
+    secretId: secret.ARN,
+    versionStage: 'AWSCURRENT',
+  }));
+  try {
+    await secrets.getSecretValue({
+      secretId: secret.ARN,
+      versionId: token,
+      versionStage: 'AWSPENDING',
+    });
+    console.log('The new password has already been created');
+    return;
+  } catch (err) {
+    if (err.code !== 'ResourceNotFoundException') {
+      throw err;
+    }
+  }
+  const password = await secrets.getRandomPassword({length: PASSWORD_LENGTH});
+  await secrets.putSecretValue({
+    secretId: secret.ARN,
+    versionId: token,
+    value: JSON.stringify({...current, password}),
+    versionStages: ['AWSPENDING'],
+  });
+}
+
+/**
+ * Change the agent's Amazon Connect password to the new one.
+ *
+ * @param {Object} secret - The secret's details.
+ * @param {string} token - ID of the new version.
+ * @return {void}
+ */
+async function setSecret(secret, token) {
+  const profile = await profiles.forSecret(secret);
+  if (profile.login === 'saml') {
+    throw new TypeError(`${profile.name} logs in with SAML, so its password \
+must be rotated by its identity provider`);
+  }
+  const {password} = JSON.parse(await secrets.getSecretValue({
+    secretId: secret.ARN,
+    versionId: token,
+    versionStage: 'AWSPENDING',
+  }));
+  const userId = await profiles.userId(profile);
+  const admin = await profiles.credentials(profile, {admin: true});
+
+  const browser = await browsers.launch();
+  try {
+    const page = await browser.newPage();
+    console.log(`visiting ${profile.ccpUrl}`);
+    await page.goto(profile.ccpUrl, {waitUntil: 'domcontentloaded'});
+    await login.login(page, profile, admin);
+    await changePassword(page, profile, userId, password);
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Check that the agent can log in with the new password.
+ *
+ * @param {Object} secret - The secret's details.
+ * @param {string} token - ID of the new version.
+ * @return {void}
+ */
+async function testSecret(secret, token) {
+  const profile = await profiles.forSecret(secret);
+  const credentials = JSON.parse(await secrets.getSecretValue({
+    secretId: secret.ARN,
+    versionId: token,
+    versionStage: 'AWSPENDING',
+  }));
+
+  const browser = await browsers.launch();
+  try {
+    const page = await browser.newPage();
+    console.log(`visiting ${profile.ccpUrl}`);
+    await page.goto(profile.ccpUrl, {waitUntil: 'domcontentloaded'});
+    await login.login(page, profile, credentials);
+    console.log(`Logged in with the new password, at ${page.url()}`);
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Make the new version of the secret the AWSCURRENT one, which the agent
+ * functions pick up once their cached credentials expire.
+ *
+ * @param {Object} secret - The secret's details.
+ * @param {string} token - ID of the new version.
+ * @return {void}
+ */
+async function finishSecret(secret, token) {
+  const currentVersion = Object.keys(secret.VersionIdsToStages)
+    .find((versionId) => {
+      return secret.VersionIdsToStages[versionId].includes('AWSCURRENT');
+    });
+  if (currentVersion === token) {
+    console.log(`Version ${token} is already AWSCURRENT`);
+    return;
+  }
+  await secrets.updateSecretVersionStage({
+    secretId: secret.ARN,
+    versionStage: 'AWSCURRENT',
+    moveToVersionId: token,
+    removeFromVersionId: currentVersion,
+  });
+}
+
+/**
+ * Change a user's password on their page of the Amazon Connect admin
+ * website. Like the 'dom' availability strategy, this relies on the page's
+ * markup, and may break when it's restyled.
+ *
+ * @param {Object} page - A puppeteer page instance, logged in as an admin.
+ * @param {Object} profile - The agent profile, with its `ccpUrl`.
+ * @param {string} userId - ID of the agent's user.
+ * @param {string} password - The new password.
+ * @return {void}
+ */
+async function changePassword(page, profile, userId, password) {
+  // e.g. https://alias.my.connect.aws or https://alias.awsapps.com/connect
+  const adminUrl = profile.ccpUrl.replace(/\/ccp(-v2)?(\/.*)?$/, '');
+  const userUrl = `${adminUrl}/users/edit?id=${encodeURIComponent(userId)}`;
+  console.log(`visiting ${userUrl}`);
+  await page.goto(userUrl, {waitUntil: 'networkidle0'});
+
+  console.log('waiting for password input');
+  await page.waitForSelector('input[type="password"]', {visible: true});
+  // Fill in the password and, if there is one, its confirmation
+  for (let field of await page.$$('input[type="password"]')) {
+    await field.click({clickCount: 3});
+    await field.type(password);
+  }
+  const saved = await page.evaluate(() => {
+    const save = Array.from(document.querySelectorAll('button'))
+      .find((button) => /^\s*save\s*$/i.test(button.textContent));
+    if (save) {
+      save.click();
+    }
+    return !!save;
+  });
+  if (!saved) {
+    throw new Error(`No save button on ${userUrl}`);
+  }
+  await page.waitForNavigation({
+    waitUntil: 'networkidle0',
+    timeout: SAVE_TIMEOUT_MS,
+  }).catch(() => {
+    // The page may save without navigating, testSecret checks it worked
+  });
+  console.log(`Changed the password of user ${userId}`);
+}
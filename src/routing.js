@@ -0,0 +1,156 @@
+const channels = require('./channels');
+const config = require('./config');
+const followups = require('./followups');
+const profiles = require('./profiles');
+const schedules = require('./schedules');
+
+const DEFAULT_ROUTE_NAME = 'default';
+
+/**
+ * Decide which notification channels a voicemail should be sent to, using
+ * the `routes` section of the configuration. Routes are checked in order and
+ * the first one whose `match` fits the voicemail's attributes is used. If no
+ * route matches, the `defaultRoute` is used, which sends to every configured
+ * channel unless it lists its own.
+ *
+ * An agent profile can have its own `routes` and `defaultRoute`, which are
+ * used instead for the voicemails recorded on its instance. Routes can also
+ * match on the voicemail's `agentProfile`.
+ *
+ * A route with a `schedule` (see schedules.get) tags voicemails as in-hours
+ * or after-hours, by when they were left. Its `afterHours` settings, e.g.
+ * `channels` for whoever's on call, or `urgent` to mark them urgent,
+ * override the route's own for after-hours voicemails.
+ *
+ * A route's `followUps` names the targets, from the `followUps` section of
+ * the configuration, to open a follow-up item in for its voicemails, e.g.
+ * an Amazon Connect task or a helpdesk ticket (see followups.create).
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @return {Object} result - The route chosen for the voicemail.
+ * @return {string} result.route - Name of the route.
+ * @return {Array} result.channels - Configurations of the channels to use.
+ * @return {Array} result.followUps - Configurations of the follow-up targets
+ *                                    to use.
+ * @return {string} result.hours - 'in-hours' or 'after-hours', if the route
+ *                                 has a schedule.
+ * @return {string} result.holiday - Name of the holiday it was left on, if
+ *                                   any.
+ * @return {boolean} result.urgent - True if the route marks it urgent.
+ *
+ * @example
+ * // config.json
+ * {
+ *   "routes": [
+ *     {"name": "sales", "match": {"purpose": "sales"}, "channels": ["sales"],
+ *       "followUps": ["callback"]},
+ *     {"name": "perth", "match": {"dialledNumber": {"pattern": "^\\+618"}},
+ *       "channels": ["perth-email", "perth-slack"]},
+ *     {"name": "urgent", "match": {"enrichment.urgency": {"min": 4}},
+ *       "channels": ["on-call"]}
+ *   ],
+ *   "defaultRoute": {
+ *     "channels": ["email"],
+ *     "schedule": "office",
+ *     "afterHours": {"channels": ["email", "on-call"], "urgent": true}
+ *   }
+ * }
+ */
+exports.resolve = async (voicemail) => {
+  const settings = await config.load();
+  const profile = (await profiles.list()).find(({name}) => {
+    return name === voicemail.agentProfile;
+  }) || {};
+  const routes = profile.routes || settings.routes || [];
+  const defaultRoute = profile.defaultRoute || settings.defaultRoute || {};
+  const allChannels = await channels.getChannels();
+  const allTargets = await followups.getTargets();
+
+  let route = routes.find((route) => exports.matches(route.match, voicemail));
+  if (!route) {
+    route = {name: DEFAULT_ROUTE_NAME, ...defaultRoute};
+  }
+  console.log(`Using notification route: ${route.name}`);
+
+  let hours;
+  let holiday;
+  if (route.schedule) {
+    ({hours, holiday} = schedules.status(
+      await schedules.get(route.schedule), voicemail.creationDate));
+    console.log(`Voicemail was left ${hours}`);
+    if (hours === 'after-hours' && route.afterHours) {
+      route = {...route, ...route.afterHours};
+    }
+  }
+
+  const result = {
+    route: route.name,
+    hours,
+    holiday,
+    urgent: !!route.urgent,
+    followUps: (route.followUps || []).map((name) => {
+      // Unknown names are kept so they're reported as a failed follow-up
+      return allTargets.find((target) => target.name === name) || {name};
+    }),
+  };
+  if (!route.channels) {
+    return {...result, channels: allChannels};
+  }
+  return {
+    ...result,
+    channels: route.channels.map((name) => {
+      // Unknown names are kept so they're reported as a failed channel
+      return allChannels.find((channel) => channel.name === name) || {name};
+    }),
+  };
+};
+
+/**
+ * Check whether a voicemail's attributes fit a route's match conditions.
+ * Every condition must be met. Attributes are named by key, or by a dotted
+ * path for nested attributes, e.g. `enrichment.intent`. A condition can be a
+ * string, which must equal the attribute ignoring case, a list of strings of
+ * which one must equal the attribute, a `{pattern}` regular expression, or a
+ * `{min, max}` numeric range.
+ *
+ * @param {Object} match - Conditions keyed by attribute name.
+ * @param {Object} attributes - The voicemail's attributes.
+ * @return {boolean} - True if all the conditions are met.
+ */
+exports.matches = (match, attributes) => {
+  if (!match || Object.keys(match).length === 0) {
+    return false;
+  }
+  return Object.keys(match).every((key) => {
+    const value = key.split('.').reduce((object, name) => {
+      return object == null ? undefined : object[name];
+    }, attributes);
+    return conditionMet(match[key], value);
+  });
+};
+
+/**
+ * Check whether a single attribute value meets a match condition.
+ *
+ * @param {*} condition - The condition to check.
+ * @param {*} value - The attribute value.
+ * @return {boolean} - True if the condition is met.
+ */
+function conditionMet(condition, value) {
+  if (value == null) {
+    return false;
+  }
+  if (Array.isArray(condition)) {
+    return condition.some((option) => conditionMet(option, value));
+  }
+  if (condition != null && typeof condition === 'object') {
+    if (condition.pattern != null) {
+      return new RegExp(condition.pattern, 'i').test(`${value}`);
+    }
+    const number = parseFloat(value);
+    return !isNaN(number) &&
+      (condition.min == null || number >= condition.min) &&
+      (condition.max == null || number <= condition.max);
+  }
+  return `${condition}`.toLowerCase() === `${value}`.toLowerCase();
+}
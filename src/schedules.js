@@ -0,0 +1,221 @@
+const {DateTime} = require('luxon');
+const config = require('./config');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const IN_HOURS = 'in-hours';
+const AFTER_HOURS = 'after-hours';
+// How far ahead to look for when a schedule next opens or closes
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * Get a schedule of opening hours by name, from the `schedules` section of
+ * the configuration. Each schedule has a `timezone`, its weekly `hours` as
+ * lists of "HH:mm-HH:mm" ranges by day, and `holidays`. Days that aren't
+ * listed are closed. Ranges that end earlier than they start run overnight,
+ * e.g. "22:00-02:00" closes at 2am the next day. A holiday is a date,
+ * "YYYY-MM-DD" or "MM-DD" for every year, or an object with the `date`, its
+ * `name` and any `hours` it's open.
+ *
+ * @param {string} name - Name of the schedule.
+ * @return {Object} - The schedule, with its `name`.
+ *
+ * @example
+ * // config.json
+ * {
+ *   "schedules": {
+ *     "office": {
+ *       "timezone": "Australia/Perth",
+ *       "hours": {
+ *         "monday": ["08:30-12:30", "13:30-17:00"],
+ *         "friday": ["08:30-16:00"]
+ *       },
+ *       "holidays": [
+ *         {"date": "12-25", "name": "Christmas Day"},
+ *         {"date": "2026-12-24", "name": "Christmas Eve",
+ *           "hours": ["08:30-12:00"]}
+ *       ]
+ *     }
+ *   }
+ * }
+ */
+exports.get = async (name) => {
+  const {schedules = {}} = await config.load();
+  if (!schedules[name]) {
+    throw new TypeError(`Unknown schedule: ${name}`);
+  }
+  return {name, ...schedules[name]};
+};
+
+/**
+ * Work out whether a schedule is open at a given time.
+ *
+ * @param {Object} schedule - The schedule, as returned by exports.get.
+ * @param {string} time - ISO date and time to check, defaults to now.
+ * @return {Object} status - The schedule's status at the time.
+ * @return {boolean} status.open - True if it's open.
+ * @return {string} status.hours - 'in-hours' or 'after-hours'.
+ * @return {string} status.holiday - Name of the holiday, if it's one.
+ * @return {string} status.closesAt - When it next closes, if it's open.
+ * @return {string} status.opensAt - When it next opens, if it's closed.
+ */
+exports.status = (schedule, time) => {
+  const now = (time ? DateTime.fromISO(time) : DateTime.local())
+    .setZone(schedule.timezone);
+  if (!now.isValid) {
+    throw new TypeError(`Invalid time or timezone for schedule \
+${schedule.name}: ${time}, ${schedule.timezone}`);
+  }
+
+  const holiday = findHoliday(schedule, now);
+  const intervals = openIntervals(schedule, now.startOf('day'));
+  const current = intervals.find(({start, end}) => start <= now && now < end);
+  const next = intervals.find(({start}) => start > now);
+  return {
+    open: Boolean(current),
+    hours: current ? IN_HOURS : AFTER_HOURS,
+    holiday: holiday ? holiday.name || 'Holiday' : undefined,
+    closesAt: current ? current.end.toISO() : undefined,
+    opensAt: !current && next ? next.start.toISO() : undefined,
+  };
+};
+
+/**
+ * Tell a contact flow whether a schedule is open, so it can e.g. play an
+ * after-hours message or go straight to voicemail. The flow passes the name
+ * of the `schedule`, or of a notification `route` to use the schedule of.
+ * Values are returned as strings, for the flow to check as contact
+ * attributes.
+ *
+ * @param {Object} event - The event from the contact flow.
+ * @return {Object} - The schedule's `open` ('true' or 'false'), `hours`,
+ *                    `holiday`, `closesAt` and `opensAt`, as strings.
+ */
+exports.check = async (event) => {
+  console.log('event:');
+  console.log(JSON.stringify(event));
+  const parameters = event.Details.Parameters || {};
+  let name = parameters.schedule;
+  if (!name && parameters.route) {
+    const {routes = []} = await config.load();
+    const route = routes.find((route) => route.name === parameters.route);
+    if (!route || !route.schedule) {
+      throw new TypeError(`No schedule for route: ${parameters.route}`);
+    }
+    name = route.schedule;
+  }
+  const status = exports.status(await exports.get(name));
+  console.log(`Schedule ${name} is ${status.hours}`);
+  return {
+    open: `${status.open}`,
+    hours: status.hours,
+    holiday: status.holiday || '',
+    closesAt: status.closesAt || '',
+    opensAt: status.opensAt || '',
+  };
+};
+
+/**
+ * The periods a schedule is open, from the start of a day until
+ * LOOKAHEAD_DAYS later, with periods that run into each other merged.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {DateTime} from - The start of the first day.
+ * @return {Array} - Each period's `start` and `end` DateTimes, in order.
+ */
+function openIntervals(schedule, from) {
+  const intervals = [];
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    // -1 for periods that run overnight into today, e.g. "22:00-02:00"
+    const day = from.plus({days: offset});
+    const nextDay = day.plus({days: 1});
+    const holiday = findHoliday(schedule, day);
+    const ranges = holiday ? holiday.hours || [] :
+      dayHours(schedule)[DAYS[day.weekday - 1]] || [];
+    // In order of opening, however they're listed, so they merge in turn
+    const parsed = ranges.map((range) => parseRange(range, schedule))
+      .sort(([a], [b]) => a - b);
+    for (let [start, end] of parsed) {
+      const interval = {
+        start: atTime(day, start),
+        end: end > start ? atTime(day, end) : atTime(nextDay, end),
+      };
+      const last = intervals[intervals.length - 1];
+      if (last && +last.end >= +interval.start) {
+        last.end = DateTime.max(last.end, interval.end);
+      } else {
+        intervals.push(interval);
+      }
+    }
+  }
+  return intervals;
+}
+
+/**
+ * A schedule's weekly hours, keyed by the first three letters of the day,
+ * so days can be named "monday" or "mon".
+ *
+ * @param {Object} schedule - The schedule.
+ * @return {Object} - Lists of "HH:mm-HH:mm" ranges by day.
+ */
+function dayHours(schedule) {
+  const hours = {};
+  Object.keys(schedule.hours || {}).forEach((day) => {
+    hours[day.slice(0, 3).toLowerCase()] = schedule.hours[day];
+  });
+  return hours;
+}
+
+/**
+ * Find the holiday, if any, on the day of a given time.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {DateTime} time - The time, in the schedule's timezone.
+ * @return {Object} - The holiday's `date`, `name` and `hours`, or undefined.
+ */
+function findHoliday(schedule, time) {
+  const date = time.toISODate();
+  return (schedule.holidays || [])
+    .map((holiday) => typeof holiday === 'string' ? {date: holiday} : holiday)
+    .find((holiday) => {
+      return date === holiday.date || date.endsWith(`-${holiday.date}`);
+    });
+}
+
+/**
+ * Parse a range of opening hours.
+ *
+ * @param {string} range - The range, e.g. "08:30-17:00". It can end at
+ *                         "24:00" for midnight, or earlier than it starts
+ *                         to run overnight.
+ * @param {Object} schedule - The schedule it's from.
+ * @return {Array} - The start and end, in minutes into the day.
+ */
+function parseRange(range, schedule) {
+  const match = /^(\d\d?):(\d\d)\s*-\s*(\d\d?):(\d\d)$/.exec(range);
+  const [, startHour, startMinute, endHour, endMinute] =
+    (match || []).map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  if (!match || startMinute > 59 || endMinute > 59 || start >= 24 * 60 ||
+    end > 24 * 60 || start === end) {
+    throw new TypeError(`Invalid hours in schedule ${schedule.name}: ${range}`);
+  }
+  return [start, end];
+}
+
+/**
+ * Get the wall-clock time on a day, which isn't always the same number of
+ * minutes into the day, as days that daylight saving starts or ends on are
+ * shorter or longer.
+ *
+ * @param {DateTime} day - The start of the day.
+ * @param {number} minutes - The time, in minutes into the day, up to 24:00
+ *                           for midnight at the end of the day.
+ * @return {DateTime} - The time.
+ */
+function atTime(day, minutes) {
+  if (minutes === 24 * 60) {
+    return day.plus({days: 1});
+  }
+  return day.set({hour: Math.floor(minutes / 60), minute: minutes % 60});
+}
@@ -0,0 +1,297 @@
+const dynamodb = require('./aws/dynamodb');
+
+const VOICEMAIL_TABLE = process.env.VOICEMAIL_TABLE;
+const STATUS_INDEX = 'status-creationDate-index';
+const CALLER_INDEX = 'callingNumberE164-creationDate-index';
+
+exports.STATUS_NEW = 'new';
+exports.STATUS_LISTENED = 'listened';
+exports.STATUS_ACTIONED = 'actioned';
+exports.STATUSES = [
+  exports.STATUS_NEW,
+  exports.STATUS_LISTENED,
+  exports.STATUS_ACTIONED,
+];
+
+// Processing steps, in order, recorded as the `processingState` of a
+// voicemail once complete so retries can resume after the last one.
+exports.STEP_ATTRIBUTES = 'attributes';
+exports.STEP_TRANSCRIPTION_STARTED = 'transcriptionStarted';
+exports.STEP_TRANSCRIPT = 'transcript';
+exports.STEP_FOLLOW_UP = 'followUp';
+exports.STEP_NOTIFIED = 'notified';
+exports.PROCESSING_STEPS = [
+  exports.STEP_ATTRIBUTES,
+  exports.STEP_TRANSCRIPTION_STARTED,
+  exports.STEP_TRANSCRIPT,
+  exports.STEP_FOLLOW_UP,
+  exports.STEP_NOTIFIED,
+];
+
+// Details saveVoicemail doesn't set as they are: the key, those the inbox
+// manages and the notification claim
+const UNSAVED_ATTRIBUTES = [
+  'contactId',
+  'status',
+  'statusHistory',
+  'assignee',
+  'notes',
+  'updatedDate',
+  'notifyingUntil',
+];
+
+/**
+ * Persist the details of a voicemail, so that they can be picked up again by
+ * later processing stages. Only the details processing adds are updated:
+ * whatever the inbox changes meanwhile, like the voicemail's status, assignee
+ * or notes, is kept, and it's only given the status it has here if it has
+ * none yet. The notification claim is left to claimNotification.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.contactId - The ID of the call in Amazon Connect.
+ * @param {Array} removed - Names of details to remove from the saved
+ *                          voicemail, e.g. to release the notification claim.
+ * @return {Object} - The voicemail details that were saved.
+ */
+exports.saveVoicemail = async (voicemail, removed = []) => {
+  if (!voicemail.contactId) {
+    throw new TypeError('Need a contactId to save a voicemail');
+  }
+  const updates = [];
+  const names = {};
+  const values = {};
+  const attribute = (name, value) => {
+    const index = updates.length;
+    names[`#a${index}`] = name;
+    values[`:a${index}`] = value;
+    return [`#a${index}`, `:a${index}`];
+  };
+  Object.keys(voicemail)
+    .filter((name) => !UNSAVED_ATTRIBUTES.includes(name) &&
+      !removed.includes(name) && voicemail[name] !== undefined)
+    .forEach((name) => {
+      const [path, value] = attribute(name, voicemail[name]);
+      updates.push(`${path} = ${value}`);
+    });
+  if (voicemail.status !== undefined) {
+    const [path, value] = attribute('status', voicemail.status);
+    updates.push(`${path} = if_not_exists(${path}, ${value})`);
+  }
+  const [path, value] = attribute('updatedDate', new Date().toISOString());
+  updates.push(`${path} = ${value}`);
+
+  let updateExpression = `SET ${updates.join(', ')}`;
+  if (removed.length > 0) {
+    const removals = removed.map((name, index) => {
+      names[`#r${index}`] = name;
+      return `#r${index}`;
+    });
+    updateExpression += ` REMOVE ${removals.join(', ')}`;
+  }
+  return await dynamodb.update({
+    tableName: VOICEMAIL_TABLE,
+    key: {contactId: voicemail.contactId},
+    updateExpression,
+    names,
+    values,
+  });
+};
+
+/**
+ * Retrieve the details of a voicemail saved by an earlier processing stage.
+ *
+ * @param {string} contactId - The ID of the call in Amazon Connect.
+ * @return {Object} - Voicemail details, or undefined if none were saved.
+ */
+exports.getVoicemail = async (contactId) => {
+  return await dynamodb.get({
+    tableName: VOICEMAIL_TABLE,
+    key: {contactId},
+  });
+};
+
+/**
+ * Check whether a processing step has been completed for a voicemail.
+ *
+ * @param {Object} voicemail - Voicemail details, as saved.
+ * @param {string} voicemail.processingState - The last step completed.
+ * @param {string} step - The step to check, one of PROCESSING_STEPS.
+ * @return {boolean} - True if the step, or a later one, was completed.
+ */
+exports.stepCompleted = (voicemail, step) => {
+  if (!voicemail || !voicemail.processingState) {
+    return false;
+  }
+  return exports.PROCESSING_STEPS.indexOf(voicemail.processingState) >=
+    exports.PROCESSING_STEPS.indexOf(step);
+};
+
+/**
+ * Claim the right to send a voicemail's notifications, so that concurrent or
+ * retried invocations don't send them twice. The claim expires after
+ * leaseSeconds, in case whoever claimed it fails before finishing.
+ *
+ * @param {string} contactId - The ID of the call in Amazon Connect.
+ * @param {integer} leaseSeconds - How long the claim lasts.
+ * @return {boolean} - True if the claim was made, false if notifications
+ *                     were already sent or are being sent.
+ */
+exports.claimNotification = async (contactId, leaseSeconds) => {
+  const now = Date.now();
+  try {
+    await dynamodb.update({
+      tableName: VOICEMAIL_TABLE,
+      key: {contactId},
+      updateExpression: 'SET notifyingUntil = :until',
+      conditionExpression: 'attribute_exists(contactId) AND ' +
+        '(attribute_not_exists(processingState) OR ' +
+        'processingState <> :notified) AND ' +
+        '(attribute_not_exists(notifyingUntil) OR notifyingUntil < :now)',
+      values: {
+        ':until': now + leaseSeconds * 1000,
+        ':now': now,
+        ':notified': exports.STEP_NOTIFIED,
+      },
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw err;
+  }
+};
+
+/**
+ * List voicemails in the inbox, most recent first. Voicemails that are still
+ * being processed have no status yet, so aren't included.
+ *
+ * @param {Object} params - Parameters to use.
+ * @param {string} params.status - Only list voicemails with this status,
+ *                                 otherwise voicemails of any status.
+ * @param {string} params.from - Only list voicemails left from this ISO 8601
+ *                               date and time.
+ * @param {string} params.to - Only list voicemails left before this ISO 8601
+ *                             date and time.
+ * @param {integer} params.limit - Maximum number of voicemails to return.
+ * @return {Array} - The voicemails found.
+ */
+exports.listVoicemails = async ({status, from, to, limit} = {}) => {
+  const statuses = status ? [status] : exports.STATUSES;
+  let keyConditionExpression = '#status = :status';
+  const values = {};
+  if (from || to) {
+    keyConditionExpression += ' AND creationDate BETWEEN :from AND :to';
+    // Every ISO 8601 date sorts between these
+    values[':from'] = from || '0';
+    values[':to'] = to || '9';
+  }
+
+  let voicemails = [];
+  for (let status of statuses) {
+    const items = await dynamodb.query({
+      tableName: VOICEMAIL_TABLE,
+      indexName: STATUS_INDEX,
+      keyConditionExpression,
+      names: {'#status': 'status'},
+      values: {...values, ':status': status},
+      ascending: false,
+      limit,
+    });
+    voicemails = voicemails.concat(items);
+  }
+  if (to) {
+    // BETWEEN includes the end, but `to` shouldn't be
+    voicemails = voicemails.filter(({creationDate}) => creationDate < to);
+  }
+  voicemails.sort((a, b) => b.creationDate.localeCompare(a.creationDate));
+  return limit ? voicemails.slice(0, limit) : voicemails;
+};
+
+/**
+ * Count the voicemails left from a number in a period, e.g. to flag repeat
+ * callers.
+ *
+ * @param {Object} params - Parameters to use.
+ * @param {string} params.callingNumberE164 - The caller's number, in E.164
+ *                                            format.
+ * @param {string} params.from - Count voicemails left from this ISO 8601
+ *                               date and time.
+ * @param {string} params.to - Count voicemails left before this ISO 8601
+ *                             date and time.
+ * @return {integer} - How many voicemails were left.
+ */
+exports.countVoicemailsFrom = async ({callingNumberE164, from, to}) => {
+  const items = await dynamodb.query({
+    tableName: VOICEMAIL_TABLE,
+    indexName: CALLER_INDEX,
+    keyConditionExpression: 'callingNumberE164 = :number AND ' +
+      'creationDate BETWEEN :from AND :to',
+    values: {':number': callingNumberE164, ':from': from, ':to': to},
+  });
+  // BETWEEN includes the end
+  return items.filter((item) => item.voicemail && item.creationDate < to)
+    .length;
+};
+
+/**
+ * Update the inbox details of a voicemail, like its status or who it's
+ * assigned to. Any note given is added to the voicemail's existing notes.
+ *
+ * @param {string} contactId - The ID of the call in Amazon Connect.
+ * @param {Object} changes - The changes to make.
+ * @param {string} changes.status - New status of the voicemail.
+ * @param {string} changes.assignee - Who is responsible for the voicemail.
+ * @param {string} changes.note - A note to add to the voicemail.
+ * @param {string} changes.updatedBy - Who is making the changes.
+ * @return {Object} - The voicemail details after the update, or undefined
+ *                    if there's no voicemail in the inbox for the call.
+ */
+exports.updateVoicemail = async (contactId, {
+  status,
+  assignee,
+  note,
+  updatedBy,
+}) => {
+  if (status != null && !exports.STATUSES.includes(status)) {
+    throw new TypeError(`Unknown voicemail status: ${status}`);
+  }
+
+  const updatedDate = new Date().toISOString();
+  const updates = ['updatedDate = :updatedDate'];
+  const names = {'#status': 'status'};
+  const values = {':updatedDate': updatedDate};
+  if (status != null) {
+    updates.push('#status = :status');
+    updates.push('statusHistory = list_append(' +
+      'if_not_exists(statusHistory, :empty), :statusChange)');
+    values[':status'] = status;
+    values[':statusChange'] = [{status, updatedBy, date: updatedDate}];
+    values[':empty'] = [];
+  }
+  if (assignee !== undefined) {
+    updates.push('assignee = :assignee');
+    values[':assignee'] = assignee;
+  }
+  if (note) {
+    updates.push('notes = list_append(if_not_exists(notes, :empty), :note)');
+    values[':note'] = [{text: note, author: updatedBy, date: updatedDate}];
+    values[':empty'] = [];
+  }
+
+  try {
+    return await dynamodb.update({
+      tableName: VOICEMAIL_TABLE,
+      key: {contactId},
+      updateExpression: `SET ${updates.join(', ')}`,
+      conditionExpression: 'attribute_exists(#status)',
+      names,
+      values,
+    });
+  } catch (err) {
+    if (err.code === 'ConditionalCheckFailedException') {
+      return;
+    }
+    throw err;
+  }
+};
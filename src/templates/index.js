@@ -0,0 +1,96 @@
+const fs = require('fs');
+const Mustache = require('mustache');
+const path = require('path');
+
+const config = require('../config');
+const notification = require('../notification');
+
+const DEFAULT_TEMPLATE = 'default';
+const PARTS = ['subject', 'text', 'html'];
+const DEFAULT_FILES = {
+  subject: 'default.subject.mustache',
+  text: 'default.txt.mustache',
+  html: 'default.html.mustache',
+};
+
+/**
+ * Render the subject, plain-text and HTML versions of a voicemail
+ * notification.
+ *
+ * The template used is the first of these listed in the `templates` section
+ * of the configuration: the channel's `template`, the `template` of the route
+ * the voicemail matched, one named after the call's purpose, or `default`.
+ * Each template names the files in the configuration bucket to use for each
+ * part, and any part it doesn't name uses the built-in default.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel being rendered for.
+ * @return {Object} result - The rendered notification.
+ * @return {string} result.subject - Subject line, as plain text.
+ * @return {string} result.text - Plain-text body.
+ * @return {string} result.html - HTML body.
+ *
+ * @example
+ * // config.json
+ * {
+ *   "templates": {
+ *     "sales": {
+ *       "subject": "templates/sales.subject.mustache",
+ *       "html": "templates/sales.html.mustache"
+ *     }
+ *   }
+ * }
+ */
+exports.render = async (voicemail, channel = {}) => {
+  const configuration = await config.load();
+  const templates = configuration.templates || {};
+  const name = templateName(voicemail, channel, configuration);
+  const template = templates[name] || templates[DEFAULT_TEMPLATE] || {};
+  console.log(`Rendering notification with template: ${name}`);
+
+  const view = notification.view(voicemail);
+  const rendered = {};
+  for (let part of PARTS) {
+    const source = await loadPart(template, part);
+    rendered[part] = Mustache.render(source, {...view, ...rendered}, {}, {
+      escape: part === 'html' ? Mustache.escape : (value) => value,
+    });
+  }
+  rendered.subject = rendered.subject.trim();
+  return rendered;
+};
+
+/**
+ * Choose the name of the template to render a voicemail notification with.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} channel - Configuration of the channel being rendered for.
+ * @param {Object} configuration - The loaded configuration.
+ * @return {string} - Name of the template.
+ */
+function templateName(voicemail, channel, configuration) {
+  const {templates = {}, routes = [], defaultRoute = {}} = configuration;
+  const route = routes.find((route) => route.name === voicemail.route) ||
+    defaultRoute;
+  const candidates = [channel.template, route.template, voicemail.purpose];
+  return candidates.find((name) => name && templates[name]) ||
+    DEFAULT_TEMPLATE;
+}
+
+/**
+ * Load the source of one part of a template, falling back to the built-in
+ * default if the template doesn't have that part.
+ *
+ * @param {Object} template - Files of the template, keyed by part.
+ * @param {string} part - One of 'subject', 'text' or 'html'.
+ * @return {string} - Mustache template source.
+ */
+async function loadPart(template, part) {
+  if (template[part]) {
+    const source = await config.loadFile(template[part]);
+    if (source != null) {
+      return source;
+    }
+  }
+  return fs.readFileSync(path.join(__dirname, DEFAULT_FILES[part]), 'utf8');
+}
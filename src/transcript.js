@@ -0,0 +1,245 @@
+const Mustache = require('mustache');
+
+const PARAGRAPH_PAUSE_SECONDS =
+  parseFloat(process.env.TRANSCRIPT_PARAGRAPH_PAUSE_SECONDS || '1.5');
+const LOW_CONFIDENCE =
+  parseFloat(process.env.TRANSCRIPT_LOW_CONFIDENCE || '0.6');
+const CHANNEL_NAMES = (process.env.TRANSCRIPT_CHANNEL_NAMES || '')
+  .split(',').map((name) => name.trim());
+
+/**
+ * Build a structured transcript from the results of a Transcribe job, keeping
+ * the timing, confidence and speaker or channel of each word. Words are
+ * grouped into paragraphs, with a new paragraph started whenever the speaker
+ * changes or there's a pause of TRANSCRIPT_PARAGRAPH_PAUSE_SECONDS.
+ *
+ * @param {Object} results - The `results` of a Transcribe job's output.
+ * @return {Object} transcript - The structured transcript.
+ * @return {Array} transcript.speakers - Names of everyone who spoke.
+ * @return {Array} transcript.paragraphs - Paragraphs of the transcript, each
+ *                                         with a speaker, startTime, endTime
+ *                                         and words.
+ *
+ * @example
+ * {
+ *   speakers: ['Caller'],
+ *   paragraphs: [{
+ *     speaker: 'Caller', startTime: 0.04, endTime: 1.2,
+ *     words: [
+ *       {content: 'Hi', confidence: 0.99, startTime: 0.04, endTime: 0.3},
+ *       {content: ',', punctuation: true},
+ *       ...
+ *     ],
+ *   }],
+ * }
+ */
+exports.parse = (results) => {
+  const words = labelledWords(results);
+  const paragraphs = [];
+  let paragraph = null;
+  for (let word of words) {
+    if (word.punctuation) {
+      if (paragraph) {
+        paragraph.words.push(word);
+      }
+      continue;
+    }
+    const pause = paragraph ? word.startTime - paragraph.endTime : 0;
+    if (!paragraph || paragraph.speaker !== word.speaker ||
+        pause >= PARAGRAPH_PAUSE_SECONDS) {
+      paragraph = {
+        speaker: word.speaker,
+        startTime: word.startTime,
+        endTime: word.endTime,
+        words: [],
+      };
+      paragraphs.push(paragraph);
+    }
+    paragraph.words.push(word);
+    paragraph.endTime = word.endTime;
+  }
+  paragraphs.forEach((paragraph) => {
+    paragraph.words.forEach((word) => delete word.speaker);
+  });
+
+  const speakers = [...new Set(paragraphs.map(({speaker}) => speaker))];
+  return {speakers, paragraphs};
+};
+
+/**
+ * Render a structured transcript as plain text. Words with a confidence
+ * below TRANSCRIPT_LOW_CONFIDENCE are followed by "(?)", and each paragraph
+ * is prefixed with its speaker and start time if more than one person spoke.
+ *
+ * @param {Object} transcript - A transcript built by parse.
+ * @return {string} - The transcript text.
+ *
+ * @example
+ * 'Caller (0:00): Hi, it's Sam from Joondalup(?) about order 1234.'
+ */
+exports.toText = (transcript) => {
+  return renderParagraphs(transcript, {
+    word: ({content}, lowConfidence) => {
+      return lowConfidence ? `${content}(?)` : content;
+    },
+    paragraph: (label, text) => label ? `${label}: ${text}` : text,
+    separator: '\n\n',
+  });
+};
+
+/**
+ * Render a structured transcript as HTML, safe to include unescaped in
+ * notification templates. Words with a confidence below
+ * TRANSCRIPT_LOW_CONFIDENCE are highlighted.
+ *
+ * @param {Object} transcript - A transcript built by parse.
+ * @return {string} - The transcript HTML.
+ */
+exports.toHtml = (transcript) => {
+  return renderParagraphs(transcript, {
+    word: ({content, confidence}, lowConfidence) => {
+      const html = Mustache.escape(content);
+      if (!lowConfidence) {
+        return html;
+      }
+      const percent = Math.round(confidence * 100);
+      return `<span style="background-color: #fff3b0; ` +
+        `border-bottom: 1px dashed #b08800;" ` +
+        `title="${percent}% confident">${html}</span>`;
+    },
+    paragraph: (label, text) => {
+      const labelHtml = label ?
+        `<strong>${Mustache.escape(label)}:</strong> ` : '';
+      return `<p style="margin: 0 0 12px 0;">${labelHtml}${text}</p>`;
+    },
+    separator: '\n',
+  });
+};
+
+/**
+ * Check whether any word of a structured transcript has a confidence below
+ * TRANSCRIPT_LOW_CONFIDENCE, so would be marked up when rendered.
+ *
+ * @param {Object} transcript - A transcript built by parse.
+ * @return {boolean} - True if there are low-confidence words.
+ */
+exports.hasLowConfidenceWords = ({paragraphs}) => {
+  return paragraphs.some(({words}) => words.some(isLowConfidence));
+};
+
+/**
+ * Render each paragraph of a transcript, and join them together.
+ *
+ * @param {Object} transcript - A transcript built by parse.
+ * @param {Object} render - Functions to render parts of the transcript.
+ * @param {Function} render.word - Renders a word, given the word and whether
+ *                                 it has low confidence.
+ * @param {Function} render.paragraph - Renders a paragraph, given a label
+ *                                      for it (if needed) and its text.
+ * @param {string} render.separator - Placed between paragraphs.
+ * @return {string} - The rendered transcript.
+ */
+function renderParagraphs({speakers, paragraphs}, render) {
+  const showLabels = speakers.length > 1;
+  return paragraphs.map((paragraph) => {
+    let text = '';
+    for (let word of paragraph.words) {
+      const lowConfidence = isLowConfidence(word);
+      const spacer = text && !word.punctuation ? ' ' : '';
+      text += spacer + render.word(word, lowConfidence);
+    }
+    const label = showLabels ?
+      `${paragraph.speaker} (${formatTime(paragraph.startTime)})` : null;
+    return render.paragraph(label, text);
+  }).join(render.separator);
+}
+
+/**
+ * Check whether a word of a transcript has low confidence. Punctuation never
+ * does.
+ *
+ * @param {Object} word - The word.
+ * @return {boolean} - True if its confidence is below
+ *                     TRANSCRIPT_LOW_CONFIDENCE.
+ */
+function isLowConfidence(word) {
+  return !word.punctuation && word.confidence < LOW_CONFIDENCE;
+}
+
+/**
+ * Get every word and punctuation mark of a transcript in the order they were
+ * spoken, labelled with who spoke them. Words are labelled by channel if
+ * channel identification was used, otherwise by speaker if speaker
+ * identification was used.
+ *
+ * @param {Object} results - The `results` of a Transcribe job's output.
+ * @return {Array} - The words.
+ */
+function labelledWords(results) {
+  if (results.channel_labels) {
+    const channels = results.channel_labels.channels.map((channel) => {
+      const index = parseInt(channel.channel_label.replace(/\D/g, ''), 10);
+      const name = CHANNEL_NAMES[index] || `Channel ${index + 1}`;
+      return toWords(channel.items, () => name);
+    });
+    // Punctuation has no time of its own, so stays behind the previous word
+    let order = 0;
+    return [].concat(...channels.map((words) => {
+      let time = 0;
+      return words.map((word) => {
+        time = word.punctuation ? time : word.startTime;
+        return {word, time, order: order++};
+      });
+    })).sort((a, b) => a.time - b.time || a.order - b.order)
+      .map(({word}) => word);
+  }
+
+  const speakerAt = {};
+  if (results.speaker_labels) {
+    for (let segment of results.speaker_labels.segments) {
+      for (let item of segment.items) {
+        const index = parseInt(item.speaker_label.replace(/\D/g, ''), 10);
+        speakerAt[item.start_time] = `Speaker ${index + 1}`;
+      }
+    }
+  }
+  return toWords(results.items, (item) => speakerAt[item.start_time] || null);
+}
+
+/**
+ * Convert Transcribe output items to words.
+ *
+ * @param {Array} items - Items from a Transcribe job's output.
+ * @param {Function} speaker - Returns the name of the speaker of an item.
+ * @return {Array} - The words.
+ */
+function toWords(items, speaker) {
+  return items.map((item) => {
+    const [alternative = {}] = item.alternatives || [];
+    if (item.type === 'punctuation') {
+      return {content: alternative.content, punctuation: true};
+    }
+    return {
+      content: alternative.content,
+      confidence: parseFloat(alternative.confidence),
+      startTime: parseFloat(item.start_time),
+      endTime: parseFloat(item.end_time),
+      speaker: speaker(item),
+    };
+  });
+}
+
+/**
+ * Format a number of seconds as minutes and seconds.
+ *
+ * @param {number} seconds - Seconds since the start of the recording.
+ * @return {string} - The formatted time.
+ *
+ * @example
+ * formatTime(65.3) => '1:05'
+ */
+function formatTime(seconds) {
+  const wholeSeconds = Math.floor(seconds);
+  const minutes = Math.floor(wholeSeconds / 60);
+  return `${minutes}:${`${wholeSeconds % 60}`.padStart(2, '0')}`;
+}
@@ -1,249 +1,839 @@
 const {DateTime} = require('luxon');
 
 const agent = require('./agent');
-const cwl = require('./aws/cwl');
+const attributes = require('./attributes');
 const s3 = require('./aws/s3');
 const sns = require('./aws/sns');
 const transcribe = require('./aws/transcribe');
+const channels = require('./channels');
+const compression = require('./compression');
+const directory = require('./directory');
+const enrichment = require('./enrichment');
+const followups = require('./followups');
+const phone = require('./phone');
+const profiles = require('./profiles');
+const redaction = require('./redaction');
+const routing = require('./routing');
+const store = require('./store');
+const transcript = require('./transcript');
 
-const CONNECT_LOG_GROUP = process.env.CONNECT_LOG_GROUP;
 const NOTIFICATION_TOPIC = process.env.NOTIFICATION_TOPIC;
-const NOTIFICATION_TIMEZONE = process.env.NOTIFICATION_TIMEZONE;
 const LINK_EXPIRY_IN_DAYS = parseInt(process.env.LINK_EXPIRY_IN_DAYS, 10);
 const LINK_EXPIRY_IN_SECONDS = LINK_EXPIRY_IN_DAYS * 86400;
-const TRANSCRIBE_WAIT_SECONDS = 240;
+const TRANSCRIBE_JOB_PREFIX = 'voicemail_';
+const TRANSCRIBE_LANGUAGE = process.env.TRANSCRIBE_LANGUAGE || 'en-AU';
+const TRANSCRIBE_IDENTIFY_LANGUAGE =
+  process.env.TRANSCRIBE_IDENTIFY_LANGUAGE === 'true';
+const TRANSCRIBE_LANGUAGE_OPTIONS = (process.env.TRANSCRIBE_LANGUAGE_OPTIONS ||
+  '').split(',').map((code) => code.trim()).filter((code) => code);
+const TRANSCRIBE_VOCABULARY = process.env.TRANSCRIBE_VOCABULARY || undefined;
+const TRANSCRIBE_VOCABULARY_FILTER =
+  process.env.TRANSCRIBE_VOCABULARY_FILTER || undefined;
+const TRANSCRIBE_SPEAKER_MODE = process.env.TRANSCRIBE_SPEAKER_MODE || 'none';
+const TRANSCRIBE_MAX_SPEAKERS = 2;
+const TRANSCRIBE_PII_ENTITY_TYPES = (process.env.TRANSCRIBE_PII_ENTITY_TYPES ||
+  '').split(',').map((type) => type.trim()).filter((type) => type);
+const REDACTION_MODE = process.env.REDACTION_MODE || 'none';
+// How many recordings of an event or batch to process at once
+const PROCESSING_CONCURRENCY =
+  parseInt(process.env.PROCESSING_CONCURRENCY || '5', 10);
+const AUTO_LANGUAGE = 'auto';
 const VOICEMAIL_PROCESSED_EVENT = 'VOICEMAIL_PROCESSED';
-const SEARCH_PERIOD_IN_DAYS = 1;
+// Longer than the lambda can run, so a claim only expires if it crashed or
+// timed out. LAMBDA_TIMEOUT_SECONDS is the function's timeout, defaulting to
+// the longest any lambda can run.
+const NOTIFICATION_LEASE_SECONDS =
+  parseInt(process.env.LAMBDA_TIMEOUT_SECONDS || '900', 10) + 60;
+const REPEAT_CALLER_DAYS =
+  parseInt(process.env.REPEAT_CALLER_DAYS || '30', 10);
 
 /**
- * Process voicemail recordings.
+ * Process voicemail recordings. This is the first stage of processing, which
+ * gathers the details of the call and starts a transcription job for it.
+ * The voicemail details are saved so that the notification can be sent by
+ * the transcriptionCompleted handler once the job finishes.
  *
- * @param {Object} event - The event that triggered our lambda,
- *                         containing S3 Object details.
- * @return {Object} result - Indicator of successful run
+ * S3 events can be delivered more than once, and failed invocations are
+ * retried, so each step is recorded in the voicemail's `processingState`
+ * and skipped if it was already done.
+ *
+ * Every recording in the event is processed independently, up to
+ * PROCESSING_CONCURRENCY at a time, and objects that aren't Amazon Connect
+ * recordings are skipped. The event can come straight from S3, in which case
+ * the invocation fails if any recording does, so it's retried, or from an
+ * SQS queue of S3 events, in which case just the messages with recordings
+ * that failed are reported, to be received again.
+ *
+ * @param {Object} event - The event that triggered our lambda, containing
+ *                         S3 Object details, or SQS messages of them.
+ * @return {Object} result - The outcome of each recording, as `results`, or
+ *                           for SQS events, the `batchItemFailures`.
  */
 exports.process = async (event) => {
+  const items = batchItems(event);
+  const loggedIn = new Set();
+  const processed = await mapWithConcurrency(items, PROCESSING_CONCURRENCY,
+    async ({itemIdentifier, records, body}) => {
+      const results = [];
+      if (body !== undefined) {
+        try {
+          records = messageRecords(body);
+        } catch (err) {
+          console.error(`Unreadable message ${itemIdentifier}:`);
+          console.error(err);
+          return {itemIdentifier, results, unreadable: true};
+        }
+      }
+      for (let record of records) {
+        results.push(await processEventRecord(record, loggedIn));
+      }
+      return {itemIdentifier, results};
+    });
+
+  const results = [].concat(...processed.map(({results}) => results));
+  const failures = results.filter(({success}) => !success);
+  console.log(`processed ${results.length} recordings, ` +
+    `${failures.length} failed`);
+  if (items.some(({itemIdentifier}) => itemIdentifier)) {
+    return {
+      batchItemFailures: processed
+        .filter(({results, unreadable}) => unreadable ||
+          results.some(({success}) => !success))
+        .map(({itemIdentifier}) => ({itemIdentifier})),
+    };
+  }
+  if (failures.length > 0) {
+    throw new Error(`Failed processing ${failures.length} of \
+${results.length} recordings:
+${failures.map(({objectKey, error}) => `${objectKey}: ${error}`).join('\n')}`);
+  }
+  return {success: true, results};
+};
+
+/**
+ * Run a past voicemail recording through processing again, e.g. after it
+ * failed. Steps that were completed are skipped as usual, unless `force` is
+ * set, in which case the voicemail is processed from scratch as if it were
+ * new. If its transcription job has already finished, the notification is
+ * sent straight away rather than waiting for the job's event.
+ *
+ * @param {Object} event - An S3 event for the recording, like the one that
+ *                         triggers the process handler.
+ * @param {Object} options - How to reprocess the voicemail.
+ * @param {boolean} options.dryRun - Don't save or send anything, but return
+ *                                   the notifications that would be sent.
+ * @param {boolean} options.force - Start again from the first step.
+ * @return {Object} result - What happened to the voicemail.
+ * @return {string} result.contactId - The ID of the call in Amazon Connect.
+ * @return {string} result.processingState - The last step completed.
+ * @return {Array} result.notifications - For a dry run, the notification
+ *                                        formatted for each channel.
+ */
+exports.reprocess = async (event, {dryRun = false, force = false} = {}) => {
+  const [record] = event.Records;
+  if (dryRun) {
+    return await previewRecording(record);
+  }
+
+  const {objectKey} = getS3ObjectInfo(record);
+  const contactId = contactIdFromObjectKey(objectKey);
+  if (!contactId) {
+    throw new TypeError(`Not an Amazon Connect recording: ${objectKey}`);
+  }
+  if (force) {
+    await resetProcessing(contactId);
+  }
+  await processRecording(record);
+
+  const voicemail = await store.getVoicemail(contactId);
+  if (voicemail && voicemail.transcriptionJobName &&
+      !store.stepCompleted(voicemail, store.STEP_NOTIFIED)) {
+    const {transcriptionJobName: jobName} = voicemail;
+    const job = await transcribe.getJob({jobName});
+    if (['COMPLETED', 'FAILED'].includes(job.TranscriptionJobStatus)) {
+      await exports.transcriptionCompleted({
+        detail: {
+          TranscriptionJobName: jobName,
+          TranscriptionJobStatus: job.TranscriptionJobStatus,
+        },
+      });
+    }
+  }
+
+  const {processingState} = await store.getVoicemail(contactId) || {};
+  return {contactId, processingState};
+};
+
+/**
+ * Finish processing a voicemail once its transcription job has completed,
+ * by sending a notification with the transcript and a link to the recording.
+ *
+ * Like the first stage, completed steps are skipped when the event is
+ * delivered again or retried. Sending notifications is claimed first so only
+ * one invocation sends them, and channels that were already sent to are left
+ * out, so nobody is notified twice.
+ *
+ * @param {Object} event - The Transcribe Job State Change event from
+ *                         CloudWatch Events that triggered our lambda.
+ * @return {Object} result - Indicator of successful run
+ */
+exports.transcriptionCompleted = async (event) => {
+  const {TranscriptionJobName: jobName} = event.detail;
+  console.log(`Transcription job ${jobName} changed state`);
+
+  const context = {step: store.STEP_TRANSCRIPT, jobName};
+  try {
+    const contactId = contactIdFromJobName(jobName);
+    context.contactId = contactId;
+    const voicemail = await store.getVoicemail(contactId);
+    if (!voicemail || voicemail.transcriptionJobName !== jobName) {
+      console.log('no voicemail found for transcription job, ignoring');
+      return {success: true};
+    }
+    if (store.stepCompleted(voicemail, store.STEP_NOTIFIED)) {
+      console.log('voicemail notification already sent, ignoring');
+      return {success: true};
+    }
+
+    if (!store.stepCompleted(voicemail, store.STEP_TRANSCRIPT)) {
+      await addTranscript(voicemail, jobName);
+      voicemail.processingState = store.STEP_TRANSCRIPT;
+      await store.saveVoicemail(voicemail);
+    }
+
+    if (!store.stepCompleted(voicemail, store.STEP_FOLLOW_UP)) {
+      context.step = store.STEP_FOLLOW_UP;
+      await createFollowUps(voicemail);
+      voicemail.processingState = store.STEP_FOLLOW_UP;
+      await store.saveVoicemail(voicemail);
+    }
+
+    context.step = store.STEP_NOTIFIED;
+    const claimed = await store.claimNotification(contactId,
+      NOTIFICATION_LEASE_SECONDS);
+    if (!claimed) {
+      console.log('voicemail notification already being sent, ignoring');
+      return {success: true};
+    }
+    try {
+      await sendNotification(voicemail);
+      voicemail.processingState = store.STEP_NOTIFIED;
+    } finally {
+      // Keep whatever was sent, and release the claim for any retry
+      await store.saveVoicemail(voicemail, ['notifyingUntil']);
+    }
+
+    return {success: true};
+  } catch (err) {
+    const processingError = withContext(err, context);
+    await sendFailureNotification(processingError);
+    throw processingError;
+  }
+};
+
+/**
+ * Split a lambda event into the items to process independently: each record
+ * of an S3 event, or each message of an SQS event, with the S3 event
+ * records in its body.
+ *
+ * @param {Object} event - The event that triggered our lambda.
+ * @return {Array} - Each item's S3 event `records`, or for SQS messages the
+ *                   `body` to read them from, with the `itemIdentifier` to
+ *                   report if they fail.
+ */
+function batchItems(event) {
+  return (event.Records || []).map((record) => {
+    if (record.eventSource !== 'aws:sqs') {
+      return {records: [record]};
+    }
+    return {itemIdentifier: record.messageId, body: record.body};
+  });
+}
+
+/**
+ * Read the S3 event records from the body of an SQS message.
+ *
+ * @param {string} body - The body of the message, an S3 event as JSON.
+ * @return {Array} - The S3 event records.
+ */
+function messageRecords(body) {
+  // S3 sends a test event without any records when the queue's set up
+  const {Records: records = []} = JSON.parse(body);
+  return records;
+}
+
+/**
+ * Process a single recording of an event, making its agent available again
+ * first, once for each agent profile.
+ *
+ * @param {Object} record - The S3 event record for the recording.
+ * @param {Set} loggedIn - Names of profiles already sent login events.
+ * @return {Object} - The recording's `objectKey`, and whether it was
+ *                    processed with `success`, or the `error` it failed with.
+ */
+async function processEventRecord(record, loggedIn) {
+  let objectKey;
+  try {
+    ({objectKey} = getS3ObjectInfo(record));
+  } catch (err) {
+    console.error('Unrecognised event record, ignoring:');
+    console.error(err);
+    return {success: true, skipped: true};
+  }
+
   // Agent would have just gotten off a call, so make it Available again
   // Errors are ignored so we still attempt the processing of the voicemail.
+  // Our own copies of recordings aren't calls, so don't log in for those.
   try {
-    agent.sendLoginEvent({
-      event: VOICEMAIL_PROCESSED_EVENT,
-    });
+    const copy = redaction.isRedactedCopy(objectKey) ||
+      compression.isCompressedCopy(objectKey);
+    if (!copy && contactIdFromObjectKey(objectKey)) {
+      const profile = await profiles.forRecording(objectKey);
+      if (!loggedIn.has(profile.name)) {
+        loggedIn.add(profile.name);
+        await agent.sendLoginEvent({
+          event: VOICEMAIL_PROCESSED_EVENT,
+          profile: profile.name,
+        });
+      }
+    }
   } catch (err) {
     console.log(err);
   }
 
   // Process the voicemail message
   try {
-    let voicemail = getS3ObjectInfo(event.Records[0]);
-    voicemail.contactId = contactIdFromObjectKey(voicemail.objectKey);
-    voicemail = await addCallAttributes(voicemail);
+    return {objectKey, ...await processRecording(record)};
+  } catch (err) {
+    return {objectKey, success: false, error: `${err}`};
+  }
+}
+
+/**
+ * Run an async function over a list of items, with at most `limit` running
+ * at once.
+ *
+ * @param {Array} items - The items.
+ * @param {integer} limit - How many to run at once.
+ * @param {Function} fn - Given each item.
+ * @return {Array} - What the function returned for each item, in order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({length: Math.min(limit, items.length)},
+    worker));
+  return results;
+}
 
-    if (!voicemail.voicemail) {
-      console.log('non-voicemail call, ignoring');
+/**
+ * Gather the details of a voicemail recording and start transcribing it.
+ *
+ * @param {Object} record - The S3 event record for the recording.
+ * @return {Object} result - Indicator of successful run
+ */
+async function processRecording(record) {
+  const context = {step: store.STEP_ATTRIBUTES};
+  try {
+    let voicemail = getS3ObjectInfo(record);
+    context.objectKey = voicemail.objectKey;
+    if (redaction.isRedactedCopy(voicemail.objectKey)) {
+      console.log('redacted copy of a recording, ignoring');
       return {success: true};
     }
+    if (compression.isCompressedCopy(voicemail.objectKey)) {
+      console.log('compressed copy of a recording, ignoring');
+      return {success: true};
+    }
+    voicemail.contactId = contactIdFromObjectKey(voicemail.objectKey);
+    if (!voicemail.contactId) {
+      console.log('not an Amazon Connect recording, ignoring');
+      return {success: true, skipped: true};
+    }
+    context.contactId = voicemail.contactId;
 
-    voicemail.transcript = await transcribeRecording(voicemail);
-    voicemail.preSignedUrl = await getPresignedS3Url(voicemail);
+    const saved = await store.getVoicemail(voicemail.contactId);
+    if (store.stepCompleted(saved, store.STEP_TRANSCRIPTION_STARTED)) {
+      console.log('voicemail already being transcribed, ignoring');
+      return {success: true};
+    }
+    if (store.stepCompleted(saved, store.STEP_ATTRIBUTES)) {
+      console.log('resuming with saved call attributes');
+      voicemail = saved;
+    } else {
+      const profile = await profiles.forRecording(voicemail.objectKey);
+      voicemail.agentProfile = profile.name;
+      voicemail = await addCallAttributes(voicemail, profile);
+      if (!voicemail.voicemail) {
+        console.log('non-voicemail call, ignoring');
+        return {success: true};
+      }
+      voicemail = await addCallerDetails(voicemail);
+      voicemail.processingState = store.STEP_ATTRIBUTES;
+      await store.saveVoicemail(voicemail);
+    }
 
-    await sendNotification(voicemail);
+    context.step = store.STEP_TRANSCRIPTION_STARTED;
+    voicemail.transcriptionJobName = await startTranscription(voicemail);
+    voicemail.processingState = store.STEP_TRANSCRIPTION_STARTED;
+    await store.saveVoicemail(voicemail);
 
     return {success: true};
   } catch (err) {
-    console.error(err);
-    await sns.publish({
-      topicArn: NOTIFICATION_TOPIC,
-      subject: 'Voicemail processing failure',
-      message: `Voicemail processing encountered an error:
-        ${err}`,
-    });
-    throw err;
+    const processingError = withContext(err, context);
+    await sendFailureNotification(processingError);
+    throw processingError;
   }
-};
+}
 
 /**
- * Returns attributes found in contact flow logs for a call.
+ * Work out the notifications a voicemail recording would be sent, without
+ * saving or sending anything. Saved details of the voicemail are used where
+ * there are some, and the transcript is fetched if its job has finished.
+ *
+ * @param {Object} record - The S3 event record for the recording.
+ * @return {Object} result - The notifications that would be sent.
+ * @return {string} result.contactId - The ID of the call in Amazon Connect.
+ * @return {string} result.route - Name of the route the voicemail matches.
+ * @return {Array} result.followUps - Names of the targets follow-up items
+ *                                    would be created in.
+ * @return {Array} result.notifications - The notification formatted for each
+ *                                        channel of the route.
+ */
+async function previewRecording(record) {
+  const info = getS3ObjectInfo(record);
+  const contactId = contactIdFromObjectKey(info.objectKey);
+  if (!contactId) {
+    throw new TypeError(`Not an Amazon Connect recording: ${info.objectKey}`);
+  }
+  let voicemail = await store.getVoicemail(contactId);
+  if (!voicemail) {
+    const profile = await profiles.forRecording(info.objectKey);
+    voicemail = await addCallerDetails(await addCallAttributes(
+      {...info, contactId, agentProfile: profile.name}, profile));
+  }
+  if (!voicemail.voicemail) {
+    console.log('non-voicemail call, would be ignored');
+  }
+
+  const {transcriptionJobName: jobName} = voicemail;
+  if (!store.stepCompleted(voicemail, store.STEP_TRANSCRIPT) && jobName) {
+    const job = await transcribe.getJob({jobName});
+    if (job.TranscriptionJobStatus === 'COMPLETED') {
+      await addTranscript(voicemail, jobName, {dryRun: true});
+    }
+  }
+
+  const {channels: routeChannels, followUps} = await applyRoute(voicemail);
+  return {
+    contactId,
+    processingState: voicemail.processingState,
+    voicemail: Boolean(voicemail.voicemail),
+    route: voicemail.route,
+    followUps: followUps.map(({name}) => name),
+    notifications: await channels.preview(voicemail, routeChannels),
+  };
+}
+
+/**
+ * Clear the processing state of a voicemail, and delete its transcription
+ * job, so it can be processed again from the first step.
+ *
+ * @param {string} contactId - The ID of the call in Amazon Connect.
+ * @return {void}
+ */
+async function resetProcessing(contactId) {
+  const voicemail = await store.getVoicemail(contactId);
+  if (!voicemail) {
+    return;
+  }
+  console.log(`resetting processing of voicemail ${contactId}...`);
+  if (voicemail.transcriptionJobName) {
+    await transcribe.deleteJob({jobName: voicemail.transcriptionJobName});
+  }
+  await store.saveVoicemail(voicemail, [
+    'processingState',
+    'transcriptionJobName',
+    'notifications',
+    'notifyingUntil',
+  ]);
+}
+
+/**
+ * Add the transcript of a voicemail, once its transcription job has
+ * finished, along with its redaction, enrichment, a compressed copy of the
+ * recording and a link to it.
  *
  * @param {Object} voicemail - Details of the voicemail call being processed.
- * @param {Object} voicemail.contactId - The ID of the call in Amazon Connect.
- * @return {Object} - Voicemail details with additional attributes added
+ * @param {string} jobName - Name of the voicemail's transcription job.
+ * @param {Object} options - How to add the transcript.
+ * @param {boolean} options.dryRun - Don't save redacted or compressed copies
+ *                                  of the audio.
+ * @return {Object} - The voicemail details, with the transcript added.
  */
-async function addCallAttributes(voicemail) {
-  const {events} = await getContactFlowLogs(voicemail.contactId);
+async function addTranscript(voicemail, jobName, {dryRun = false} = {}) {
+  const job = await transcribe.getJob({jobName});
+  const results = await transcribe.getResults(job);
+  const [{transcript: text} = {}] = results.transcripts || [];
+  voicemail.transcript = text;
+  voicemail.transcriptDetails = transcript.parse(results);
+  Object.assign(voicemail,
+    await redaction.redact(voicemail, {redactAudio: !dryRun}));
+  if (voicemail.redactedObjectKey) {
+    voicemail.consoleUrl =
+      s3ConsoleUrl(voicemail.bucketName, voicemail.redactedObjectKey);
+  }
+  voicemail.enrichment = await enrichment.enrich(voicemail);
+  voicemail.transcriptLanguage = job.LanguageCode;
+  if (!dryRun) {
+    Object.assign(voicemail, await compression.compress(voicemail));
+  }
+  voicemail.preSignedUrl = await getPresignedS3Url(voicemail);
+  voicemail.linkExpiryDate = DateTime.local().plus({
+    days: LINK_EXPIRY_IN_DAYS,
+  }).toISO();
+  voicemail.status = voicemail.status || store.STATUS_NEW;
+  return voicemail;
+}
 
+/**
+ * Identify the caller of a voicemail from the contacts directory, and count
+ * their other voicemails in the last REPEAT_CALLER_DAYS days, so repeat
+ * callers can be flagged. Withheld numbers can't be identified. If the
+ * voicemails can't be counted, e.g. while the caller index is still being
+ * built, `recentVoicemails` is left out rather than failing the recording.
+ *
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.callingNumberE164 - The caller's number.
+ * @param {string} voicemail.creationDate - When the recording was made.
+ * @return {Object} - Voicemail details with the `caller` and their
+ *                    `recentVoicemails` added.
+ */
+async function addCallerDetails(voicemail) {
+  const {callingNumberE164, creationDate} = voicemail;
+  if (!callingNumberE164) {
+    return voicemail;
+  }
+  const caller = await directory.lookup(callingNumberE164);
+  let count = null;
+  try {
+    count = await store.countVoicemailsFrom({
+      callingNumberE164,
+      from: DateTime.fromISO(creationDate)
+        .minus({days: REPEAT_CALLER_DAYS}).toUTC().toISO(),
+      to: creationDate,
+    });
+  } catch (err) {
+    console.error('Failed to count the caller\'s voicemails, continuing:');
+    console.error(err);
+  }
   return {
     ...voicemail,
-    ...parseCallAttributes(events),
+    ...(caller ? {caller} : {}),
+    ...(count !== null ?
+      {recentVoicemails: {count, days: REPEAT_CALLER_DAYS}} : {}),
   };
 }
 
 /**
- * Searches cloudwatch logs for events related to an Amazon Connect call.
+ * Adds the attributes of a call, from Amazon Connect or its contact flow logs.
+ * The caller's number is formatted for display, and also kept in E.164
+ * format for comparisons. Calls without a caller ID are flagged as withheld.
  *
- * @param {String} contactId - ID of the call to find logs for
- * @return {Array} - Contact flow log events related to the call
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Object} voicemail.contactId - The ID of the call in Amazon Connect.
+ * @param {Object} voicemail.creationDate - When the recording was made.
+ * @param {Object} profile - The agent profile of the Connect instance the
+ *                           call was made to.
+ * @return {Object} - Voicemail details with additional attributes added
  */
-async function getContactFlowLogs(contactId) {
-  const params = {
-    logGroupName: CONNECT_LOG_GROUP,
-    filterPattern: `{
-      ($.ContactId = "${contactId}") &&
-        ($.ContactFlowModuleType = "SetAttributes")
-    }`,
-    startTime: DateTime.local().minus({days: SEARCH_PERIOD_IN_DAYS}).toMillis(),
+async function addCallAttributes(voicemail, profile) {
+  const {contactId, creationDate} = voicemail;
+  const callAttributes =
+    await attributes.getCallAttributes({contactId, creationDate, profile});
+
+  return {
+    ...voicemail,
+    ...callAttributes,
+    callingNumber: phone.format(callAttributes.callingNumber),
+    // Left out when there's no number, as it's a key of the caller index
+    callingNumberE164:
+      phone.normalise(callAttributes.callingNumber) || undefined,
+    callerWithheld: phone.isWithheld(callAttributes.callingNumber),
   };
-  return await cwl.filterLogEvents(params);
 }
 
 /**
- * Returns call attributes found in the given contact flow logs.
+ * Start converting the call recording audio into a text transcript.
+ * The job is named after the call, so the transcriptionCompleted handler can
+ * find the voicemail again when the job finishes, and so a job is only ever
+ * started once for each call.
  *
- * @param {Array} events - Contact flow log events to find attributes in.
- * @return {Object} attrs - The attributes found for the call.
- * @return {Object} attrs.callingNumber - Caller ID, if set by call flow.
- * @return {Object} attrs.purpose - Purpose the call, if set by call flow.
- * @return {Object} attrs.voicemail - Whether the call should be processed as a
- *                                    voicemail message.
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {string} voicemail.contactId - The ID of the call in Amazon Connect.
+ * @param {string} voicemail.objectUrl - S3 URL of the recording audio file.
+ * @return {string} - The name of the transcription job.
  */
-function parseCallAttributes(events) {
-  let attributes = {};
-  console.log('parsing call attributes...');
-  if (typeof events !== undefined && events.length > 0) {
-    for (let event of events) {
-      const message = JSON.parse(event.message);
-      const {Key, Value} = message.Parameters;
-      attributes[Key] = formatAttribute(Key, Value);
+async function startTranscription(voicemail) {
+  const {contactId, objectUrl} = voicemail;
+  const jobName = `${TRANSCRIBE_JOB_PREFIX}${contactId}`;
+  try {
+    const job = await transcribe.startJob({
+      mediaFileUri: objectUrl,
+      jobName,
+      ...transcriptionLanguageSettings(voicemail),
+      channelIdentification: TRANSCRIBE_SPEAKER_MODE === 'channels',
+      maxSpeakerLabels: TRANSCRIBE_SPEAKER_MODE === 'speakers' ?
+        TRANSCRIBE_MAX_SPEAKERS : undefined,
+      redactPii: REDACTION_MODE === 'transcribe',
+      piiEntityTypes: TRANSCRIBE_PII_ENTITY_TYPES,
+    });
+    return job.TranscriptionJobName;
+  } catch (err) {
+    if (err.code === 'ConflictException') {
+      console.log(`transcription job ${jobName} already exists, reusing it`);
+      return jobName;
     }
+    throw err;
   }
-  return attributes;
 }
 
-
 /**
- * Converts the call recording audio into a text transcript.
+ * Decide the language settings for transcribing a voicemail.
+ * The deployment's TRANSCRIBE_LANGUAGE is used unless the contact flow set
+ * a `language` attribute for the call, which can be a language code like
+ * 'en-GB', or 'auto' to have Transcribe identify the language. The custom
+ * vocabulary and vocabulary filter only apply to the deployment's language.
  *
  * @param {Object} voicemail - Details of the voicemail call being processed.
- * @param {string} voicemail.objectUrl - S3 URL of the recording audio file.
- * @return {string} - The transcript of the call recording.
+ * @param {string} voicemail.language - Language set by the contact flow.
+ * @return {Object} - Language settings for transcribe.startJob.
  */
-async function transcribeRecording({objectUrl}) {
-  const job = await transcribe.startJob({mediaFileUri: objectUrl});
-
-  // Wait for the transcribe job to complete, it takes at least 60 seconds.
-  // This could be improved by using step functions or SQS in future.
-  const transcript = await transcribe.awaitJob({
-    jobName: job.TranscriptionJobName,
-    waitSeconds: TRANSCRIBE_WAIT_SECONDS,
-  });
-  return transcript;
+function transcriptionLanguageSettings({language}) {
+  let languageCode = TRANSCRIBE_LANGUAGE;
+  let identifyLanguage = TRANSCRIBE_IDENTIFY_LANGUAGE;
+  if (language && language.toLowerCase() === AUTO_LANGUAGE) {
+    identifyLanguage = true;
+  } else if (/^[a-z]{2}-[A-Z]{2}$/.test(language)) {
+    languageCode = language;
+    identifyLanguage = false;
+  } else if (language) {
+    console.log(`ignoring unrecognised language attribute: ${language}`);
+  }
+
+  const settings = {languageCode, identifyLanguage};
+  if (identifyLanguage) {
+    settings.languageOptions = TRANSCRIBE_LANGUAGE_OPTIONS;
+  }
+  if (identifyLanguage || languageCode === TRANSCRIBE_LANGUAGE) {
+    settings.languageCode = TRANSCRIBE_LANGUAGE;
+    settings.vocabularyName = TRANSCRIBE_VOCABULARY;
+    settings.vocabularyFilterName = TRANSCRIBE_VOCABULARY_FILTER;
+  }
+  return settings;
 }
 
 /**
  * Get a pre-signed (pre-authenticated) URL for a file in S3,
  * to allow us to give a download link in notification emails without
  * requiring the recipient to already be logged in to the correct
- * AWS account console.
+ * AWS account console. The compressed copy of the recording is linked to if
+ * there is one, or else the redacted copy if there is one.
  *
  * @param {Object} voicemail - Details of the voicemail call being processed.
  * @param {string} voicemail.bucketName - S3 bucket name
  * @param {string} voicemail.objectKey - S3 object key to generate url for.
+ * @param {string} voicemail.redactedObjectKey - S3 object key of the
+ *                                               redacted copy, if any.
+ * @param {Object} voicemail.audio - Details of the compressed copy, if any.
  * @return {string} - Pre-signed URL to the file.
  */
-async function getPresignedS3Url({bucketName, objectKey}) {
+async function getPresignedS3Url({
+  bucketName,
+  objectKey,
+  redactedObjectKey,
+  audio,
+}) {
   const params = {
     operation: 'getObject',
     expirySeconds: LINK_EXPIRY_IN_SECONDS,
     bucketName,
-    objectKey,
+    objectKey: (audio && audio.objectKey) || redactedObjectKey || objectKey,
   };
   return await s3.getSignedUrl(params);
 }
 
 /**
- * Send SNS notification containing details of the voicemail message
- * and a link to download the original recording.
+ * Send notifications containing details of the voicemail message
+ * and a link to download the original recording, to each of the channels of
+ * the route the voicemail matches. Channels that were already sent to by an
+ * earlier attempt are skipped. Channels that couldn't be sent to are
+ * reported via SNS, unless none could be sent to, in which case processing
+ * fails.
  *
  * @param {Object} voicemail - Details of the voicemail call being processed.
- * @return {Object} - Published SNS message details.
+ * @param {Array} voicemail.notifications - Outcomes of earlier attempts,
+ *                                          updated with this attempt's.
+ * @return {Array} - The outcome of sending to each channel.
  */
 async function sendNotification(voicemail) {
   console.log('sending voicemail notification...');
-
-  return await sns.publish({
-    topicArn: NOTIFICATION_TOPIC,
-    subject: notificationSubject(voicemail),
-    message: notificationMessage(voicemail),
-  });
+  const {channels: routeChannels} = await applyRoute(voicemail);
+  const previous = (voicemail.notifications || []).filter(delivered);
+  const sentTo = previous.map(({channel}) => channel);
+  if (sentTo.length > 0) {
+    console.log(`already sent to ${sentTo.join(', ')}, skipping them`);
+  }
+  const results = await channels.send(voicemail,
+    routeChannels.filter(({name}) => !sentTo.includes(name)));
+  voicemail.notifications = previous.concat(results);
+
+  const failures = results.filter((result) => !result.success);
+  const failureList = failures.map(({channel, attempts, error, fallback}) => {
+    const fallbackOutcome = fallback ?
+      `, ${fallback.success ? 'sent' : 'failed'} via ${fallback.channel}` : '';
+    return `${channel} (${attempts} attempts${fallbackOutcome}): ${error}`;
+  }).join('\n');
+  if (!voicemail.notifications.some(delivered)) {
+    throw new Error(`Failed sending notification to any channel:
+${failureList}`);
+  } else if (failures.length > 0) {
+    await sns.publish({
+      topicArn: NOTIFICATION_TOPIC,
+      subject: 'Voicemail notification failure',
+      message: `Voicemail from ${voicemail.callingNumber} (contactId \
+${voicemail.contactId}) couldn't be sent to some notification channels:
+${failureList}`,
+    });
+  }
+  return voicemail.notifications;
 }
 
 /**
- * Re-format a call attribute key-value pair if necessary.
+ * Open the follow-up items of a voicemail's route, e.g. Amazon Connect tasks
+ * or helpdesk tickets, so their IDs can be included in the notification.
+ * This is best effort: items that can't be created are reported via the
+ * NOTIFICATION_TOPIC SNS topic, and the notification is still sent.
+ * Items created by an earlier attempt, or before the voicemail was
+ * replayed, aren't created again, so the outcomes are saved as soon as
+ * they're known, before failures are reported.
  *
- * @param {string} key - Key name of attribute.
- * @param {*} value - Value of attribute, which might be reformatted.
- * @return {*} - Value of attribute after performing any reformatting.
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @param {Array} voicemail.followUps - Outcomes of earlier attempts, updated
+ *                                      with this attempt's.
+ * @return {Array} - The outcome of creating each item.
  */
-function formatAttribute(key, value) {
-  if (key === 'callingNumber') {
-    return formatPhoneNumber(value);
+async function createFollowUps(voicemail) {
+  const {followUps: targets} = await applyRoute(voicemail);
+  const previous = (voicemail.followUps || []).filter(({success}) => success);
+  const created = previous.map(({target}) => target);
+  const remaining = targets.filter((target) => {
+    return !created.includes(followups.targetName(target));
+  });
+  if (remaining.length === 0) {
+    return previous;
+  }
+  console.log('creating follow-up items...');
+  const results = await followups.create(voicemail, remaining);
+  voicemail.followUps = previous.concat(results);
+  await store.saveVoicemail(voicemail);
+
+  const failures = results.filter(({success}) => !success);
+  if (failures.length > 0) {
+    try {
+      await sns.publish({
+        topicArn: NOTIFICATION_TOPIC,
+        subject: 'Voicemail follow-up failure',
+        message: `Voicemail from ${voicemail.callingNumber} (contactId \
+${voicemail.contactId}) couldn't be followed up in some targets:
+${failures.map(({target, error}) => `${target}: ${error}`).join('\n')}`,
+      });
+    } catch (err) {
+      console.error('Failed reporting follow-up failures:');
+      console.error(err);
+    }
   }
-  return value;
+  return voicemail.followUps;
 }
 
 /**
- * Convert phone numbers from E.164 to a more human readable format.
+ * Choose the notification route of a voicemail, and tag the voicemail with
+ * its name and whether it was left in or after hours.
  *
- * @param {string} phoneNumber - Phone number, possibly in E.164 format.
- * @return {string} - Reformatted phone number.
- *
- * @example
- * formatPhoneNumber('+61412345678') => '0412 345 678'
- * @example
- * formatPhoneNumber('+61812341234') => '08 1234 1234'
+ * @param {Object} voicemail - Details of the voicemail call being processed.
+ * @return {Object} - Configurations of the route's `channels` and
+ *                    `followUps` targets.
  */
-function formatPhoneNumber(phoneNumber) {
-  let formattedNumber = phoneNumber;
-
-  // Replace +61 with 0
-  let match = phoneNumber.match(/\+61(\d+)/);
-  if (match) {
-    formattedNumber = `0${match[1]}`;
-  }
-
-  // split mobile number
-  match = formattedNumber.match(/^(04\d{2})(\d{3})(\d{3})$/);
-  if (!match) {
-    // split national number
-    match = formattedNumber.match(/^(\d{2})(\d{4})(\d{4})$/);
-  }
-  if (match) {
-    formattedNumber = `${match[1]} ${match[2]} ${match[3]}`;
-  }
+async function applyRoute(voicemail) {
+  const {route, channels: routeChannels, followUps, hours, holiday, urgent} =
+    await routing.resolve(voicemail);
+  voicemail.route = route;
+  voicemail.hours = hours;
+  voicemail.holiday = holiday;
+  voicemail.urgent = urgent;
+  return {channels: routeChannels, followUps};
+}
 
-  return formattedNumber;
+/**
+ * Check whether a notification reached its channel, or its fallback.
+ *
+ * @param {Object} result - The outcome of sending to a channel.
+ * @return {boolean} - True if the notification was delivered.
+ */
+function delivered(result) {
+  return result.success || Boolean(result.fallback && result.fallback.success);
 }
 
 /**
- * Format a luxon DateTime object in a human readable format.
+ * Add details of what was being processed to an error, so they're included
+ * in the failure notification and the dead-letter queue.
  *
- * @param {Object} dateTime - The DateTime object to format.
- * @return {string} - Human readable date.
+ * @param {Error} err - The error that caused processing to fail.
+ * @param {Object} context - What was being processed, e.g. the contactId
+ *                           and step.
+ * @return {Error} - An error with the details in its message, and the
+ *                   original error as its `cause`.
+ */
+function withContext(err, context) {
+  const details = Object.keys(context)
+    .filter((key) => context[key] != null)
+    .map((key) => `${key}: ${context[key]}`)
+    .join(', ');
+  const processingError = new Error(`${err.message} (${details})`);
+  processingError.name = err.name;
+  processingError.cause = err;
+  Object.assign(processingError, context);
+  return processingError;
+}
+
+/**
+ * Send SNS notification that processing of a voicemail failed.
  *
- * @example
- * 'Tue Jun 19, 3:03 PM GMT+8'
+ * @param {Error} err - The error that caused processing to fail.
+ * @return {Object} - Published SNS message details.
  */
-function formatDate(dateTime) {
-  return dateTime
-    .setZone(NOTIFICATION_TIMEZONE)
-    .toFormat('ccc LLL d, h:mm a ZZZZ');
+async function sendFailureNotification(err) {
+  console.error(err);
+  return await sns.publish({
+    topicArn: NOTIFICATION_TOPIC,
+    subject: 'Voicemail processing failure',
+    message: `Voicemail processing encountered an error:
+        ${err}`,
+  });
 }
 
 /**
  * Parse a call ID from an S3 Object key generated by Amazon Connect.
  *
  * @param {string} objectKey - S3 Object key name to parse.
- * @return {string} - contactId of the call in Amazon Connect.
+ * @return {string} - contactId of the call in Amazon Connect, or null if the
+ *                    object isn't a recording made by Amazon Connect.
  *
  * @example
  * 'some/path/49ff0244-82f5-4c51-83b4-c2b0d7374f3a_20180619T07:02_UTC.wav'
@@ -251,11 +841,34 @@ function formatDate(dateTime) {
  */
 function contactIdFromObjectKey(objectKey) {
   console.log('Object Key: ' + objectKey);
-  let [, contactId] = /.*\/([a-zA-Z0-9-]+)_.*/.exec(objectKey) || [];
-  if (contactId != null) {
-    console.log('parsed contactId from objectKey: ' + contactId);
-  } else {
-    throw new TypeError('Unexpected objectKey format');
+  let [, contactId] = /.*\/([a-zA-Z0-9-]+)_[^/]*$/.exec(objectKey) || [];
+  if (contactId == null) {
+    console.log('objectKey is not in the Amazon Connect recording format');
+    return null;
+  }
+  console.log('parsed contactId from objectKey: ' + contactId);
+  return contactId;
+}
+
+/**
+ * Parse a call ID from the name of a transcription job started by us.
+ *
+ * @param {string} jobName - Transcription job name to parse.
+ * @return {string} - contactId of the call in Amazon Connect.
+ *
+ * @example
+ * 'voicemail_49ff0244-82f5-4c51-83b4-c2b0d7374f3a'
+ *   => '49ff0244-82f5-4c51-83b4-c2b0d7374f3a'
+ * // Jobs started by earlier versions had a timestamp too
+ * 'voicemail_49ff0244-82f5-4c51-83b4-c2b0d7374f3a_1529391780000'
+ *   => '49ff0244-82f5-4c51-83b4-c2b0d7374f3a'
+ */
+function contactIdFromJobName(jobName) {
+  const pattern =
+    new RegExp(`^${TRANSCRIBE_JOB_PREFIX}([a-zA-Z0-9-]+)(_\\d+)?$`);
+  let [, contactId] = pattern.exec(jobName) || [];
+  if (contactId == null) {
+    throw new TypeError('Unexpected transcription job name format');
   }
   return contactId;
 }
@@ -278,62 +891,19 @@ function getS3ObjectInfo(eventRecord) {
     creationDate,
     objectKey: objectKey,
     objectUrl: `https://${bucketName}.s3.amazonaws.com/${objectKey}`,
-    consoleUrl: `https://s3.console.aws.amazon.com/s3/object/${bucketName}/${objectKey}`,
+    consoleUrl: s3ConsoleUrl(bucketName, objectKey),
   };
 }
 
 /**
- * Build the subject to be used in new voicemail notification messages.
+ * Get the link to an S3 object in the AWS console.
  *
- * @param {Object} voicemail - Details of the voicemail call being processed.
- * @param {string} voicemail.purpose - The purpose of the call.
- * @param {string} voicemail.callingNumber - The caller's phone number.
- * @return {string} - A formatted subject suitable for email notifications.
+ * @param {string} bucketName - Bucket name containing object.
+ * @param {string} objectKey - Key name of object.
+ * @return {string} - URL of the object in the console.
  */
-function notificationSubject({purpose, callingNumber}) {
-  let purposeString = '';
-  if (purpose) {
-    purposeString = ` ${purpose}`;
-  }
-  return `[${purposeString}] Voice-mail from ${callingNumber}`;
-}
-
-/**
- * Build the message body to be used in new voicemail notification messages.
- *
- * @param {Object} voicemail - Details of the voicemail call being processed.
- * @param {string} voicemail.purpose - The purpose of the call.
- * @param {string} voicemail.callingNumber - The caller's phone number.
- * @param {string} voicemail.creationDate - The date the voicemail was left.
- * @param {string} voicemail.transcript - A text transcript of the call.
- * @param {string} voicemail.preSignedUrl - A link to download the recording.
- * @param {string} voicemail.consoleUrl - A link to download the recording.
- * @return {string} - A formatted message suitable for email notifications.
- */
-function notificationMessage(voicemail) {
-  const creationDate = formatDate(DateTime.fromISO(voicemail.creationDate));
-  const expiryDate = formatDate(DateTime.local().plus({
-    days: LINK_EXPIRY_IN_DAYS,
-  }));
-
-  return `
-Caller: ${voicemail.callingNumber}
-Called at: ${creationDate}
-Purpose: ${voicemail.purpose}
-
-Transcript:
-===========
-${voicemail.transcript}
-===========
-
-Download (valid until ${expiryDate}): ${voicemail.preSignedUrl}
-
--
-
-Download (requires log-in): ${voicemail.consoleUrl}
-
-================================================================================
-`;
+function s3ConsoleUrl(bucketName, objectKey) {
+  return `https://s3.console.aws.amazon.com/s3/object/${bucketName}/${objectKey}`;
 }
 
 // JSDOC TYPE DEFINITIONS:
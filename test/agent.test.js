@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+
+const emulator = require('../scripts/emulator');
+const mockCcp = require('../scripts/mock-ccp/server');
+
+// The full puppeteer downloads its own Chromium, unless that was skipped
+const SKIP = fs.existsSync(puppeteer.executablePath()) ? undefined :
+  'puppeteer\'s Chromium isn\'t downloaded';
+
+/**
+ * Run agent.run against the mock CCP, in puppeteer's own headless Chromium,
+ * with the rest of AWS emulated.
+ *
+ * @param {Object} options - Options for the mock CCP, see createServer.
+ * @param {Function} check - Given the mock CCP's server, the emulated
+ *                           account and the error agent.run threw, if any.
+ * @return {void}
+ */
+async function runAgent(options, check) {
+  const server = mockCcp.createServer(options);
+  await new Promise((resolve) => server.listen(0, resolve));
+  const {log, error} = console;
+  if (!process.env.DEBUG) {
+    console.log = console.error = () => {};
+  }
+  const agentEmulator = emulator.create({
+    env: {
+      CCP_URL: `http://localhost:${server.address().port}/ccp`,
+      CCP_USERNAME: 'agent',
+      CCP_PASSWORD: 'secret',
+      AVAILABILITY_STRATEGIES: 'dom',
+      DIAGNOSTICS_BUCKET: 'serverless-voicemail-config',
+    },
+  });
+  const browser = await puppeteer.launch({args: ['--no-sandbox']});
+  let runError;
+  try {
+    const agent = agentEmulator.load('agent');
+    const [profile] = await agentEmulator.load('profiles').list();
+    await agent.run(browser, profile).catch((err) => runError = err);
+  } finally {
+    await browser.close();
+    agentEmulator.close();
+    server.close();
+    console.log = log;
+    console.error = error;
+  }
+  check(server, agentEmulator.world, runError);
+}
+
+module.exports = [
+  {
+    name: 'agent: logs in to the CCP and makes the agent available',
+    skip: SKIP,
+    run: () => runAgent({state: 'Offline'}, (server, world, err) => {
+      assert.ifError(err);
+      assert.strictEqual(server.agentState(), 'Available');
+    }),
+  },
+  {
+    name: 'agent: saves diagnostics when the CCP has been restyled',
+    skip: SKIP,
+    run: () => runAgent({state: 'Offline', restyled: true},
+      (server, world, err) => {
+        assert.ok(err, 'agent.run should fail');
+        assert.ok(/Failed to log agent in/.test(err.message), err.message);
+        const saved = Object.keys(world.buckets['serverless-voicemail-config']);
+        const screenshot = /^diagnostics\/default\/.*\/screenshot\.png$/;
+        assert.ok(saved.some((key) => screenshot.test(key)),
+          `no screenshot saved: ${saved}`);
+        assert.strictEqual(server.agentState(), 'Offline');
+      }),
+  },
+];
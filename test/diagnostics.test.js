@@ -0,0 +1,74 @@
+const assert = require('assert');
+
+const emulator = require('../scripts/emulator');
+
+const BUCKET = 'serverless-voicemail-config';
+
+/**
+ * Stand in for a puppeteer request that was redirected, as recorded by
+ * diagnostics.record.
+ *
+ * @param {string} url - The URL requested.
+ * @param {Object} headers - The response's headers.
+ * @return {Array} - The request and what was recorded of it.
+ */
+function redirected(url, headers) {
+  const request = {
+    url: () => url,
+    method: () => 'GET',
+    headers: () => ({accept: 'text/html'}),
+    failure: () => null,
+  };
+  const response = {
+    status: () => 302,
+    statusText: () => 'Found',
+    headers: () => headers,
+    request: () => request,
+  };
+  const startedAt = new Date();
+  return [request, {startedAt, finishedAt: startedAt, response}];
+}
+
+module.exports = [
+  {
+    name: 'diagnostics: scrubs tokens from the redirects in the HAR',
+    run: async () => {
+      const {log, error} = console;
+      if (!process.env.DEBUG) {
+        console.log = console.error = () => {};
+      }
+      const diagnosticsEmulator = emulator.create({
+        env: {DIAGNOSTICS_BUCKET: BUCKET},
+      });
+      try {
+        const diagnostics = diagnosticsEmulator.load('diagnostics');
+        await diagnostics.save({
+          name: 'default',
+          startedAt: new Date(),
+          consoleMessages: [],
+          requests: new Map([redirected('https://example.com/login', {
+            'location': '/ccp?code=abc&token=secret-token',
+            'x-redirect-to': 'https://example.com/ccp?token=secret-token',
+          })]),
+          page: {
+            screenshot: async () => null,
+            content: async () => '<html></html>',
+          },
+        }, new Error('Failed to log agent in'));
+      } finally {
+        diagnosticsEmulator.close();
+        console.log = log;
+        console.error = error;
+      }
+
+      const {buckets} = diagnosticsEmulator.world;
+      const harKey = Object.keys(buckets[BUCKET])
+        .find((key) => key.endsWith('/network.har'));
+      const har = buckets[BUCKET][harKey].body.toString();
+      assert.ok(!har.includes('secret-token'), har);
+      const [{response}] = JSON.parse(har).log.entries;
+      assert.strictEqual(response.redirectURL,
+        'https://example.com/ccp?code=abc&token=%5Bscrubbed%5D');
+    },
+  },
+];
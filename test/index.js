@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run the test suites: each *.test.js file in this directory, which exports
+ * its test cases, each with a `name`, an async `run` function, and a `skip`
+ * reason if it can't be run here. Everything runs offline, against the
+ * emulated AWS services of scripts/emulator.
+ *
+ * Usage:
+ *   node test [<name filter>]
+ *
+ * Set DEBUG to see what the lambdas log.
+ */
+(async () => {
+  const [filter = ''] = process.argv.slice(2);
+  const cases = [].concat(...fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.test.js'))
+    .sort()
+    .map((file) => require(path.join(__dirname, file))))
+    .filter(({name}) => name.includes(filter));
+
+  let failed = 0;
+  let skipped = 0;
+  for (let {name, run, skip} of cases) {
+    if (skip) {
+      skipped++;
+      console.log(`- ${name} (skipped: ${skip})`);
+      continue;
+    }
+    try {
+      await run();
+      console.log(`✓ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`✗ ${name}`);
+      console.log(`  ${(err.stack || `${err}`).replace(/\n/g, '\n  ')}`);
+    }
+  }
+  const passed = cases.length - failed - skipped;
+  console.log(`\n${passed} passed, ${failed} failed, ${skipped} skipped`);
+  process.exitCode = failed > 0 ? 1 : 0;
+})().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
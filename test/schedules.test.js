@@ -0,0 +1,104 @@
+const assert = require('assert');
+
+const schedules = require('../src/schedules');
+
+const LONDON = {
+  name: 'london',
+  timezone: 'Europe/London',
+  hours: {sunday: ['08:30-17:00']},
+};
+const SPLIT = {
+  name: 'split',
+  timezone: 'Australia/Perth',
+  hours: {monday: ['13:30-17:00', '08:30-12:30']},
+};
+const NIGHTS = {
+  name: 'nights',
+  timezone: 'Australia/Perth',
+  hours: {friday: ['22:00-02:00'], saturday: ['18:00-24:00']},
+};
+
+module.exports = [
+  {
+    name: 'schedules: keeps opening hours on the day daylight saving starts',
+    run: async () => {
+      // Clocks go forward at 1am on Sunday 2026-03-29 in London
+      assert.deepStrictEqual(
+        schedules.status(LONDON, '2026-03-29T07:00:00Z'), {
+          open: false,
+          hours: 'after-hours',
+          holiday: undefined,
+          closesAt: undefined,
+          opensAt: '2026-03-29T08:30:00.000+01:00',
+        });
+      assert.strictEqual(
+        schedules.status(LONDON, '2026-03-29T07:45:00Z').closesAt,
+        '2026-03-29T17:00:00.000+01:00');
+      assert.strictEqual(
+        schedules.status(LONDON, '2026-03-29T16:30:00Z').open, false);
+    },
+  },
+  {
+    name: 'schedules: keeps opening hours on the day daylight saving ends',
+    run: async () => {
+      // Clocks go back at 2am on Sunday 2026-10-25 in London
+      assert.strictEqual(
+        schedules.status(LONDON, '2026-10-25T08:00:00Z').opensAt,
+        '2026-10-25T08:30:00.000+00:00');
+      assert.strictEqual(
+        schedules.status(LONDON, '2026-10-25T08:45:00Z').closesAt,
+        '2026-10-25T17:00:00.000+00:00');
+    },
+  },
+  {
+    name: 'schedules: runs ranges that end before they start overnight',
+    run: async () => {
+      // Friday 2026-10-23, 9pm in Perth
+      assert.strictEqual(
+        schedules.status(NIGHTS, '2026-10-23T13:00:00Z').opensAt,
+        '2026-10-23T22:00:00.000+08:00');
+      // Saturday, 1am
+      const status = schedules.status(NIGHTS, '2026-10-23T17:00:00Z');
+      assert.strictEqual(status.open, true);
+      assert.strictEqual(status.closesAt, '2026-10-24T02:00:00.000+08:00');
+      // Saturday, 3am, until it opens again that evening
+      assert.strictEqual(
+        schedules.status(NIGHTS, '2026-10-23T19:00:00Z').opensAt,
+        '2026-10-24T18:00:00.000+08:00');
+      // Saturday, 11pm, open until midnight
+      assert.strictEqual(
+        schedules.status(NIGHTS, '2026-10-24T15:00:00Z').closesAt,
+        '2026-10-25T00:00:00.000+08:00');
+    },
+  },
+  {
+    name: 'schedules: rejects invalid ranges',
+    run: async () => {
+      for (let range of ['09:00-09:00', '08:30-25:00', '08:60-17:00']) {
+        assert.throws(() => schedules.status({
+          name: 'invalid',
+          timezone: 'Australia/Perth',
+          hours: {mon: [range], tue: [range], wed: [range], thu: [range],
+            fri: [range], sat: [range], sun: [range]},
+        }, '2026-10-19T01:30:00Z'), TypeError);
+      }
+    },
+  },
+  {
+    name: 'schedules: opens for ranges in the order of the day',
+    run: async () => {
+      // Monday 2026-10-19, 7am in Perth
+      assert.strictEqual(
+        schedules.status(SPLIT, '2026-10-18T23:00:00Z').opensAt,
+        '2026-10-19T08:30:00.000+08:00');
+      // 9am
+      const status = schedules.status(SPLIT, '2026-10-19T01:00:00Z');
+      assert.strictEqual(status.open, true);
+      assert.strictEqual(status.closesAt, '2026-10-19T12:30:00.000+08:00');
+      // 1pm
+      assert.strictEqual(
+        schedules.status(SPLIT, '2026-10-19T05:00:00Z').opensAt,
+        '2026-10-19T13:30:00.000+08:00');
+    },
+  },
+];
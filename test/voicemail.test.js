@@ -0,0 +1,29 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const emulator = require('../scripts/emulator');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'voicemail');
+
+/**
+ * Run each fixture in fixtures/voicemail through the whole voicemail
+ * pipeline, and check the outcome is what its `expect` section says (see
+ * emulator.check).
+ */
+module.exports = fs.readdirSync(FIXTURES)
+  .filter((file) => file.endsWith('.json'))
+  .sort()
+  .map((file) => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, file)));
+    return {
+      name: `voicemail ${path.basename(file, '.json')}: ${fixture.description}`,
+      run: async () => {
+        const outcome = await emulator.run(fixture, {
+          quiet: !process.env.DEBUG,
+        });
+        const mismatches = emulator.check(outcome, fixture.expect || {});
+        assert.ok(mismatches.length === 0, mismatches.join('\n'));
+      },
+    };
+  });